@@ -1,7 +1,53 @@
 import './style.css'
-import { renderTodos, initAddTodoForm } from './todoUI.js'
+import {
+  renderTodos,
+  initAddTodoForm,
+  initFilters,
+  initTagManager,
+  initListManager,
+  initBulkActions,
+  initHistoryShortcuts,
+  initKeyboardShortcuts,
+  initImportExport,
+  initStorageErrorNotification,
+  initTabSync,
+  initReminders,
+  initRetention,
+  initActivityFeed,
+  initStatsDashboard,
+  initAppUpdates,
+  initRemoteSync,
+  notifyLoadReport
+} from './todoUI.js'
+import { initTodoStore } from './todoManager.js'
+import { createDefaultAdapter } from './todoStorage.js'
 
-document.addEventListener('DOMContentLoaded', () => {
+document.addEventListener('DOMContentLoaded', async () => {
+  // 【追加機能7】保存済みのTodoを読み込んでから描画する
+  const loadReport = await initTodoStore(createDefaultAdapter());
+
+  initStorageErrorNotification();
   initAddTodoForm();
+  initFilters();
+  initTagManager();
+  initListManager();
+  initBulkActions();
+  initHistoryShortcuts();
+  // 【追加機能28】キーボード操作とコマンドパレット
+  initKeyboardShortcuts();
+  initStatsDashboard();
+  initActivityFeed();
+  initImportExport();
+  initTabSync();
+  // 【追加機能27】サーバーとの同期（設定されている場合）
+  initRemoteSync();
   renderTodos();
+  initReminders();
+  // 【追加機能23】自動アーカイブ・自動削除のルールを実行する
+  initRetention();
+  // 【追加機能26】オフライン対応と新しいバージョンの通知
+  initAppUpdates();
+
+  // 【追加機能8】移行・修復などがあれば通知する
+  notifyLoadReport(loadReport);
 });
@@ -0,0 +1,50 @@
+/**
+ * ServiceWorker
+ * 【追加機能26】オフラインでも起動できるよう、ビルドしたファイルをキャッシュするService Worker
+ *
+ * 【仕組み】
+ * ・ビルド時にvite.config.jsのプラグインが、キャッシュするファイルの一覧とバージョン
+ *   （self.__PRECACHE_MANIFEST）を先頭に埋め込み、sw.jsとして出力する
+ * ・インストール時に全てのファイルをキャッシュし、以降はキャッシュから返す（オフライン優先）
+ * ・新しいバージョンはすぐには有効にせず、画面の「更新」で有効にする
+ *   （開いているタブの古いファイルと混ざらないようにするため）
+ * ・Todoのデータはキャッシュせず、これまでどおりIndexedDB・localStorageに保存される
+ */
+
+const { version, urls } = self.__PRECACHE_MANIFEST;
+const CACHE_PREFIX = 'todo-app-';
+const CACHE_NAME = `${CACHE_PREFIX}${version}`;
+
+self.addEventListener('install', event => {
+  event.waitUntil(caches.open(CACHE_NAME).then(cache => cache.addAll(urls)));
+});
+
+self.addEventListener('activate', event => {
+  // 古いバージョンのキャッシュを削除する
+  event.waitUntil(
+    caches.keys()
+      .then(names => Promise.all(
+        names.filter(name => name.startsWith(CACHE_PREFIX) && name !== CACHE_NAME).map(name => caches.delete(name))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+self.addEventListener('message', event => {
+  // 画面で「更新」が選ばれたら、待機中の新しいバージョンを有効にする
+  if (event.data && event.data.type === 'SKIP_WAITING') {
+    self.skipWaiting();
+  }
+});
+
+self.addEventListener('fetch', event => {
+  const { request } = event;
+  if (request.method !== 'GET' || new URL(request.url).origin !== self.location.origin) return;
+
+  // ページの表示は、URLのクエリ（絞り込みやショートカット）に関係なくキャッシュしたindex.htmlを返す
+  const cached = request.mode === 'navigate'
+    ? caches.match('./', { cacheName: CACHE_NAME })
+    : caches.match(request, { cacheName: CACHE_NAME });
+
+  event.respondWith(cached.then(response => response || fetch(request)));
+});
@@ -0,0 +1,144 @@
+/**
+ * TodoActivity
+ * Todoとリストの変更履歴（アクティビティ）を記録するモジュール
+ *
+ * 【仕組み】
+ * ・todoManagerが保存するたびに、保存前と保存後の配列を比べて変更を1件ずつイベントとして記録する
+ *   （どの操作から保存しても漏れないよう、差分から作る）
+ * ・記録は追記のみで、古いものから破棄して最大件数を保つ
+ * ・このタブで行った変更だけを記録する（他のタブの変更は、そのタブが記録する）
+ * ・記録はこのブラウザのlocalStorageに保存する（Todoを削除しても履歴は残る）
+ */
+
+const LOG_KEY = 'todo-activity-log';
+
+// 保持するイベントの最大件数（古いものから破棄）
+const MAX_EVENTS = 1000;
+
+// 記録するTodoの項目（リビジョンや処理中・完了の日時など、他の項目に連動するものは除く）
+export const TRACKED_TODO_FIELDS = [
+  'text', 'status', 'dueDate', 'dueTime', 'reminders', 'priority', 'tags', 'recurrence', 'subtasks',
+  'archived', 'listId', 'position'
+];
+
+// 記録するリストの項目
+export const TRACKED_LIST_FIELDS = ['name', 'position'];
+
+/**
+ * 保存前と保存後の差分をイベントとして記録する
+ * @param {Object} changes - { todos: { before, after }, lists: { before, after } }（リストは変更した場合のみ）
+ * @param {Object} activity - { label: 操作の説明, source: 'user' | 'undo' | 'redo' | 'auto' | 'sync' }
+ * @param {Date} [now] - 記録する日時（テスト用）
+ * @returns {Array} 記録したイベント
+ */
+export function recordActivity(changes, activity, now = new Date()) {
+  const base = { at: now.toISOString(), label: activity.label, source: activity.source };
+  const events = [
+    ...diffRecords(changes.todos.before, changes.todos.after, TRACKED_TODO_FIELDS)
+      .map(diff => ({ ...base, target: 'todo', ...diff, name: diff.record.text })),
+    ...(changes.lists
+      ? diffRecords(changes.lists.before, changes.lists.after, TRACKED_LIST_FIELDS)
+        .map(diff => ({ ...base, target: 'list', ...diff, name: diff.record.name }))
+      : [])
+  ].map(({ record, ...event }) => event);
+
+  if (events.length > 0) {
+    saveActivity([...loadActivity(), ...events].slice(-MAX_EVENTS));
+  }
+  return events;
+}
+
+/**
+ * 記録したイベントを取得（新しい順）
+ * @param {Object} [filter] - 絞り込み条件
+ * @param {number} [filter.todoId] - 指定したTodoのイベントだけを取得する
+ * @returns {Array} [{ at, label, source, target, targetId, type, name, changes: [{ field, from, to }] }]
+ */
+export function getActivity(filter = {}) {
+  return loadActivity()
+    .filter(event => filter.todoId === undefined || (event.target === 'todo' && event.targetId === filter.todoId))
+    .reverse();
+}
+
+/**
+ * 記録したイベントを全て消去
+ */
+export function clearActivity() {
+  saveActivity([]);
+}
+
+/**
+ * 2つの配列を比べ、追加・削除・変更されたレコードを求める
+ * @param {Array} before - 変更前の配列
+ * @param {Array} after - 変更後の配列
+ * @param {Array<string>} fields - 比べる項目
+ * @returns {Array} [{ type: 'created' | 'deleted' | 'changed', targetId, record, changes }]
+ */
+function diffRecords(before, after, fields) {
+  const beforeById = new Map(before.map(record => [record.id, record]));
+  const afterIds = new Set(after.map(record => record.id));
+  const diffs = [];
+
+  after.forEach(record => {
+    const previous = beforeById.get(record.id);
+    if (!previous) {
+      diffs.push({ type: 'created', targetId: record.id, record, changes: [] });
+      return;
+    }
+
+    const changes = fields
+      .filter(field => JSON.stringify(previous[field]) !== JSON.stringify(record[field]))
+      .map(field => ({ field, from: toLogValue(field, previous[field]), to: toLogValue(field, record[field]) }));
+    if (changes.length > 0) {
+      diffs.push({ type: 'changed', targetId: record.id, record, changes });
+    }
+  });
+
+  before
+    .filter(record => !afterIds.has(record.id))
+    .forEach(record => diffs.push({ type: 'deleted', targetId: record.id, record, changes: [] }));
+
+  return diffs;
+}
+
+/**
+ * 記録する値に変換する（サブタスクは件数の要約、並び順は値を残さない）
+ * @param {string} field - 項目名
+ * @param {*} value - 値
+ * @returns {*} 記録する値
+ */
+function toLogValue(field, value) {
+  if (field === 'subtasks') {
+    return `${value.filter(subtask => subtask.done).length}/${value.length}`;
+  }
+  if (field === 'position') {
+    return null;
+  }
+  return value ?? null;
+}
+
+/**
+ * 記録を読み込む（古い順）
+ * @returns {Array} イベントの配列
+ */
+function loadActivity() {
+  try {
+    const log = JSON.parse(localStorage.getItem(LOG_KEY));
+    return Array.isArray(log) ? log : [];
+  } catch (error) {
+    console.error('変更履歴の取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 記録を保存する
+ * @param {Array} log - イベントの配列（古い順）
+ */
+function saveActivity(log) {
+  try {
+    localStorage.setItem(LOG_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.error('変更履歴の保存に失敗しました:', error);
+  }
+}
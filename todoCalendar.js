@@ -0,0 +1,98 @@
+/**
+ * TodoCalendar
+ * カレンダー表示（月・週）の日付の計算を扱うモジュール
+ *
+ * ・週は日曜日から始まる（WEEKDAY_LABELSと同じ並び）
+ * ・月表示は、月の1日を含む週から月末を含む週までを表示する（4〜6週）
+ * ・日付は期日と同じYYYY-MM-DD形式の文字列で扱う
+ */
+
+import { formatDate } from './todoRecurrence.js';
+
+export const CALENDAR_MODES = ['month', 'week'];
+
+/**
+ * カレンダーに表示する日の一覧を取得
+ * @param {Date} anchor - 表示する月・週に含まれる日
+ * @param {string} mode - 'month' | 'week'
+ * @param {Date} [today] - 今日（テスト用）
+ * @returns {Array} [{ date: YYYY-MM-DD, day: 日, inRange: 表示中の月に含まれるか, isToday }]
+ */
+export function getCalendarDays(anchor, mode, today = new Date()) {
+  const todayKey = formatDate(today);
+  let start;
+  let count;
+
+  if (mode === 'week') {
+    start = startOfWeek(anchor);
+    count = 7;
+  } else {
+    const first = new Date(anchor.getFullYear(), anchor.getMonth(), 1);
+    const last = new Date(anchor.getFullYear(), anchor.getMonth() + 1, 0);
+    start = startOfWeek(first);
+    count = Math.round((startOfWeek(last) - start) / (24 * 60 * 60 * 1000)) + 7;
+  }
+
+  return Array.from({ length: count }, (_, i) => {
+    const date = new Date(start.getFullYear(), start.getMonth(), start.getDate() + i);
+    return {
+      date: formatDate(date),
+      day: date.getDate(),
+      inRange: mode === 'week' || date.getMonth() === anchor.getMonth(),
+      isToday: formatDate(date) === todayKey
+    };
+  });
+}
+
+/**
+ * 前後の月・週に移動した日を取得
+ * @param {Date} anchor - 現在表示している月・週に含まれる日
+ * @param {string} mode - 'month' | 'week'
+ * @param {number} direction - -1で前、1で次
+ * @returns {Date} 移動先の月・週に含まれる日
+ */
+export function shiftCalendar(anchor, mode, direction) {
+  if (mode === 'week') {
+    return new Date(anchor.getFullYear(), anchor.getMonth(), anchor.getDate() + direction * 7);
+  }
+  // 月末の日から移動しても月を飛ばさないよう、1日を基準にする
+  return new Date(anchor.getFullYear(), anchor.getMonth() + direction, 1);
+}
+
+/**
+ * 表示している範囲の見出しを作成
+ * @param {Date} anchor - 表示する月・週に含まれる日
+ * @param {string} mode - 'month' | 'week'
+ * @returns {string} 例：「2026年10月」「2026年10月18日〜10月24日」
+ */
+export function describeCalendarRange(anchor, mode) {
+  if (mode === 'week') {
+    const start = startOfWeek(anchor);
+    const end = new Date(start.getFullYear(), start.getMonth(), start.getDate() + 6);
+    const endLabel = end.getFullYear() === start.getFullYear()
+      ? `${end.getMonth() + 1}月${end.getDate()}日`
+      : `${end.getFullYear()}年${end.getMonth() + 1}月${end.getDate()}日`;
+    return `${start.getFullYear()}年${start.getMonth() + 1}月${start.getDate()}日〜${endLabel}`;
+  }
+  return `${anchor.getFullYear()}年${anchor.getMonth() + 1}月`;
+}
+
+/**
+ * 日付を日数だけずらす
+ * @param {string} date - 日付（YYYY-MM-DD形式）
+ * @param {number} days - ずらす日数（負の数で前へ）
+ * @returns {string} ずらした日付（YYYY-MM-DD形式）
+ */
+export function addDaysToDate(date, days) {
+  const [year, month, day] = date.split('-').map(Number);
+  return formatDate(new Date(year, month - 1, day + days));
+}
+
+/**
+ * 日付を含む週の日曜日を取得
+ * @param {Date} date - 日付
+ * @returns {Date} 週の初め（日曜日）
+ */
+function startOfWeek(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+}
@@ -0,0 +1,61 @@
+/**
+ * TodoCommands
+ * 【追加機能28】キーボードショートカットとコマンドパレットのキーの判定・検索を扱うモジュール
+ *
+ * 【キーの表し方】
+ * ・修飾キーなしの1文字：'j'、'/'、'?'、'1' など（Shiftで入力する記号もそのまま）
+ * ・特殊なキー：'Delete'、'Escape' など（KeyboardEvent.keyの名前）
+ * ・Ctrl（Macは⌘）との組み合わせ：'Mod+k'
+ *
+ * 画面やTodoの保存には依存しないため、単体でテストできる
+ */
+
+import { normalizeSearchText } from './todoFilter.js';
+
+/**
+ * キーボードイベントをショートカットのキーに変換
+ * @param {KeyboardEvent} event - キーボードイベント
+ * @returns {string|null} ショートカットのキー、対象外の組み合わせ（Altを含むなど）や日本語入力中はnull
+ */
+export function getShortcutKey(event) {
+  if (event.isComposing || event.altKey) return null;
+
+  const key = event.key.length === 1 ? event.key.toLowerCase() : event.key;
+  if (event.ctrlKey || event.metaKey) {
+    return event.ctrlKey && event.metaKey ? null : `Mod+${key}`;
+  }
+  // Shiftは「?」などの記号の入力に使うため、1文字のキーでは区別しない
+  if (event.shiftKey && key.length !== 1) return null;
+  return key;
+}
+
+/**
+ * ショートカットのキーを表示用の文字列に変換
+ * @param {string} key - ショートカットのキー
+ * @param {boolean} [isMac] - Macの表記（⌘）にするか
+ * @returns {string} 例：「J」「Ctrl+K」「⌘K」「Delete」
+ */
+export function formatShortcut(key, isMac = false) {
+  if (key.startsWith('Mod+')) {
+    const rest = formatShortcut(key.slice(4));
+    return isMac ? `⌘${rest}` : `Ctrl+${rest}`;
+  }
+  return key.length === 1 ? key.toUpperCase() : key;
+}
+
+/**
+ * 入力した語でコマンドを絞り込む（名前・分類・別名のいずれかに全ての語を含むもの）
+ * ひらがなとカタカナ、全角と半角、大文字と小文字は区別しない
+ * @param {Array} commands - [{ label, group, keywords }]
+ * @param {string} query - 入力した語（空白区切り）
+ * @returns {Array} 一致したコマンド（元の順）
+ */
+export function searchCommands(commands, query) {
+  const terms = normalizeSearchText(query).split(/\s+/).filter(Boolean);
+  if (terms.length === 0) return commands;
+
+  return commands.filter(command => {
+    const text = normalizeSearchText([command.label, command.group, ...(command.keywords || [])].join(' '));
+    return terms.every(term => text.includes(term));
+  });
+}
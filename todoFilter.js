@@ -0,0 +1,136 @@
+/**
+ * TodoFilter
+ * Todoの検索・絞り込み条件を扱うモジュール
+ *
+ * 【条件の形式】
+ * {
+ *   query: string,          // 検索文字列（内容を部分一致で検索）
+ *   statuses: string[],     // 表示するステータス（空なら全て）
+ *   urgency: string,        // 期日の緊急度（'' | 'overdue' | 'urgent' | 'normal' | 'none'）
+ *   archived: string,       // アーカイブ状態（'active' | 'archived' | 'all'）
+ *   tags: string[]          // 【追加機能15】全て付いているTodoだけを表示するタグ（空なら全て）
+ * }
+ *
+ * 条件はURLのクエリ文字列（?q=&status=&due=&archived=&tag=）と相互に変換でき、
+ * ブックマークしたURLから同じ絞り込みを再現できる
+ */
+
+import { VALID_STATUSES } from './todoSchema.js';
+import { normalizeTags } from './todoTags.js';
+
+export const URGENCY_FILTERS = ['overdue', 'urgent', 'normal', 'none'];
+
+const ARCHIVED_FILTERS = ['active', 'archived', 'all'];
+
+// 絞り込みなしの条件
+export const DEFAULT_FILTER = {
+  query: '',
+  statuses: [],
+  urgency: '',
+  archived: 'active',
+  tags: []
+};
+
+/**
+ * 条件を検証し、正しい形に整える（不明な値は絞り込みなしとして扱う）
+ * @param {Object} filter - 条件
+ * @returns {Object} 整えた条件
+ */
+export function normalizeFilter(filter) {
+  const source = filter && typeof filter === 'object' ? filter : {};
+  const statuses = Array.isArray(source.statuses) ? source.statuses : [];
+
+  return {
+    query: typeof source.query === 'string' ? source.query : '',
+    statuses: VALID_STATUSES.filter(status => statuses.includes(status)),
+    urgency: URGENCY_FILTERS.includes(source.urgency) ? source.urgency : '',
+    archived: ARCHIVED_FILTERS.includes(source.archived) ? source.archived : 'active',
+    tags: normalizeTags(source.tags)
+  };
+}
+
+/**
+ * 絞り込みなしの条件か判定
+ * @param {Object} filter - 条件
+ * @returns {boolean}
+ */
+export function isDefaultFilter(filter) {
+  return filterToQueryString(filter) === '';
+}
+
+/**
+ * Todoが条件に一致するか判定
+ * @param {Object} todo - Todoオブジェクト
+ * @param {Object} filter - 条件
+ * @param {Function} getUrgency - 期日から緊急度（'overdue' | 'urgent' | 'normal' | null）を返す関数
+ * @returns {boolean}
+ */
+export function matchesFilter(todo, filter, getUrgency) {
+  if (filter.archived === 'active' && todo.archived) return false;
+  if (filter.archived === 'archived' && !todo.archived) return false;
+
+  if (filter.statuses.length > 0 && !filter.statuses.includes(todo.status)) return false;
+
+  if (!filter.tags.every(tag => todo.tags.includes(tag))) return false;
+
+  if (filter.urgency) {
+    const urgency = getUrgency(todo.dueDate) || 'none';
+    if (urgency !== filter.urgency) return false;
+  }
+
+  const query = normalizeSearchText(filter.query).trim();
+  if (query) {
+    // 空白区切りの語が全て含まれるものに一致（AND検索）
+    // 【追加機能15】「#タグ名」でもタグを検索できるよう、タグも検索対象に含める
+    const text = normalizeSearchText([todo.text, ...todo.tags.map(tag => `#${tag}`)].join(' '));
+    return query.split(/\s+/).every(word => text.includes(word));
+  }
+
+  return true;
+}
+
+/**
+ * 検索用に文字列を正規化
+ * ・全角英数字と半角カナを揃える（NFKC）
+ * ・大文字と小文字を区別しない
+ * ・カタカナをひらがなに揃え、「とど」で「トド」も見つかるようにする
+ * @param {string} text - 文字列
+ * @returns {string} 正規化した文字列
+ */
+export function normalizeSearchText(text) {
+  return String(text)
+    .normalize('NFKC')
+    .toLowerCase()
+    .replace(/[ァ-ヶ]/g, char => String.fromCharCode(char.charCodeAt(0) - 0x60));
+}
+
+/**
+ * 条件をURLのクエリ文字列に変換（絞り込みなしの項目は含めない）
+ * @param {Object} filter - 条件
+ * @returns {string} 先頭の「?」を含まないクエリ文字列
+ */
+export function filterToQueryString(filter) {
+  const params = new URLSearchParams();
+  if (filter.query.trim()) params.set('q', filter.query.trim());
+  if (filter.statuses.length > 0) params.set('status', filter.statuses.join(','));
+  if (filter.urgency) params.set('due', filter.urgency);
+  if (filter.archived !== 'active') params.set('archived', filter.archived);
+  filter.tags.forEach(tag => params.append('tag', tag));
+  return params.toString();
+}
+
+/**
+ * URLのクエリ文字列から条件を作成
+ * @param {string} search - location.searchなどのクエリ文字列
+ * @returns {Object} 条件
+ */
+export function filterFromQueryString(search) {
+  const params = new URLSearchParams(search);
+  return normalizeFilter({
+    query: params.get('q') || '',
+    statuses: (params.get('status') || '').split(','),
+    urgency: params.get('due') || '',
+    archived: params.get('archived') || 'active',
+    tags: params.getAll('tag')
+  });
+}
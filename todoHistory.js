@@ -0,0 +1,81 @@
+/**
+ * TodoHistory
+ * Todoの変更履歴を保持し、元に戻す／やり直しを実現するモジュール
+ *
+ * 【仕組み】
+ * ・saveTodos()が保存のたびに「変更前」と「変更後」のスナップショットを記録
+ * ・undo()で変更前の状態、redo()で変更後の状態を書き戻す（変更されたTodoのみ）
+ * ・履歴はメモリ上のみで保持（ページを再読み込みするとリセット）
+ */
+
+// 保持する履歴の最大件数（古いものから破棄）
+const MAX_HISTORY = 50;
+
+const undoStack = [];
+const redoStack = [];
+
+/**
+ * 変更を履歴に記録
+ * 新しい変更が入った時点でやり直し履歴は破棄される
+ * @param {string} label - 変更内容の説明（通知表示用）
+ * @param {Array} before - 変更前のTodo配列
+ * @param {Array} after - 変更後のTodo配列
+ * @param {Object|null} [lists] - 【追加機能21】リストも変更した場合は{ before, after }
+ */
+export function recordChange(label, before, after, lists = null) {
+  undoStack.push({ label, before, after, lists });
+  if (undoStack.length > MAX_HISTORY) {
+    undoStack.shift();
+  }
+  redoStack.length = 0;
+}
+
+/**
+ * 元に戻す対象の履歴を取り出す
+ * @returns {Object|null} 履歴エントリ（{ label, before, after, lists }）、なければnull
+ */
+export function popUndo() {
+  const entry = undoStack.pop();
+  if (!entry) {
+    return null;
+  }
+  redoStack.push(entry);
+  return entry;
+}
+
+/**
+ * やり直し対象の履歴を取り出す
+ * @returns {Object|null} 履歴エントリ（{ label, before, after, lists }）、なければnull
+ */
+export function popRedo() {
+  const entry = redoStack.pop();
+  if (!entry) {
+    return null;
+  }
+  undoStack.push(entry);
+  return entry;
+}
+
+/**
+ * 元に戻せる変更があるか
+ * @returns {boolean}
+ */
+export function canUndo() {
+  return undoStack.length > 0;
+}
+
+/**
+ * やり直せる変更があるか
+ * @returns {boolean}
+ */
+export function canRedo() {
+  return redoStack.length > 0;
+}
+
+/**
+ * 履歴を全て破棄
+ */
+export function clearHistory() {
+  undoStack.length = 0;
+  redoStack.length = 0;
+}
@@ -0,0 +1,407 @@
+/**
+ * TodoICal
+ * 期日のあるTodoをiCalendar（RFC 5545）形式に変換し、.icsファイルを解析するモジュール
+ *
+ * 【対応関係】
+ * ・ToDo（VTODO）：DUE＝期日、STATUS＝ステータス（NEEDS-ACTION / IN-PROCESS / COMPLETED）
+ * ・予定（VEVENT）：DTSTART＝期日（時刻がなければ終日）、ステータスはX-TODO-STATUSに記録
+ * ・SUMMARY＝内容、PRIORITY＝優先度（1 / 5 / 9）、CATEGORIES＝タグ、RRULE＝繰り返し、VALARM＝リマインダー
+ *
+ * 【UID】
+ * 各TodoのUIDは変わらないため、カレンダーアプリで読み込み直しても重複せず更新される
+ * 他のカレンダーから読み込んだTodoは、元のUIDをicalUidとして保持し、そのまま使う
+ *
+ * タイムゾーン付きの日時（TZID）はその地域の時刻のまま、UTC（末尾Z）の日時はこのブラウザの時刻に変換して扱う
+ * 対応していない繰り返しルール（毎年など）は、繰り返しなしとして読み込む
+ */
+
+import { parseRRule, formatRRule, formatDate } from './todoRecurrence.js';
+
+export const ICAL_COMPONENTS = ['VTODO', 'VEVENT'];
+
+const UID_DOMAIN = 'todo-app';
+
+// ステータスとVTODOのSTATUSの対応
+const STATUS_TO_ICAL = {
+  todo: 'NEEDS-ACTION',
+  doing: 'IN-PROCESS',
+  done: 'COMPLETED'
+};
+
+// 優先度とPRIORITY（1が最も高く、9が最も低い）の対応
+const PRIORITY_TO_ICAL = {
+  high: 1,
+  medium: 5,
+  low: 9
+};
+
+/**
+ * TodoのUIDを取得
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {string} UID（読み込んだTodoは元のUID）
+ */
+export function getTodoUid(todo) {
+  if (todo.icalUid) return todo.icalUid;
+  // IDだけでは別のブラウザのTodoと重なるため、作成日時も含める
+  return `todo-${todo.id}-${new Date(todo.createdAt).getTime()}@${UID_DOMAIN}`;
+}
+
+/**
+ * 期日のあるTodoをiCalendar形式の文字列に変換
+ * @param {Array} todos - 書き出すTodoの配列（期日のないもの・アーカイブ済みのものは除く）
+ * @param {string} [component] - 'VTODO'（ToDo）または'VEVENT'（予定）
+ * @returns {string} iCalendar形式の文字列（改行はCRLF）
+ */
+export function exportTodosToIcs(todos, component = 'VTODO') {
+  const stamp = formatUtcDateTime(new Date());
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:-//${UID_DOMAIN}//Todoリスト//JA`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    'X-WR-CALNAME:Todoリスト'
+  ];
+
+  todos
+    .filter(todo => todo.dueDate && !todo.archived)
+    .forEach(todo => {
+      lines.push(...formatComponent(todo, component, stamp));
+    });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+/**
+ * 1件のTodoをVTODOまたはVEVENTの行に変換
+ * @param {Object} todo - Todoオブジェクト
+ * @param {string} component - 'VTODO' | 'VEVENT'
+ * @param {string} stamp - 書き出した日時（DTSTAMP）
+ * @returns {Array<string>} 行の配列
+ */
+function formatComponent(todo, component, stamp) {
+  const due = todo.dueTime
+    ? `:${todo.dueDate.replace(/-/g, '')}T${todo.dueTime.replace(':', '')}00`
+    : `;VALUE=DATE:${todo.dueDate.replace(/-/g, '')}`;
+  const lines = [
+    `BEGIN:${component}`,
+    `UID:${escapeText(getTodoUid(todo))}`,
+    `DTSTAMP:${stamp}`,
+    `CREATED:${formatUtcDateTime(new Date(todo.createdAt))}`,
+    `LAST-MODIFIED:${formatUtcDateTime(new Date(todo.updatedAt || todo.createdAt))}`
+  ];
+
+  if (component === 'VEVENT') {
+    // 予定にはToDoのステータスがないため、完了は見出しの印と独自の項目で表す
+    lines.push(`SUMMARY:${escapeText(todo.status === 'done' ? `✔ ${todo.text}` : todo.text)}`);
+    lines.push(`DTSTART${due}`);
+    if (!todo.dueTime) {
+      const [year, month, day] = todo.dueDate.split('-').map(Number);
+      lines.push(`DTEND;VALUE=DATE:${formatDate(new Date(year, month - 1, day + 1)).replace(/-/g, '')}`);
+    }
+    lines.push('STATUS:CONFIRMED');
+    lines.push(`X-TODO-STATUS:${todo.status}`);
+  } else {
+    lines.push(`SUMMARY:${escapeText(todo.text)}`);
+    // 繰り返しはDTSTARTを基準に計算されるため、繰り返しがあれば期日と同じ日時を入れる
+    if (todo.recurrence) lines.push(`DTSTART${due}`);
+    lines.push(`DUE${due}`);
+    lines.push(`STATUS:${STATUS_TO_ICAL[todo.status]}`);
+  }
+
+  lines.push(`PRIORITY:${PRIORITY_TO_ICAL[todo.priority] ?? PRIORITY_TO_ICAL.medium}`);
+  if (todo.tags && todo.tags.length > 0) {
+    lines.push(`CATEGORIES:${todo.tags.map(escapeText).join(',')}`);
+  }
+  if (todo.recurrence) {
+    lines.push(`RRULE:${formatRRule(todo.recurrence)}`);
+  }
+
+  (todo.reminders || []).forEach(minutes => {
+    lines.push(
+      'BEGIN:VALARM',
+      'ACTION:DISPLAY',
+      `DESCRIPTION:${escapeText(todo.text)}`,
+      `TRIGGER${component === 'VTODO' ? ';RELATED=END' : ''}:${minutes === 0 ? 'PT0S' : `-PT${minutes}M`}`,
+      'END:VALARM'
+    );
+  });
+
+  lines.push(`END:${component}`);
+  return lines;
+}
+
+/**
+ * iCalendar形式の文字列からVTODO・VEVENTを取り出し、Todoのレコードに変換
+ * 検証はtodoImportExport.jsで行うため、ここでは値の形式を揃えるだけにする
+ * @param {string} text - .icsファイルの内容
+ * @returns {Object} { records: [{ row: 何件目の項目か, record }], errors: [{ row, message }] }
+ */
+export function parseIcs(text) {
+  const lines = unfoldLines(text);
+  if (!lines.some(line => line.toUpperCase() === 'BEGIN:VCALENDAR')) {
+    return { records: [], errors: [{ row: null, message: 'iCalendar形式（BEGIN:VCALENDAR）ではありません' }] };
+  }
+
+  const records = [];
+  const errors = [];
+  let current = null;
+  let alarm = null;
+  let count = 0;
+
+  lines.forEach(line => {
+    const property = parseProperty(line);
+    if (!property) return;
+    const { name, params, value } = property;
+
+    if (name === 'BEGIN' && ICAL_COMPONENTS.includes(value.toUpperCase()) && !current) {
+      current = { component: value.toUpperCase(), properties: {}, alarms: [] };
+      count++;
+      return;
+    }
+    if (!current) return;
+
+    if (name === 'BEGIN' && value.toUpperCase() === 'VALARM') {
+      alarm = {};
+    } else if (name === 'END' && value.toUpperCase() === 'VALARM') {
+      if (alarm) current.alarms.push(alarm);
+      alarm = null;
+    } else if (alarm) {
+      alarm[name] = { params, value };
+    } else if (name === 'END' && value.toUpperCase() === current.component) {
+      const result = toRecord(current);
+      if (result.error) {
+        errors.push({ row: count, message: result.error });
+      } else {
+        records.push({ row: count, record: result.record });
+      }
+      current = null;
+    } else if (!(name in current.properties)) {
+      // 同じ項目が複数ある場合は最初のものを使う
+      current.properties[name] = { params, value };
+    }
+  });
+
+  return { records, errors };
+}
+
+/**
+ * 1件のVTODO・VEVENTをTodoのレコードに変換
+ * @param {Object} item - { component, properties, alarms }
+ * @returns {Object} { record } または { error }
+ */
+function toRecord({ component, properties, alarms }) {
+  const get = name => properties[name] ? properties[name].value : '';
+  const status = get('STATUS').toUpperCase();
+
+  if (status === 'CANCELLED') {
+    return { error: 'キャンセルされた項目のため読み込みませんでした' };
+  }
+
+  const dateProperty = component === 'VTODO'
+    ? properties.DUE || properties.DTSTART
+    : properties.DTSTART;
+  const due = dateProperty ? parseDateTime(dateProperty) : null;
+  if (dateProperty && !due) {
+    return { error: `日時の形式が正しくありません（${dateProperty.value}）` };
+  }
+
+  let text = unescapeText(get('SUMMARY')).trim();
+  let todoStatus = 'todo';
+  const appStatus = get('X-TODO-STATUS');
+  if (appStatus) {
+    todoStatus = appStatus;
+    if (appStatus === 'done') text = text.replace(/^✔\s*/, '');
+  } else if (component === 'VTODO') {
+    todoStatus = Object.keys(STATUS_TO_ICAL).find(key => STATUS_TO_ICAL[key] === status) || 'todo';
+  }
+
+  const priority = Number(get('PRIORITY'));
+  // 曜日などの省略された繰り返しルールは期日を基準に補う
+  const recurrence = get('RRULE') && due
+    ? parseRRule(get('RRULE'), new Date(`${due.date}T00:00:00`))
+    : null;
+  const reminders = alarms
+    .map(alarm => alarm.TRIGGER ? parseTrigger(alarm.TRIGGER) : null)
+    .filter(minutes => minutes !== null);
+
+  return {
+    record: {
+      icalUid: unescapeText(get('UID')),
+      text,
+      status: todoStatus,
+      createdAt: properties.CREATED ? parseUtcDateTime(get('CREATED')) : '',
+      dueDate: due ? due.date : '',
+      dueTime: due ? due.time : '',
+      // 1〜4を高、5（と未指定の0）を中、6〜9を低とする（RFC 5545の区分）
+      priority: priority >= 1 && priority <= 4 ? 'high' : priority >= 6 && priority <= 9 ? 'low' : 'medium',
+      tags: properties.CATEGORIES ? splitList(properties.CATEGORIES.value).map(unescapeText) : [],
+      recurrence,
+      reminders
+    }
+  };
+}
+
+/**
+ * 日付・日時の値を期日と時刻に変換
+ * @param {Object} property - { params, value }
+ * @returns {Object|null} { date: YYYY-MM-DD, time: HH:MM または'' }、解釈できない場合はnull
+ */
+function parseDateTime({ params, value }) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})(?:T(\d{2})(\d{2})(\d{2})(Z?))?$/);
+  if (!match) return null;
+
+  const [, year, month, day, hours, minutes, , utc] = match;
+  if (!hours || params.VALUE === 'DATE') {
+    return { date: `${year}-${month}-${day}`, time: '' };
+  }
+  if (utc) {
+    const local = new Date(Date.UTC(year, month - 1, day, hours, minutes));
+    const time = `${String(local.getHours()).padStart(2, '0')}:${String(local.getMinutes()).padStart(2, '0')}`;
+    return { date: formatDate(local), time };
+  }
+  return { date: `${year}-${month}-${day}`, time: `${hours}:${minutes}` };
+}
+
+/**
+ * UTCの日時（YYYYMMDDTHHMMSSZ）をISO形式に変換
+ * @param {string} value - 日時の値
+ * @returns {string} ISO形式の日時、解釈できない場合は空文字
+ */
+function parseUtcDateTime(value) {
+  const match = value.match(/^(\d{4})(\d{2})(\d{2})T(\d{2})(\d{2})(\d{2})Z$/);
+  if (!match) return '';
+  const [, year, month, day, hours, minutes, seconds] = match;
+  return new Date(Date.UTC(year, month - 1, day, hours, minutes, seconds)).toISOString();
+}
+
+/**
+ * アラームの通知タイミング（TRIGGER）をリマインダー（期日の何分前か）に変換
+ * 期日より前または期日ちょうどの相対時間だけに対応する
+ * @param {Object} trigger - { params, value }
+ * @returns {number|null} 何分前か、対応していない場合はnull
+ */
+function parseTrigger({ params, value }) {
+  // 日時を直接指定したものは対応しない
+  // 開始基準（RELATED=START）のものも、期日を基準として扱う
+  if (params.VALUE === 'DATE-TIME') return null;
+  const match = value.match(/^([+-]?)P(?:(\d+)W)?(?:(\d+)D)?(?:T(?:(\d+)H)?(?:(\d+)M)?(?:(\d+)S)?)?$/);
+  if (!match) return null;
+
+  const [, sign, weeks, days, hours, minutes] = match;
+  const total = Number(weeks || 0) * 10080 + Number(days || 0) * 1440 + Number(hours || 0) * 60 + Number(minutes || 0);
+  if (total > 0 && sign !== '-') return null;
+  return total;
+}
+
+/**
+ * 折り返された行（次の行が空白で始まるもの）をつなげて、行の配列にする
+ * @param {string} text - .icsファイルの内容
+ * @returns {Array<string>} 行の配列
+ */
+function unfoldLines(text) {
+  return text
+    .replace(/^\uFEFF/, '')
+    .replace(/\r\n|\r/g, '\n')
+    .replace(/\n[ \t]/g, '')
+    .split('\n')
+    .filter(line => line !== '');
+}
+
+/**
+ * 1行を項目名・パラメーター・値に分解
+ * @param {string} line - 「名前;パラメーター=値:値」の形式の行
+ * @returns {Object|null} { name, params, value }、形式が正しくない場合はnull
+ */
+function parseProperty(line) {
+  // パラメーターの値は""で囲めば「:」「;」を含められるため、囲まれていない最初の「:」を探す
+  let inQuotes = false;
+  let colon = -1;
+  for (let i = 0; i < line.length; i++) {
+    if (line[i] === '"') inQuotes = !inQuotes;
+    if (line[i] === ':' && !inQuotes) {
+      colon = i;
+      break;
+    }
+  }
+  if (colon === -1) return null;
+
+  const [name, ...paramParts] = line.slice(0, colon).split(';');
+  const params = {};
+  paramParts.forEach(part => {
+    const [key, ...rest] = part.split('=');
+    params[key.toUpperCase()] = rest.join('=').replace(/^"|"$/g, '').toUpperCase();
+  });
+
+  return { name: name.toUpperCase(), params, value: line.slice(colon + 1) };
+}
+
+/**
+ * テキストの値をエスケープ（\ ; , 改行）
+ * @param {string} text - 値
+ * @returns {string} エスケープした値
+ */
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * エスケープされたテキストの値を元に戻す
+ * @param {string} text - 値
+ * @returns {string} 元の値
+ */
+function unescapeText(text) {
+  return text.replace(/\\([\\;,nN])/g, (match, char) => (char === 'n' || char === 'N' ? '\n' : char));
+}
+
+/**
+ * カンマ区切りの値を分割（エスケープされた「\,」では分割しない）
+ * @param {string} value - 値
+ * @returns {Array<string>} 分割した値
+ */
+function splitList(value) {
+  return value.split(/(?<!\\),/).filter(Boolean);
+}
+
+/**
+ * 日時をUTCの日時（YYYYMMDDTHHMMSSZ）に変換
+ * @param {Date} date - 日時
+ * @returns {string}
+ */
+function formatUtcDateTime(date) {
+  return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * 75バイトを超える行を折り返す（続きの行は空白で始める）
+ * 日本語などの複数バイトの文字の途中では折り返さない
+ * @param {string} line - 行
+ * @returns {string} 折り返した行（CRLF区切り）
+ */
+function foldLine(line) {
+  const encoder = new TextEncoder();
+  const parts = [];
+  let part = '';
+  let bytes = 0;
+
+  for (const char of line) {
+    const size = encoder.encode(char).length;
+    // 続きの行は先頭の空白の分だけ短くする
+    const limit = parts.length === 0 ? 75 : 74;
+    if (bytes + size > limit) {
+      parts.push(part);
+      part = '';
+      bytes = 0;
+    }
+    part += char;
+    bytes += size;
+  }
+  parts.push(part);
+
+  return parts.join('\r\n ');
+}
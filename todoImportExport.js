@@ -0,0 +1,393 @@
+/**
+ * TodoImportExport
+ * TodoデータをJSON / CSV / iCalendarに書き出し、読み込むためのモジュール
+ *
+ * 【役割】
+ * ・書き出し：バックアップや別ブラウザへの移行用にファイル化
+ * ・読み込み：ファイルを解析し、1件ずつ検証してから取り込み可能な形に整える
+ * ・保存処理は行わない（取り込みはtodoManagerのimportTodos()が担当）
+ */
+
+import { VALID_STATUSES, isValidDateString, normalizeSubtasks } from './todoSchema.js';
+import { normalizeRecurrence, parseRRule, formatRRule } from './todoRecurrence.js';
+import { normalizeTags } from './todoTags.js';
+import { VALID_PRIORITIES } from './todoPriority.js';
+import { normalizeReminders, isValidTime } from './todoReminders.js';
+import { parseIcs } from './todoICal.js';
+
+// 書き出すJSONのスキーマバージョン（形式を変えたら上げる）
+export const EXPORT_SCHEMA_VERSION = 1;
+
+// 表計算ソフトが数式として扱う先頭の文字（CSVインジェクション対策で先頭に'を付ける）
+// 元から'で始まる値も読み込みで元に戻せるよう、'が続いた後にこれらの文字があるものも対象にする
+const CSV_FORMULA_PATTERN = /^'*[=+\-@\t\r]/;
+
+// CSVの列（この順番で書き出す）
+// 【追加機能10】recurrenceはRRULE形式の文字列で書き出す
+// 【追加機能11】subtasksはJSON文字列で書き出す
+// 【追加機能13】positionは手動の並び順
+// 【追加機能15】tagsはカンマ区切りで書き出す
+// 【追加機能16】priorityは優先度（high / medium / low）、doingSinceは処理中になった日時
+// 【追加機能18】dueTimeは期日の時刻（HH:MM）、remindersは何分前に通知するかのカンマ区切り
+// 【追加機能20】icalUidはiCalendarから読み込んだTodoの元のUID
+// 【追加機能21】listはリスト名（IDはブラウザごとに異なるため、名前で対応付ける）
+// 【追加機能23】completedAtは完了した日時、archivedAtはアーカイブした日時
+const CSV_COLUMNS = [
+  'id', 'text', 'status', 'createdAt', 'archived', 'dueDate', 'recurrence', 'subtasks', 'position', 'tags',
+  'priority', 'doingSince', 'dueTime', 'reminders', 'icalUid', 'list', 'completedAt', 'archivedAt'
+];
+
+/**
+ * TodoをJSON文字列に変換
+ * @param {Array} todos - 書き出すTodoの配列
+ * @param {Array} [lists] - 【追加機能21】リストの配列（各Todoにリスト名を書き出す）
+ * @returns {string} スキーマバージョン付きのJSON文字列
+ */
+export function exportTodosToJson(todos, lists = []) {
+  const data = {
+    schemaVersion: EXPORT_SCHEMA_VERSION,
+    exportedAt: new Date().toISOString(),
+    todos: withListNames(todos, lists)
+  };
+  return JSON.stringify(data, null, 2);
+}
+
+/**
+ * TodoをCSV文字列に変換
+ * Excelで文字化けしないよう先頭にBOMを付与する
+ * @param {Array} todos - 書き出すTodoの配列
+ * @param {Array} [lists] - 【追加機能21】リストの配列（list列にリスト名を書き出す）
+ * @returns {string} CSV文字列
+ */
+export function exportTodosToCsv(todos, lists = []) {
+  const lines = [CSV_COLUMNS.join(',')];
+
+  withListNames(todos, lists).forEach(todo => {
+    const row = CSV_COLUMNS.map(column => {
+      if (column === 'recurrence') {
+        return escapeCsvValue(todo.recurrence ? formatRRule(todo.recurrence) : '');
+      }
+      if (column === 'subtasks') {
+        return escapeCsvValue(todo.subtasks && todo.subtasks.length > 0 ? JSON.stringify(todo.subtasks) : '');
+      }
+      if (column === 'tags' || column === 'reminders') {
+        return escapeCsvValue((todo[column] || []).join(','));
+      }
+      return escapeCsvValue(todo[column]);
+    });
+    lines.push(row.join(','));
+  });
+
+  return '\uFEFF' + lines.join('\r\n') + '\r\n';
+}
+
+/**
+ * 【追加機能21】各Todoにリスト名（list）を付ける
+ * @param {Array} todos - Todoの配列
+ * @param {Array} lists - リストの配列
+ * @returns {Array} リスト名を付けたTodoの配列
+ */
+function withListNames(todos, lists) {
+  const names = new Map(lists.map(list => [list.id, list.name]));
+  return todos.map(todo => ({ ...todo, list: names.get(todo.listId) ?? null }));
+}
+
+/**
+ * CSVの値をエスケープ
+ * カンマ・改行・ダブルクォートを含む場合はダブルクォートで囲む
+ * =・+・-・@・タブ・CRで始まる文字列は、表計算ソフトで数式として実行されないよう先頭に'を付けて囲む
+ * @param {*} value - 書き出す値
+ * @returns {string} エスケープ済みの値
+ */
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return '';
+
+  let text = String(value);
+  const isFormula = typeof value === 'string' && CSV_FORMULA_PATTERN.test(text);
+  if (isFormula) {
+    text = `'${text}`;
+  }
+  if (isFormula || /[",\r\n]/.test(text)) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * JSON文字列を解析して取り込み可能なTodoに変換
+ * スキーマバージョン付きの形式と、Todo配列のみの形式の両方に対応
+ * @param {string} text - JSON文字列
+ * @returns {Object} { todos: 検証済みTodoの配列, errors: [{ row, message }] }
+ */
+export function parseJsonImport(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    return { todos: [], errors: [{ row: null, message: 'JSONの形式が正しくありません' }] };
+  }
+
+  const records = Array.isArray(data) ? data : data && data.todos;
+  if (!Array.isArray(records)) {
+    return { todos: [], errors: [{ row: null, message: 'Todoの一覧が見つかりません' }] };
+  }
+
+  if (!Array.isArray(data) && data.schemaVersion > EXPORT_SCHEMA_VERSION) {
+    return {
+      todos: [],
+      errors: [{ row: null, message: `未対応のスキーマバージョンです（${data.schemaVersion}）` }]
+    };
+  }
+
+  return validateRecords(records);
+}
+
+/**
+ * CSV文字列を解析して取り込み可能なTodoに変換
+ * 1行目はヘッダー行として扱い、列名で値を対応付ける
+ * @param {string} text - CSV文字列
+ * @returns {Object} { todos: 検証済みTodoの配列, errors: [{ row, message }] }
+ */
+export function parseCsvImport(text) {
+  const rows = parseCsvRows(text.replace(/^\uFEFF/, ''));
+  if (rows.length === 0) {
+    return { todos: [], errors: [{ row: null, message: 'CSVが空です' }] };
+  }
+
+  const header = rows[0].map(column => column.trim());
+  if (!header.includes('text')) {
+    return { todos: [], errors: [{ row: null, message: 'CSVにtext列がありません' }] };
+  }
+
+  const records = rows.slice(1)
+    // 末尾の空行などは無視
+    .filter(cells => cells.some(cell => cell.trim() !== ''))
+    .map(cells => {
+      const record = {};
+      header.forEach((column, index) => {
+        record[column] = cells[index] !== undefined ? unescapeCsvFormula(cells[index]) : '';
+      });
+      return record;
+    });
+
+  return validateRecords(records);
+}
+
+/**
+ * 書き出し時に数式対策で付けた先頭の'を外す
+ * @param {string} value - セルの値
+ * @returns {string} 元の値
+ */
+function unescapeCsvFormula(value) {
+  return CSV_FORMULA_PATTERN.test(value) && value.startsWith("'") ? value.slice(1) : value;
+}
+
+/**
+ * 【追加機能20】iCalendar（.ics）の文字列を解析して取り込み可能なTodoに変換
+ * VTODOとVEVENTの両方に対応し、元のUIDをicalUidとして残す（読み込み直したときに更新するため）
+ * @param {string} text - .icsファイルの内容
+ * @returns {Object} { todos: 検証済みTodoの配列, errors: [{ row, message }] }
+ */
+export function parseIcsImport(text) {
+  const { records, errors } = parseIcs(text);
+  const result = validateRecords(records.map(({ record }) => record), index => records[index].row);
+
+  return {
+    todos: result.todos,
+    errors: [...errors, ...result.errors].sort((a, b) => (a.row ?? 0) - (b.row ?? 0))
+  };
+}
+
+/**
+ * CSV文字列を行とセルの二次元配列に分解
+ * ダブルクォートで囲まれたカンマ・改行・エスケープされた""に対応
+ * @param {string} text - CSV文字列
+ * @returns {Array<Array<string>>} 行ごとのセル配列
+ */
+function parseCsvRows(text) {
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < text.length; i++) {
+    const char = text[i];
+
+    if (inQuotes) {
+      if (char === '"' && text[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (char === '"') {
+        inQuotes = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      inQuotes = true;
+    } else if (char === ',') {
+      row.push(cell);
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && text[i + 1] === '\n') i++;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+
+  if (cell !== '' || row.length > 0) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * 読み込んだレコードを1件ずつ検証
+ * @param {Array<Object>} records - 解析済みのレコード
+ * @param {Function} [getRow] - 【追加機能20】エラーに表示する「何件目か」を返す関数（省略時は配列の順番）
+ * @returns {Object} { todos: 検証済みTodoの配列, errors: [{ row, message }] }
+ */
+function validateRecords(records, getRow = index => index + 1) {
+  const todos = [];
+  const errors = [];
+
+  records.forEach((record, index) => {
+    const result = validateRecord(record);
+    if (result.error) {
+      errors.push({ row: getRow(index), message: result.error });
+    } else {
+      todos.push(result.todo);
+    }
+  });
+
+  return { todos, errors };
+}
+
+/**
+ * 1件のレコードを検証し、Todoの形に整える
+ * @param {Object} record - 解析済みのレコード
+ * @returns {Object} { todo } または { error }
+ */
+function validateRecord(record) {
+  if (!record || typeof record !== 'object') {
+    return { error: 'Todoの形式が正しくありません' };
+  }
+
+  const text = typeof record.text === 'string' ? record.text.trim() : '';
+  if (!text) {
+    return { error: '内容（text）が空です' };
+  }
+
+  const status = record.status === undefined || record.status === '' ? 'todo' : record.status;
+  if (!VALID_STATUSES.includes(status)) {
+    return { error: `ステータスが不正です（${status}）` };
+  }
+
+  const dueDate = record.dueDate === undefined || record.dueDate === '' ? null : record.dueDate;
+  if (dueDate !== null && !isValidDateString(dueDate)) {
+    return { error: `期日が不正です（${dueDate}）` };
+  }
+
+  // 【追加機能16】優先度は省略時に「中」
+  const priority = record.priority === undefined || record.priority === '' ? 'medium' : record.priority;
+  if (!VALID_PRIORITIES.includes(priority)) {
+    return { error: `優先度が不正です（${priority}）` };
+  }
+
+  // 【追加機能18】期日の時刻（HH:MM）
+  const dueTime = record.dueTime === undefined || record.dueTime === '' ? null : record.dueTime;
+  if (dueTime !== null && !isValidTime(dueTime)) {
+    return { error: `時刻が不正です（${dueTime}）` };
+  }
+
+  let createdAt = record.createdAt;
+  if (createdAt === undefined || createdAt === '') {
+    createdAt = new Date().toISOString();
+  } else if (Number.isNaN(new Date(createdAt).getTime())) {
+    return { error: `作成日時が不正です（${createdAt}）` };
+  }
+
+  const archived = record.archived === true || record.archived === 'true';
+
+  // 【追加機能10】繰り返しルールはオブジェクト（JSON）またはRRULE文字列（CSV）
+  let recurrence = null;
+  if (record.recurrence !== undefined && record.recurrence !== null && record.recurrence !== '') {
+    recurrence = typeof record.recurrence === 'string'
+      ? parseRRule(record.recurrence)
+      : normalizeRecurrence(record.recurrence);
+    if (!recurrence) {
+      return { error: '繰り返しルールが不正です' };
+    }
+  }
+
+  // 【追加機能11】サブタスクは配列（JSON）またはJSON文字列（CSV）
+  let subtasks = record.subtasks;
+  if (typeof subtasks === 'string' && subtasks !== '') {
+    try {
+      subtasks = JSON.parse(subtasks);
+    } catch (error) {
+      return { error: 'サブタスクの形式が正しくありません' };
+    }
+  }
+
+  // IDは取り込み時に採番し直す場合があるため、整数でなければ未指定扱い
+  const id = Number(record.id);
+
+  // 【追加機能13】並び順は数値でなければ未指定扱い（取り込み時に末尾に並べる）
+  const position = record.position === undefined || record.position === '' || record.position === null
+    ? null
+    : Number(record.position);
+
+  return {
+    todo: {
+      id: Number.isInteger(id) && id > 0 ? id : null,
+      text,
+      status,
+      createdAt,
+      archived,
+      dueDate,
+      recurrence,
+      subtasks: normalizeSubtasks(subtasks),
+      position: Number.isFinite(position) ? position : null,
+      // 【追加機能15】タグは配列（JSON）またはカンマ区切りの文字列（CSV）
+      tags: normalizeTags(typeof record.tags === 'string' ? record.tags.split(',') : record.tags),
+      priority,
+      // 処理中になった日時が不明な場合は、取り込んだ時点から数える
+      doingSince: status === 'doing'
+        ? (isValidTimestamp(record.doingSince) ? record.doingSince : new Date().toISOString())
+        : null,
+      dueTime: dueDate ? dueTime : null,
+      // リマインダーは配列（JSON）またはカンマ区切りの文字列（CSV）
+      reminders: dueDate
+        ? normalizeReminders(typeof record.reminders === 'string' ? record.reminders.split(',') : record.reminders)
+        : [],
+      // 【追加機能20】iCalendarから読み込んだTodoの元のUID
+      icalUid: typeof record.icalUid === 'string' && record.icalUid !== '' ? record.icalUid : null,
+      // 【追加機能21】リスト名（取り込み時に同じ名前のリストに入れる）
+      list: typeof record.list === 'string' && record.list.trim() !== '' ? record.list.trim() : null,
+      // 【追加機能23】完了・アーカイブした日時が不明な場合は、取り込んだ時点から数える
+      // （完全に削除する予定は引き継がない）
+      completedAt: status === 'done'
+        ? (isValidTimestamp(record.completedAt) ? record.completedAt : new Date().toISOString())
+        : null,
+      archivedAt: archived
+        ? (isValidTimestamp(record.archivedAt) ? record.archivedAt : new Date().toISOString())
+        : null,
+      purgeAt: null
+    }
+  };
+}
+
+/**
+ * 【追加機能16】日時として解釈できる文字列か判定
+ * @param {*} value - 判定する値
+ * @returns {boolean}
+ */
+function isValidTimestamp(value) {
+  return typeof value === 'string' && value !== '' && !Number.isNaN(new Date(value).getTime());
+}
@@ -0,0 +1,46 @@
+/**
+ * todoImportExport.jsのテスト（npm testで実行）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportTodosToCsv, parseCsvImport } from './todoImportExport.js';
+
+/**
+ * テスト用のTodoを作成
+ * @param {number} id - ID
+ * @param {string} text - 内容
+ * @returns {Object} Todoオブジェクト
+ */
+function createTodo(id, text) {
+  return {
+    id,
+    text,
+    status: 'todo',
+    createdAt: '2026-10-01T00:00:00.000Z',
+    dueDate: null,
+    tags: [],
+    priority: 'medium'
+  };
+}
+
+test('数式として実行される値は先頭に\'を付けて囲む', () => {
+  const texts = ['=HYPERLINK("http://example.com")', '+1', '-2', '@SUM(A1)', '\tタブ', '\r改行'];
+  const csv = exportTodosToCsv(texts.map((text, index) => createTodo(index + 1, text)));
+  const lines = csv.replace(/^\uFEFF/, '').split('\r\n');
+
+  assert.ok(lines.some(line => line.includes('"\'=HYPERLINK(""http://example.com"")"')));
+  assert.ok(lines.some(line => line.includes('"\'+1"')));
+  assert.ok(lines.some(line => line.includes('"\'-2"')));
+  assert.ok(lines.some(line => line.includes('"\'@SUM(A1)"')));
+  assert.ok(!/(^|,)[=+\-@]/.test(csv));
+});
+
+test('書き出したCSVを読み込むと元の内容に戻る', () => {
+  const texts = ['=1+1', '@メンション', "'=元から'付き", "'引用", '普通の内容'];
+  const csv = exportTodosToCsv(texts.map((text, index) => createTodo(index + 1, text)));
+  const { todos, errors } = parseCsvImport(csv);
+
+  assert.deepEqual(errors, []);
+  assert.deepEqual(todos.map(todo => todo.text), texts);
+});
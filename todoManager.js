@@ -1,39 +1,390 @@
 /**
  * TodoManager
- * localStorageを使用してTodoデータを管理するモジュール
+ * ストレージアダプターを使用してTodoデータを管理するモジュール
  *
  * 【JavaScriptの強み】
- * ・即座の状態更新：データ変更後すぐにlocalStorageへ保存
+ * ・即座の状態更新：データ変更後すぐにメモリ上のキャッシュへ反映し、ストレージへ保存
  * ・保存処理の一元化：全ての変更がsaveTodos()を経由
  * ・クライアント完結：サーバー通信不要で高速レスポンス
+ *
+ * 【追加機能7】保存先はtodoStorage.jsのアダプターで差し替え可能
+ * 読み込みは起動時の1回だけ行い、以降はキャッシュから同期的に取得する
  */
 
-const STORAGE_KEY = 'todos';
+import { recordChange, popUndo, popRedo, canUndo, canRedo } from './todoHistory.js';
+import { createLocalStorageAdapter, migrateLegacyTodos } from './todoStorage.js';
+import {
+  createEnvelope,
+  unwrapEnvelope,
+  migrateEnvelope,
+  validateTodos,
+  validateLists,
+  createList
+} from './todoSchema.js';
+import { normalizeRecurrence, getNextDueDate } from './todoRecurrence.js';
+import { getSetting } from './todoSettings.js';
+import { normalizeTag, normalizeTags } from './todoTags.js';
+import { normalizePriority, scoreTodo } from './todoPriority.js';
+import { normalizeReminders, isValidTime } from './todoReminders.js';
+import { getTodoUid } from './todoICal.js';
+import { applyRetentionRules } from './todoRetention.js';
+import { recordActivity } from './todoActivity.js';
+import { recordDeletedCompletions, loadCompletionRecords, computeStatistics } from './todoStats.js';
+import { enqueueMutations } from './todoRemoteSync.js';
+import {
+  createTabChannel,
+  withStorageLock,
+  mergeTodos,
+  stampChanges,
+  isSameTodo,
+  isSameTodoList
+} from './todoSync.js';
+
+// 使用中のストレージアダプター（initTodoStore()で設定、読み込みに失敗した場合はnull）
+let storage = createLocalStorageAdapter();
+
+// ストレージから読み込んだTodoのキャッシュ
+let cachedTodos = [];
+
+// 【追加機能8】検証で修復できず隔離したレコード（保存時にそのまま書き戻す）
+let quarantine = [];
+
+// 【追加機能21】リストのキャッシュ
+let cachedLists = [];
+
+// 【追加機能9】最後にストレージと同期した時点のTodo（3方向マージの基準）
+let syncedTodos = [];
+
+// 【追加機能21】最後にストレージと同期した時点のリスト
+let syncedLists = [];
+
+// 【追加機能9】他のタブとの通知チャンネル（startTabSync()で作成）
+let tabChannel = null;
+
+// 保存を順番に実行するためのPromiseチェーン
+let pendingSave = Promise.resolve();
+
+// 保存失敗時に呼び出すリスナー
+const storageErrorListeners = [];
+
+// 【追加機能9】他のタブの変更を取り込んだときに呼び出すリスナー
+const remoteChangeListeners = [];
 
 /**
- * localStorageから全てのTodoを取得
- * @returns {Array} Todoの配列
+ * 【追加機能7】ストレージを初期化し、保存済みのTodoを読み込む
+ * 旧バージョンのlocalStorageのデータがあれば、1度だけ新しいアダプターへ移行する
+ * 【追加機能8】読み込んだデータをスキーマの移行・検証にかけ、結果を報告する
+ * 読み込みに失敗した場合は、保存済みのデータを上書きしないよう保存を停止する
+ * @param {Object} adapter - 使用するストレージアダプター
+ * @returns {Promise<Object>} 読み込み結果
+ *   { migrated, legacyBackedUp, legacyBackupKey, appliedMigrations, repaired, quarantined, loadError }
  */
-export function getTodos() {
+export async function initTodoStore(adapter) {
+  storage = adapter;
+
+  const report = {
+    migrated: 0,
+    legacyBackedUp: 0,
+    legacyBackupKey: null,
+    appliedMigrations: [],
+    repaired: [],
+    quarantined: [],
+    loadError: null
+  };
+
   try {
-    const todos = localStorage.getItem(STORAGE_KEY);
-    return todos ? JSON.parse(todos) : [];
+    const legacyResult = await migrateLegacyTodos(adapter);
+    report.migrated = legacyResult.migrated;
+    report.repaired = legacyResult.repaired;
+    report.quarantined = legacyResult.quarantined;
+    report.legacyBackedUp = legacyResult.backedUp;
+    report.legacyBackupKey = legacyResult.backupKey;
+  } catch (error) {
+    console.error('Todoの移行に失敗しました:', error);
+  }
+
+  try {
+    const loaded = await loadFromStorage(adapter);
+
+    cachedTodos = loaded.todos;
+    syncedTodos = structuredClone(loaded.todos);
+    cachedLists = loaded.lists;
+    syncedLists = structuredClone(loaded.lists);
+    quarantine = loaded.quarantine;
+    report.appliedMigrations = loaded.applied;
+    report.repaired = report.repaired.concat(loaded.repaired);
+    report.quarantined = report.quarantined.concat(loaded.quarantined);
+
+    // 移行・修復した結果を書き戻し、次回以降は同じ処理をしない
+    if (loaded.applied.length > 0 || loaded.repaired.length > 0 || loaded.quarantined.length > 0 || loaded.listsChanged) {
+      scheduleSync();
+    }
   } catch (error) {
     console.error('Todoの取得に失敗しました:', error);
-    return [];
+    storage = null;
+    cachedTodos = [];
+    syncedTodos = [];
+    cachedLists = validateLists([]).lists;
+    syncedLists = [];
+    quarantine = [];
+    report.loadError = error;
   }
+
+  return report;
+}
+
+/**
+ * 【追加機能8】ストレージから読み込み、スキーマの移行と検証を行う
+ * @param {Object} adapter - ストレージアダプター
+ * @returns {Promise<Object>} { todos, lists, quarantine, applied, repaired, quarantined, listsChanged }
+ */
+async function loadFromStorage(adapter) {
+  const { envelope, applied } = migrateEnvelope(unwrapEnvelope(await adapter.load()));
+  // 【追加機能21】リストを先に検証し、存在しないリストのTodoは最初のリストへ移す
+  const { lists, changed: listsChanged } = validateLists(envelope.lists);
+  const { todos, quarantined, repaired } = validateTodos(envelope.todos, lists);
+
+  return {
+    todos,
+    lists,
+    listsChanged,
+    quarantine: envelope.quarantine.concat(quarantined.map(item => item.record)),
+    applied,
+    repaired,
+    quarantined
+  };
+}
+
+/**
+ * 【追加機能7】保存失敗時のリスナーを登録
+ * @param {Function} listener - 失敗時に呼ばれる関数（引数はエラー）
+ */
+export function onStorageError(listener) {
+  storageErrorListeners.push(listener);
+}
+
+/**
+ * 【追加機能9】他のタブの変更を取り込んだときのリスナーを登録
+ * @param {Function} listener - 取り込み後に呼ばれる関数（引数は{ conflicts }）
+ */
+export function onRemoteChange(listener) {
+  remoteChangeListeners.push(listener);
+}
+
+/**
+ * 【追加機能9】他のタブとの同期を開始
+ * 他のタブが保存したら、ストレージの最新データをこのタブへ取り込む
+ */
+export function startTabSync() {
+  if (tabChannel) return;
+  // storageイベントはlocalStorageに保存するアダプターでしか発生しないため、そのキーだけを渡す
+  tabChannel = createTabChannel(() => scheduleSync(), storage && storage.storageKey);
+}
+
+/**
+ * 全てのTodoを取得
+ * 呼び出し側で変更してもキャッシュに影響しないよう複製を返す
+ * @returns {Array} Todoの配列
+ */
+export function getTodos() {
+  return structuredClone(cachedTodos);
+}
+
+/**
+ * 【追加機能21】全てのリストを並び順で取得
+ * 呼び出し側で変更してもキャッシュに影響しないよう複製を返す
+ * @returns {Array} リストの配列
+ */
+export function getLists() {
+  return structuredClone(cachedLists).sort((a, b) => a.position - b.position || a.id - b.id);
+}
+
+/**
+ * 【追加機能21】表示中のリストのIDを取得
+ * 設定のリストが削除されている場合は全てのリストを表示する
+ * @returns {number|null} リストのID、全てのリストを表示中の場合はnull
+ */
+export function getActiveListId() {
+  const listId = getSetting('activeListId');
+  return cachedLists.some(list => list.id === listId) ? listId : null;
+}
+
+/**
+ * 【追加機能21】新しいTodoを入れるリストのIDを取得
+ * 指定がなければ表示中のリスト、全てのリストを表示中なら最初のリストに入れる
+ * @param {number|null} [listId] - 指定したリストのID
+ * @returns {number} リストのID
+ */
+function resolveListId(listId) {
+  if (cachedLists.some(list => list.id === listId)) return listId;
+  return getActiveListId() ?? getLists()[0].id;
 }
 
 /**
- * localStorageにTodoを保存
+ * Todoを書き込む（履歴には記録しない）
+ * 【追加機能7】キャッシュは即座に更新し、ストレージへの保存は順番に非同期で行う
+ * 【追加機能9】変更されたTodoにはリビジョンと更新日時を付ける
+ * 【追加機能24】全ての変更はここを通るため、ここで変更履歴（アクティビティ）に記録する
+ * 【追加機能25】完了したTodoが削除された場合は、統計のために完了の記録を残す
+ * 【追加機能27】サーバーと同期している場合は、変更を未送信のキューに記録する
  * @param {Array} todos - 保存するTodoの配列
+ * @param {Array} [lists] - 【追加機能21】リストも変更する場合は保存するリストの配列
+ * @param {Object} activity - 【追加機能24】{ label: 操作の説明, source: 'user' | 'undo' | 'redo' | 'auto' }
  */
-function saveTodos(todos) {
-  try {
-    localStorage.setItem(STORAGE_KEY, JSON.stringify(todos));
-  } catch (error) {
-    console.error('Todoの保存に失敗しました:', error);
+function writeTodos(todos, lists, activity) {
+  const todosBefore = cachedTodos;
+  const listsBefore = cachedLists;
+
+  cachedTodos = stampChanges(cachedTodos, structuredClone(todos));
+  if (lists) {
+    cachedLists = stampChanges(cachedLists, structuredClone(lists));
   }
+
+  const changes = {
+    todos: { before: todosBefore, after: cachedTodos },
+    lists: lists ? { before: listsBefore, after: cachedLists } : null
+  };
+  recordActivity(changes, activity);
+  recordDeletedCompletions(todosBefore, cachedTodos);
+  if (getSetting('remoteSync').enabled) {
+    enqueueMutations(changes);
+  }
+  scheduleSync();
+}
+
+/**
+ * ストレージとの同期を予約する
+ * 保存に失敗した場合は登録されたリスナーへ通知する
+ */
+function scheduleSync() {
+  const adapter = storage;
+  pendingSave = pendingSave
+    .then(() => {
+      if (!adapter) {
+        throw new Error('読み込みに失敗したため、保存を停止しています');
+      }
+      return withStorageLock(() => syncWithStorage(adapter));
+    })
+    .catch(error => {
+      console.error('Todoの保存に失敗しました:', error);
+      storageErrorListeners.forEach(listener => listener(error));
+    });
+}
+
+/**
+ * 【追加機能9】ストレージの最新データとこのタブのデータをマージして保存
+ * 他のタブが先に保存していても、その変更を上書きせずに取り込む
+ * @param {Object} adapter - ストレージアダプター
+ * @returns {Promise<void>}
+ */
+async function syncWithStorage(adapter) {
+  const remote = await loadFromStorage(adapter);
+  const { todos: mergedTodos, conflicts } = mergeTodos(syncedTodos, cachedTodos, remote.todos);
+  // 【追加機能21】リストもTodoと同じ形（id・revision・updatedAt）のため、同じ3方向マージを使う
+  // 他のタブで削除されたリストに入っていたTodoは、検証で最初のリストへ移す
+  const { lists: mergedLists } = validateLists(mergeTodos(syncedLists, cachedLists, remote.lists).todos);
+  const merged = validateTodos(mergedTodos, mergedLists).todos;
+
+  const localChanged = !isSameTodoList(merged, cachedTodos) || !isSameTodoList(mergedLists, cachedLists);
+  const remoteChanged = !isSameTodoList(merged, remote.todos) || !isSameTodoList(mergedLists, remote.lists) ||
+    remote.applied.length > 0 || remote.repaired.length > 0 || remote.quarantined.length > 0 ||
+    remote.listsChanged;
+
+  cachedTodos = merged;
+  cachedLists = mergedLists;
+  quarantine = mergeQuarantine(quarantine, remote.quarantine);
+
+  if (remoteChanged) {
+    await adapter.save(createEnvelope(structuredClone(merged), quarantine, structuredClone(mergedLists)));
+    if (tabChannel) tabChannel.notify();
+  }
+  syncedTodos = structuredClone(merged);
+  syncedLists = structuredClone(mergedLists);
+
+  if (localChanged || conflicts.length > 0) {
+    remoteChangeListeners.forEach(listener => listener({ conflicts }));
+  }
+}
+
+/**
+ * 【追加機能27】サーバーから取得したTodoとリストを、このブラウザのデータと3方向マージして取り込む
+ * 他のタブの変更の取り込みと同じく、履歴（元に戻す）には記録しない
+ * サーバーへ送るTodoは、サーバーのものよりリビジョンを大きくする（サーバーはリビジョンをETagとして使う）
+ * @param {Object} base - 最後に同期した時点のサーバーの状態 { todos, lists }
+ * @param {Object} remote - サーバーの最新の状態 { todos, lists }
+ * @returns {Object} マージした結果 { todos, lists }（サーバーへ送る内容）
+ */
+export function applyRemoteChanges(base, remote) {
+  const { todos: mergedTodos, conflicts } = mergeTodos(base.todos, cachedTodos, remote.todos);
+  const { lists: mergedLists } = validateLists(mergeTodos(base.lists, cachedLists, remote.lists).todos);
+  const todos = bumpRevisions(validateTodos(mergedTodos, mergedLists).todos, remote.todos);
+  const lists = bumpRevisions(mergedLists, remote.lists);
+
+  const localChanged = !isSameTodoList(todos, cachedTodos) || !isSameTodoList(lists, cachedLists);
+  if (localChanged) {
+    recordActivity({
+      todos: { before: cachedTodos, after: todos },
+      lists: { before: cachedLists, after: lists }
+    }, { label: 'サーバーとの同期', source: 'sync' });
+    cachedTodos = todos;
+    cachedLists = lists;
+    scheduleSync();
+  }
+  if (localChanged || conflicts.length > 0) {
+    remoteChangeListeners.forEach(listener => listener({ conflicts }));
+  }
+
+  return { todos: structuredClone(todos), lists: structuredClone(lists) };
+}
+
+/**
+ * 【追加機能27】サーバーと内容が違うのにリビジョンが大きくないもの（読み込み時の修復など）のリビジョンを上げる
+ * @param {Array} items - Todoまたはリストの配列
+ * @param {Array} remoteItems - サーバーの配列
+ * @returns {Array} リビジョンを上げた配列
+ */
+function bumpRevisions(items, remoteItems) {
+  const remoteById = new Map(remoteItems.map(item => [item.id, item]));
+  return items.map(item => {
+    const remoteItem = remoteById.get(item.id);
+    if (remoteItem && item.revision <= remoteItem.revision && !isSameTodo(item, remoteItem)) {
+      return { ...item, revision: remoteItem.revision + 1, updatedAt: new Date().toISOString() };
+    }
+    return item;
+  });
+}
+
+/**
+ * 【追加機能9】隔離したレコードを重複なく結合
+ * @param {Array} local - このタブの隔離レコード
+ * @param {Array} remote - ストレージの隔離レコード
+ * @returns {Array} 結合した隔離レコード
+ */
+function mergeQuarantine(local, remote) {
+  const seen = new Set(remote.map(record => JSON.stringify(record)));
+  return remote.concat(local.filter(record => !seen.has(JSON.stringify(record))));
+}
+
+/**
+ * 【追加機能7】保留中の保存が全て終わるまで待つ
+ * @returns {Promise<void>}
+ */
+export function flushTodos() {
+  return pendingSave;
+}
+
+/**
+ * Todoを保存
+ * 【追加機能5】保存前の状態を履歴に記録し、元に戻せるようにする
+ * @param {Array} todos - 保存するTodoの配列
+ * @param {string} label - 変更内容の説明（元に戻す際の通知に使用）
+ * @param {Array} [lists] - 【追加機能21】リストも変更する場合は保存するリストの配列（Todoと1回の操作として記録）
+ */
+function saveTodos(todos, label, lists) {
+  const before = getTodos();
+  const listsBefore = getLists();
+  writeTodos(todos, lists, { label, source: 'user' });
+  recordChange(label, before, structuredClone(todos), lists ? { before: listsBefore, after: structuredClone(lists) } : null);
 }
 
 /**
@@ -41,32 +392,65 @@ function saveTodos(todos) {
  * @param {string} text - Todoの内容
  * @param {string} status - Todoのステータス（"todo" | "doing" | "done"）
  * @param {string|null} dueDate - 期日（YYYY-MM-DD形式、任意）
+ * @param {Object} [options] - 追加の設定
+ * @param {Object|null} [options.recurrence] - 【追加機能10】繰り返しルール（todoRecurrence.js参照）
+ * @param {number|null} [options.listId] - 【追加機能21】追加先のリスト（省略時は表示中のリスト）
  * @returns {Object} 追加されたTodo
  */
-export function addTodo(text, status = 'todo', dueDate = null) {
+export function addTodo(text, status = 'todo', dueDate = null, options = {}) {
   const todos = getTodos();
 
-  // 新しいIDを生成（既存の最大ID + 1）
-  const newId = todos.length > 0
-    ? Math.max(...todos.map(todo => todo.id)) + 1
-    : 1;
-
   const newTodo = {
-    id: newId,
+    id: getNextId(todos),
     text: text.trim(),
     status: status,
     createdAt: new Date().toISOString(), // 作成日時を記録（ソート用）
     archived: false, // 【追加機能2】アーカイブフラグを追加
-    dueDate: dueDate // 【追加機能4】期日を追加
+    dueDate: dueDate, // 【追加機能4】期日を追加
+    recurrence: normalizeRecurrence(options.recurrence), // 【追加機能10】繰り返しルールを追加
+    subtasks: [], // 【追加機能11】サブタスクを追加
+    position: getNextPosition(todos), // 【追加機能13】手動の並び順（末尾に追加）
+    tags: normalizeTags(options.tags), // 【追加機能15】タグを追加
+    priority: normalizePriority(options.priority), // 【追加機能16】優先度を追加
+    doingSince: status === 'doing' ? new Date().toISOString() : null, // 【追加機能16】処理中になった日時
+    dueTime: dueDate && isValidTime(options.dueTime) ? options.dueTime : null, // 【追加機能18】期日の時刻
+    reminders: dueDate ? normalizeReminders(options.reminders) : [], // 【追加機能18】リマインダー
+    icalUid: null, // 【追加機能20】iCalendarから読み込んだ場合の元のUID
+    listId: resolveListId(options.listId), // 【追加機能21】所属するリスト
+    completedAt: status === 'done' ? new Date().toISOString() : null, // 【追加機能23】完了した日時
+    archivedAt: null, // 【追加機能23】アーカイブした日時
+    purgeAt: null // 【追加機能23】自動で完全に削除する予定の日時
   };
 
   todos.push(newTodo);
   // 【重要】saveTodos()を通すことで保存処理が一元化されている
-  saveTodos(todos);
+  saveTodos(todos, 'Todoの追加');
 
   return newTodo;
 }
 
+/**
+ * 新しいIDを生成（既存の最大ID + 1）
+ * @param {Array} todos - Todoの配列
+ * @returns {number} 新しいID
+ */
+function getNextId(todos) {
+  return todos.length > 0
+    ? Math.max(...todos.map(todo => todo.id)) + 1
+    : 1;
+}
+
+/**
+ * 【追加機能13】末尾に並べるための並び順の値を生成（既存の最大値 + 1）
+ * @param {Array} todos - Todoの配列
+ * @returns {number} 並び順の値
+ */
+function getNextPosition(todos) {
+  return todos.length > 0
+    ? Math.max(...todos.map(todo => todo.position)) + 1
+    : 1;
+}
+
 /**
  * Todoを削除
  * @param {number} id - 削除するTodoのID
@@ -80,12 +464,31 @@ export function deleteTodo(id) {
     return false; // 削除対象が見つからなかった
   }
 
-  saveTodos(filteredTodos);
+  saveTodos(filteredTodos, 'Todoの削除');
   return true;
 }
 
+/**
+ * 【追加機能22】複数のTodoをまとめて削除（1回の操作として元に戻せる）
+ * @param {Array<number>} ids - 削除するTodoのID
+ * @returns {number} 削除したTodoの件数
+ */
+export function deleteTodos(ids) {
+  const idSet = new Set(ids);
+  const todos = getTodos();
+  const filteredTodos = todos.filter(todo => !idSet.has(todo.id));
+  const deleted = todos.length - filteredTodos.length;
+
+  if (deleted > 0) {
+    saveTodos(filteredTodos, 'Todoの一括削除');
+  }
+  return deleted;
+}
+
 /**
  * Todoのステータスを更新
+ * 【追加機能10】繰り返しTodoを完了にすると、次回の期日で新しいTodoを作成する
+ *   （作成したTodoのIDは完了したTodoのnextOccurrenceIdに記録される）
  * @param {number} id - 更新するTodoのID
  * @param {string} newStatus - 新しいステータス
  * @returns {Object|null} 更新されたTodo、見つからない場合はnull
@@ -98,23 +501,142 @@ export function updateTodoStatus(id, newStatus) {
     return null;
   }
 
-  todo.status = newStatus;
-  saveTodos(todos);
+  applyStatus(todos, todo, newStatus);
+  saveTodos(todos, 'ステータスの変更');
 
   return todo;
 }
 
+/**
+ * Todoにステータスを設定し、それに伴う処理を行う（保存はしない）
+ * @param {Array} todos - 全てのTodoの配列（次回分の追加先）
+ * @param {Object} todo - 対象のTodo
+ * @param {string} newStatus - 新しいステータス
+ */
+function applyStatus(todos, todo, newStatus) {
+  // 【追加機能10】繰り返しTodoが完了したら、次回分を作成する
+  // 作成済みの場合（完了→未完了→完了など）は重複して作らない
+  if (newStatus === 'done' && todo.status !== 'done' && todo.recurrence && !todo.nextOccurrenceId) {
+    const nextTodo = {
+      id: getNextId(todos),
+      text: todo.text,
+      status: 'todo',
+      createdAt: new Date().toISOString(),
+      archived: false,
+      dueDate: getNextDueDate(todo.recurrence, todo.dueDate),
+      recurrence: todo.recurrence,
+      // 【追加機能11】チェックリストは未完了に戻して引き継ぐ
+      subtasks: todo.subtasks.map(subtask => ({ ...subtask, done: false })),
+      position: getNextPosition(todos),
+      tags: todo.tags,
+      priority: todo.priority,
+      doingSince: null,
+      dueTime: todo.dueTime,
+      reminders: todo.reminders,
+      // 【追加機能20】次回分は別の項目としてカレンダーに書き出す
+      icalUid: null,
+      listId: todo.listId,
+      completedAt: null,
+      archivedAt: null,
+      purgeAt: null
+    };
+    todos.push(nextTodo);
+    todo.nextOccurrenceId = nextTodo.id;
+  }
+
+  // 【追加機能16】処理中になった日時を記録する（「次にやること」のスコアに使う）
+  if (newStatus === 'doing' && todo.status !== 'doing') {
+    todo.doingSince = new Date().toISOString();
+  } else if (newStatus !== 'doing') {
+    todo.doingSince = null;
+  }
+
+  // 【追加機能23】完了した日時を記録する（自動アーカイブに使う）
+  if (newStatus === 'done' && todo.status !== 'done') {
+    todo.completedAt = new Date().toISOString();
+  } else if (newStatus !== 'done') {
+    todo.completedAt = null;
+  }
+
+  todo.status = newStatus;
+}
+
+/**
+ * 【追加機能23】Todoのアーカイブ状態を設定し、アーカイブした日時を記録する（保存はしない）
+ * 復元したTodoは、完全に削除する予定も取り消す
+ * @param {Object} todo - 対象のTodo
+ * @param {boolean} archived - アーカイブするか
+ */
+function applyArchived(todo, archived) {
+  if (archived && !todo.archived) {
+    todo.archivedAt = new Date().toISOString();
+  } else if (!archived) {
+    todo.archivedAt = null;
+    todo.purgeAt = null;
+  }
+  todo.archived = archived;
+}
+
+/**
+ * 【追加機能13】同じステータス内の並べ替え方法
+ * manual：手動（ドラッグで並べた順）、created：作成日時順、dueDate：期日順、alphabetical：名前順
+ */
+export const SORT_MODES = {
+  manual: (a, b) => a.position - b.position || compareCreatedAt(a, b),
+  created: (a, b) => compareCreatedAt(a, b),
+  // 期日のないTodoは最後に並べる
+  dueDate: (a, b) => {
+    if (a.dueDate !== b.dueDate) {
+      if (!a.dueDate) return 1;
+      if (!b.dueDate) return -1;
+      return a.dueDate < b.dueDate ? -1 : 1;
+    }
+    return compareCreatedAt(a, b);
+  },
+  alphabetical: (a, b) => a.text.localeCompare(b.text, 'ja') || compareCreatedAt(a, b)
+};
+
+/**
+ * 作成日時順（古い順）に比較
+ * 【追加機能8】createdAtは読み込み時の検証で必ず補われている
+ * @param {Object} a - Todo
+ * @param {Object} b - Todo
+ * @returns {number}
+ */
+function compareCreatedAt(a, b) {
+  return new Date(a.createdAt) - new Date(b.createdAt);
+}
+
 /**
  * 完了Todoを下に表示するようソートして取得
  * 【改善】完了したTodoが自動的に一覧の下に移動
  * 【追加機能2】アーカイブされたTodoを除外
+ * 【追加機能13】同じステータス内は指定した方法で並べ替える
+ * 【追加機能16】'nextUp'（次にやること）では、未完了と処理中をまとめてスコアの高い順に並べる
+ * 【追加機能21】指定したリストのTodoだけを取得する
+ * @param {string} [sortMode] - SORT_MODESのキーまたは'nextUp'（省略時は設定の並べ替え方法）
+ * @param {number|null} [listId] - リストのID（省略時は表示中のリスト、nullは全てのリスト）
  * @returns {Array} ソート済みのTodo配列
  */
-export function getSortedTodos() {
+export function getSortedTodos(sortMode = getSetting('sortMode'), listId = getActiveListId()) {
   const todos = getTodos();
+  const compare = SORT_MODES[sortMode] || SORT_MODES.manual;
 
   // アーカイブされていないTodoのみをフィルタ
-  const activeTodos = todos.filter(todo => !todo.archived);
+  const activeTodos = todos.filter(todo => !todo.archived && isInList(todo, listId));
+
+  if (sortMode === 'nextUp') {
+    const now = new Date();
+    const scores = new Map(activeTodos.map(todo => [todo.id, scoreTodo(todo, now).score]));
+    return activeTodos.sort((a, b) => {
+      // 完了したTodoは下に表示する
+      const doneDiff = Number(a.status === 'done') - Number(b.status === 'done');
+      if (doneDiff !== 0) return doneDiff;
+
+      // 同点の場合は手動の並び順
+      return scores.get(b.id) - scores.get(a.id) || SORT_MODES.manual(a, b);
+    });
+  }
 
   // ステータスの優先順位（未完了→処理中→完了の順）
   const statusPriority = {
@@ -128,18 +650,85 @@ export function getSortedTodos() {
     const priorityDiff = statusPriority[a.status] - statusPriority[b.status];
     if (priorityDiff !== 0) return priorityDiff;
 
-    // 同じステータス内では作成日時順（古い順）
-    return new Date(a.createdAt || 0) - new Date(b.createdAt || 0);
+    // 同じステータス内では指定した並べ替え方法で並べる
+    return compare(a, b);
   });
 }
 
+/**
+ * 【追加機能13】Todoを同じステータス内の指定した位置へ移動（手動の並び順）
+ * 前後のTodoの中間の値を並び順に設定するため、通常は移動したTodoだけが変更される
+ * （他のタブとの同期でも、別々のTodoの並び替えが競合しない）
+ * 中間の値が取れないほど間隔が詰まった場合だけ、同じステータスの並び順を振り直す
+ * 【追加機能21】並び順は同じリストの中で決める
+ * @param {number} id - 移動するTodoのID
+ * @param {number} newIndex - 同じリスト・同じステータスのTodo（アーカイブ済みを除く、手動の並び順）の中での新しい位置
+ * @returns {Object|null} 移動したTodo、見つからない場合はnull
+ */
+export function reorderTodo(id, newIndex) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === id);
+
+  if (!todo || todo.archived) {
+    return null;
+  }
+
+  const siblings = todos
+    .filter(other => !other.archived && other.status === todo.status && other.listId === todo.listId)
+    .sort(SORT_MODES.manual);
+  const currentIndex = siblings.indexOf(todo);
+  const index = Math.max(0, Math.min(newIndex, siblings.length - 1));
+
+  if (index === currentIndex) {
+    return structuredClone(todo); // 位置が変わらない場合は保存しない
+  }
+
+  siblings.splice(currentIndex, 1);
+  const previous = siblings[index - 1];
+  const next = siblings[index];
+
+  let position;
+  if (!previous) {
+    position = next.position - 1;
+  } else if (!next) {
+    position = previous.position + 1;
+  } else {
+    position = (previous.position + next.position) / 2;
+  }
+
+  if ((previous && position <= previous.position) || (next && position >= next.position)) {
+    siblings.splice(index, 0, todo);
+    siblings.forEach((sibling, i) => {
+      sibling.position = i + 1;
+    });
+  } else {
+    todo.position = position;
+  }
+
+  saveTodos(todos, 'Todoの並び替え');
+
+  return structuredClone(todo);
+}
+
 /**
  * 【追加機能2】アーカイブされたTodoを取得
+ * 【追加機能21】指定したリストのTodoだけを取得する
+ * @param {number|null} [listId] - リストのID（省略時は表示中のリスト、nullは全てのリスト）
  * @returns {Array} アーカイブ済みTodoの配列
  */
-export function getArchivedTodos() {
+export function getArchivedTodos(listId = getActiveListId()) {
   const todos = getTodos();
-  return todos.filter(todo => todo.archived);
+  return todos.filter(todo => todo.archived && isInList(todo, listId));
+}
+
+/**
+ * 【追加機能21】Todoが指定したリストに属するか判定
+ * @param {Object} todo - Todoオブジェクト
+ * @param {number|null} listId - リストのID（nullは全てのリスト）
+ * @returns {boolean}
+ */
+function isInList(todo, listId) {
+  return listId === null || todo.listId === listId;
 }
 
 /**
@@ -155,8 +744,8 @@ export function archiveTodo(id) {
     return null;
   }
 
-  todo.archived = true;
-  saveTodos(todos);
+  applyArchived(todo, true);
+  saveTodos(todos, 'アーカイブ');
 
   return todo;
 }
@@ -174,18 +763,130 @@ export function unarchiveTodo(id) {
     return null;
   }
 
-  todo.archived = false;
-  saveTodos(todos);
+  applyArchived(todo, false);
+  saveTodos(todos, 'アーカイブからの復元');
 
   return todo;
 }
 
+/**
+ * 【追加機能22】複数のTodoに同じ変更を加え、1回の保存・1回の操作として記録する
+ * @param {Array<number>} ids - 対象のTodoのID
+ * @param {string} label - 変更内容の説明
+ * @param {Function} canApply - 変更の対象にするかを返す関数（対象外のTodoは数えない）
+ * @param {Function} apply - Todoと全てのTodoの配列を受け取り、Todoを変更する関数
+ * @returns {number} 変更したTodoの件数
+ */
+function updateTodos(ids, label, canApply, apply) {
+  const idSet = new Set(ids);
+  const todos = getTodos();
+  const targets = todos.filter(todo => idSet.has(todo.id) && canApply(todo));
+
+  if (targets.length > 0) {
+    targets.forEach(todo => apply(todo, todos));
+    saveTodos(todos, label);
+  }
+
+  return targets.length;
+}
+
+/**
+ * 【追加機能22】複数のTodoのステータスをまとめて変更
+ * 繰り返しTodoを完了にした場合は、1件ずつ変更したときと同じく次回分を作成する
+ * @param {Array<number>} ids - 対象のTodoのID
+ * @param {string} newStatus - 新しいステータス
+ * @returns {number} 変更したTodoの件数（既に同じステータスのものとアーカイブ済みは除く）
+ */
+export function updateTodosStatus(ids, newStatus) {
+  return updateTodos(
+    ids,
+    'ステータスの一括変更',
+    todo => !todo.archived && todo.status !== newStatus,
+    (todo, todos) => applyStatus(todos, todo, newStatus)
+  );
+}
+
+/**
+ * 【追加機能22】複数のTodoの期日をまとめて変更
+ * @param {Array<number>} ids - 対象のTodoのID
+ * @param {string|null} dueDate - 新しい期日（YYYY-MM-DD形式、nullで削除）
+ * @returns {number} 変更したTodoの件数（アーカイブ済みは除く）
+ */
+export function updateTodosDueDate(ids, dueDate) {
+  return updateTodos(
+    ids,
+    '期日の一括変更',
+    todo => !todo.archived && todo.dueDate !== dueDate,
+    todo => {
+      todo.dueDate = dueDate;
+      // 【追加機能18】期日を削除したら、時刻とリマインダーも削除する
+      if (!dueDate) {
+        todo.dueTime = null;
+        todo.reminders = [];
+      }
+    }
+  );
+}
+
+/**
+ * 【追加機能22】複数のTodoをまとめてアーカイブ
+ * @param {Array<number>} ids - 対象のTodoのID
+ * @returns {number} アーカイブしたTodoの件数
+ */
+export function archiveTodos(ids) {
+  return updateTodos(ids, '一括アーカイブ', todo => !todo.archived, todo => {
+    applyArchived(todo, true);
+  });
+}
+
+/**
+ * 【追加機能22】複数のTodoをまとめてアーカイブから復元
+ * @param {Array<number>} ids - 対象のTodoのID
+ * @returns {number} 復元したTodoの件数
+ */
+export function unarchiveTodos(ids) {
+  return updateTodos(ids, 'アーカイブからの一括復元', todo => todo.archived, todo => {
+    applyArchived(todo, false);
+  });
+}
+
+/**
+ * 【追加機能22】表示中のリストの完了したTodoを全てアーカイブ
+ * @param {number|null} [listId] - リストのID（省略時は表示中のリスト、nullは全てのリスト）
+ * @returns {number} アーカイブしたTodoの件数
+ */
+export function archiveDoneTodos(listId = getActiveListId()) {
+  const ids = getSortedTodos(undefined, listId)
+    .filter(todo => todo.status === 'done')
+    .map(todo => todo.id);
+  return updateTodos(ids, '完了したTodoのアーカイブ', () => true, todo => {
+    applyArchived(todo, true);
+  });
+}
+
+/**
+ * 【追加機能23】保持ルール（自動アーカイブ・自動削除）を全てのリストのTodoに適用する
+ * ユーザーの操作ではないため履歴には記録しない（元に戻すの対象にしない）
+ * @param {Object} [rules] - 保持ルール（省略時は設定のルール）
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Array} 処理の結果（[{ action, todos: [{ id, text }] }]、何もしなかった場合は空）
+ */
+export function runRetentionRules(rules = getSetting('retentionRules'), now = new Date()) {
+  const { todos, results } = applyRetentionRules(getTodos(), rules, now);
+  if (results.length > 0) {
+    writeTodos(todos, undefined, { label: '自動整理', source: 'auto' });
+  }
+  return results;
+}
+
 /**
  * 【追加機能1】ステータス別のTodo件数を取得
+ * 【追加機能21】指定したリストのTodoだけを数える
+ * @param {number|null} [listId] - リストのID（省略時は表示中のリスト、nullは全てのリスト）
  * @returns {Object} ステータス別の件数オブジェクト
  */
-export function getStatusSummary() {
-  const todos = getSortedTodos(); // アーカイブされていないTodoのみ
+export function getStatusSummary(listId = getActiveListId()) {
+  const todos = getSortedTodos(undefined, listId); // アーカイブされていないTodoのみ
 
   return {
     todo: todos.filter(t => t.status === 'todo').length,
@@ -195,6 +896,151 @@ export function getStatusSummary() {
   };
 }
 
+/**
+ * 【追加機能15】タグごとのTodoの件数を取得
+ * getStatusSummary()と同じく、アーカイブされていないTodoを数える
+ * @param {number|null} [listId] - 【追加機能21】リストのID（省略時は表示中のリスト、nullは全てのリスト）
+ * @returns {Array} { tag, count }の配列（件数の多い順、同数は名前順）
+ */
+export function getTagSummary(listId = getActiveListId()) {
+  const counts = new Map();
+  getSortedTodos(undefined, listId).forEach(todo => {
+    todo.tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+  });
+
+  return [...counts]
+    .map(([tag, count]) => ({ tag, count }))
+    .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag, 'ja'));
+}
+
+/**
+ * 【追加機能25】完了の推移などの統計を取得
+ * アーカイブ済みのTodoと、削除した完了済みのTodoの記録も含めて計算する
+ * @param {number|null} [listId] - リストのID（省略時は表示中のリスト、nullは全てのリスト）
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Object} computeStatistics()の結果
+ */
+export function getStatistics(listId = getActiveListId(), now = new Date()) {
+  const todos = getTodos().filter(todo => isInList(todo, listId));
+  const records = loadCompletionRecords().filter(record => isInList(record, listId));
+  return computeStatistics(todos, records, now);
+}
+
+/**
+ * 【追加機能15】使われている全てのタグを取得（アーカイブ済みのTodoも含む）
+ * @returns {Array<string>} タグ名の配列（名前順）
+ */
+export function getAllTags() {
+  const tags = new Set(getTodos().flatMap(todo => todo.tags));
+  return [...tags].sort((a, b) => a.localeCompare(b, 'ja'));
+}
+
+/**
+ * 【追加機能18】Todoの期日の時刻とリマインダーを更新（1回の操作として元に戻せる）
+ * @param {number} id - 更新するTodoのID
+ * @param {string|null} dueTime - 新しい時刻（HH:MM形式、nullで削除）
+ * @param {Array<number>} reminders - 期日の何分前に通知するかの配列
+ * @returns {Object|null} 更新されたTodo、見つからない場合や時刻が不正な場合はnull
+ */
+export function updateTodoReminders(id, dueTime, reminders) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === id);
+
+  if (!todo || (dueTime !== null && !isValidTime(dueTime))) {
+    return null;
+  }
+
+  todo.dueTime = dueTime;
+  todo.reminders = normalizeReminders(reminders);
+  saveTodos(todos, '時刻・リマインダーの変更');
+
+  return todo;
+}
+
+/**
+ * 【追加機能16】Todoの優先度を更新
+ * @param {number} id - 更新するTodoのID
+ * @param {string} priority - 新しい優先度（'high' | 'medium' | 'low'）
+ * @returns {Object|null} 更新されたTodo、見つからない場合はnull
+ */
+export function updateTodoPriority(id, priority) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === id);
+
+  if (!todo) {
+    return null;
+  }
+
+  todo.priority = normalizePriority(priority);
+  saveTodos(todos, '優先度の変更');
+
+  return todo;
+}
+
+/**
+ * 【追加機能15】Todoのタグを更新
+ * @param {number} id - 更新するTodoのID
+ * @param {Array<string>} tags - 新しいタグの配列
+ * @returns {Object|null} 更新されたTodo、見つからない場合はnull
+ */
+export function updateTodoTags(id, tags) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === id);
+
+  if (!todo) {
+    return null;
+  }
+
+  todo.tags = normalizeTags(tags);
+  saveTodos(todos, 'タグの変更');
+
+  return todo;
+}
+
+/**
+ * 【追加機能15】タグの名前を全てのTodoで変更
+ * 変更後の名前のタグが既にあるTodoでは、1つにまとめる（統合）
+ * @param {string} oldName - 変更するタグ名
+ * @param {string} newName - 新しいタグ名
+ * @returns {number} 変更したTodoの件数（タグ名が無効な場合は0）
+ */
+export function renameTag(oldName, newName) {
+  return mergeTags([oldName], newName);
+}
+
+/**
+ * 【追加機能15】複数のタグを1つのタグに統合
+ * 全てのTodo（アーカイブ済みを含む）で、統合元のタグを統合先のタグに置き換える
+ * 全ての変更を1回の保存で行うため、元に戻すも1回でできる
+ * @param {Array<string>} sourceTags - 統合元のタグ名の配列
+ * @param {string} targetTag - 統合先のタグ名
+ * @returns {number} 変更したTodoの件数（タグ名が無効な場合は0）
+ */
+export function mergeTags(sourceTags, targetTag) {
+  const target = normalizeTag(targetTag);
+  const sources = normalizeTags(sourceTags).filter(tag => tag !== target);
+
+  if (!target || sources.length === 0) {
+    return 0;
+  }
+
+  const todos = getTodos();
+  let changed = 0;
+
+  todos.forEach(todo => {
+    if (!todo.tags.some(tag => sources.includes(tag))) return;
+    // 元の位置を保ったまま置き換え、重複はnormalizeTags()でまとめる
+    todo.tags = normalizeTags(todo.tags.map(tag => (sources.includes(tag) ? target : tag)));
+    changed++;
+  });
+
+  if (changed > 0) {
+    saveTodos(todos, sources.length > 1 ? 'タグの統合' : 'タグ名の変更');
+  }
+
+  return changed;
+}
+
 /**
  * 【追加機能4】Todoの期日を更新
  * @param {number} id - 更新するTodoのID
@@ -210,18 +1056,158 @@ export function updateTodoDueDate(id, dueDate) {
   }
 
   todo.dueDate = dueDate;
-  saveTodos(todos);
+  // 【追加機能18】期日を削除したら、時刻とリマインダーも削除する
+  if (!dueDate) {
+    todo.dueTime = null;
+    todo.reminders = [];
+  }
+  saveTodos(todos, '期日の変更');
 
   return todo;
 }
 
+/**
+ * 【追加機能10】Todoの繰り返しルールを更新
+ * @param {number} id - 更新するTodoのID
+ * @param {Object|null} recurrence - 新しい繰り返しルール（nullで解除）
+ * @returns {Object|null} 更新されたTodo、見つからない場合はnull
+ */
+export function updateTodoRecurrence(id, recurrence) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === id);
+
+  if (!todo) {
+    return null;
+  }
+
+  todo.recurrence = normalizeRecurrence(recurrence);
+  // ルールを変えたら、完了時に改めて次回分を作成できるようにする
+  delete todo.nextOccurrenceId;
+  saveTodos(todos, '繰り返しの変更');
+
+  return todo;
+}
+
+/**
+ * 【追加機能11】サブタスクを追加
+ * @param {number} todoId - 親TodoのID
+ * @param {string} text - サブタスクの内容
+ * @returns {Object|null} 追加されたサブタスク、親が見つからないか内容が空の場合はnull
+ */
+export function addSubtask(todoId, text) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === todoId);
+  const trimmedText = text.trim();
+
+  if (!todo || !trimmedText) {
+    return null;
+  }
+
+  const subtask = {
+    id: getNextId(todo.subtasks),
+    text: trimmedText,
+    done: false
+  };
+  todo.subtasks.push(subtask);
+  saveTodos(todos, 'サブタスクの追加');
+
+  return subtask;
+}
+
+/**
+ * 【追加機能11】サブタスクの完了状態を切り替える
+ * 自動ステータス変更が有効な場合、最初のチェックで親を「処理中」、
+ * 全てチェックされたら親を「完了」にする
+ * @param {number} todoId - 親TodoのID
+ * @param {number} subtaskId - サブタスクのID
+ * @param {Object} [options] - 設定
+ * @param {boolean} [options.autoStatus] - 親のステータスを自動で変更するか（省略時は設定に従う）
+ * @returns {Object|null} 更新された親Todo、見つからない場合はnull
+ */
+export function toggleSubtask(todoId, subtaskId, options = {}) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === todoId);
+  const subtask = todo && todo.subtasks.find(subtask => subtask.id === subtaskId);
+
+  if (!subtask) {
+    return null;
+  }
+
+  const wasAnyDone = todo.subtasks.some(item => item.done);
+  subtask.done = !subtask.done;
+
+  const autoStatus = options.autoStatus ?? getSetting('subtaskAutoStatus');
+  if (autoStatus && subtask.done) {
+    if (todo.subtasks.every(item => item.done)) {
+      if (todo.status !== 'done') applyStatus(todos, todo, 'done');
+    } else if (!wasAnyDone && todo.status === 'todo') {
+      applyStatus(todos, todo, 'doing');
+    }
+  }
+
+  saveTodos(todos, 'サブタスクのチェック');
+
+  return todo;
+}
+
+/**
+ * 【追加機能11】サブタスクの並び順を変更
+ * @param {number} todoId - 親TodoのID
+ * @param {number} subtaskId - サブタスクのID
+ * @param {number} newIndex - 移動先の位置（0始まり）
+ * @returns {Object|null} 更新された親Todo、見つからない場合はnull
+ */
+export function reorderSubtask(todoId, subtaskId, newIndex) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === todoId);
+  const index = todo ? todo.subtasks.findIndex(subtask => subtask.id === subtaskId) : -1;
+
+  if (index === -1) {
+    return null;
+  }
+
+  const targetIndex = Math.max(0, Math.min(newIndex, todo.subtasks.length - 1));
+  if (targetIndex === index) {
+    return todo;
+  }
+
+  const [subtask] = todo.subtasks.splice(index, 1);
+  todo.subtasks.splice(targetIndex, 0, subtask);
+  saveTodos(todos, 'サブタスクの並び替え');
+
+  return todo;
+}
+
+/**
+ * 【追加機能11】サブタスクを削除
+ * @param {number} todoId - 親TodoのID
+ * @param {number} subtaskId - サブタスクのID
+ * @returns {boolean} 削除が成功したかどうか
+ */
+export function deleteSubtask(todoId, subtaskId) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === todoId);
+  const index = todo ? todo.subtasks.findIndex(subtask => subtask.id === subtaskId) : -1;
+
+  if (index === -1) {
+    return false;
+  }
+
+  todo.subtasks.splice(index, 1);
+  saveTodos(todos, 'サブタスクの削除');
+
+  return true;
+}
+
 /**
  * Todoのテキストを更新
  * @param {number} id - 更新するTodoのID
  * @param {string} newText - 新しいテキスト
+ * @param {Object} [options] - 追加の設定
+ * @param {Array<string>} [options.addTags] - 【追加機能15】追加するタグ
  * @returns {Object|null} 更新されたTodo、見つからない場合はnull
  */
-export function updateTodoText(id, newText) {
+export function updateTodoText(id, newText, options = {}) {
   const todos = getTodos();
   const todo = todos.find(todo => todo.id === id);
 
@@ -235,7 +1221,297 @@ export function updateTodoText(id, newText) {
   }
 
   todo.text = trimmedText;
-  saveTodos(todos);
+  // 【追加機能15】テキストに書かれた#タグを追加する（テキストの変更と同じ1回の保存で）
+  if (options.addTags) {
+    todo.tags = normalizeTags([...todo.tags, ...options.addTags]);
+  }
+  saveTodos(todos, 'テキストの編集');
 
   return todo;
 }
+
+/**
+ * 【追加機能6】読み込んだTodoを取り込む
+ * 既存のIDと衝突する（またはIDがない）Todoには最大ID + 1から新しいIDを振り直す
+ * 【追加機能21】リスト名（list）が同じリストに入れ、なければリストを作成する
+ *   リスト名がないTodoは表示中のリストに入れる（置き換え時もリストは削除しない）
+ * @param {Array} importedTodos - 検証済みのTodo配列
+ * @param {string} mode - 取り込み方法（"merge": 既存に追加 | "replace": 全て置き換え）
+ * @returns {Object} { imported: 取り込んだ件数, remapped: IDを振り直した件数 }
+ */
+export function importTodos(importedTodos, mode = 'merge') {
+  const todos = mode === 'replace' ? [] : getTodos();
+  const lists = getLists();
+  const getListId = createListResolver(lists);
+  const usedIds = new Set(todos.map(todo => todo.id));
+  let nextId = usedIds.size > 0 ? Math.max(...usedIds) + 1 : 1;
+  // 取り込むTodo自身のIDとも衝突しないよう、先に最大IDを確認しておく
+  importedTodos.forEach(todo => {
+    if (todo.id && todo.id >= nextId) nextId = todo.id + 1;
+  });
+
+  let remapped = 0;
+  importedTodos.forEach(todo => {
+    let id = todo.id;
+    if (!id || usedIds.has(id)) {
+      id = nextId++;
+      remapped++;
+    }
+    usedIds.add(id);
+    // 【追加機能13】置き換え時は書き出し元の並び順を使い、追加時は既存のTodoの後ろに並べる
+    const position = mode === 'replace' && Number.isFinite(todo.position)
+      ? todo.position
+      : getNextPosition(todos);
+    const { list, ...fields } = todo;
+    todos.push({ ...fields, id, position, listId: getListId(list) });
+  });
+
+  saveTodos(todos, mode === 'replace' ? 'Todoの置き換え' : 'Todoの取り込み', lists);
+
+  return { imported: importedTodos.length, remapped };
+}
+
+/**
+ * 【追加機能20】iCalendarから読み込んだTodoを取り込む
+ * UIDが同じTodoがあれば内容・期日・ステータスなどを更新し、なければ新しく追加する
+ * （同じファイルを読み込み直しても重複しない）
+ * 【追加機能21】新しく追加するTodoは表示中のリストに入れる（更新するTodoのリストは変えない）
+ * @param {Array} importedTodos - 検証済みのTodo配列（icalUidを含む）
+ * @returns {Object} { imported: 取り込んだ件数, updated: 更新した件数, remapped: 0 }
+ */
+export function importCalendarTodos(importedTodos) {
+  const todos = getTodos();
+  const todosByUid = new Map(todos.map(todo => [getTodoUid(todo), todo]));
+  const listId = resolveListId(null);
+  let nextId = getNextId(todos);
+  let updated = 0;
+
+  importedTodos.forEach(({ list, ...imported }) => {
+    const existing = imported.icalUid ? todosByUid.get(imported.icalUid) : null;
+    if (!existing) {
+      const todo = { ...imported, id: nextId++, position: getNextPosition(todos), listId };
+      todos.push(todo);
+      if (imported.icalUid) todosByUid.set(imported.icalUid, todo);
+      return;
+    }
+
+    // サブタスク・並び順・作成日時などカレンダーにない項目はそのまま残す
+    if (imported.status !== existing.status) {
+      existing.doingSince = imported.status === 'doing' ? new Date().toISOString() : null;
+      existing.completedAt = imported.status === 'done' ? new Date().toISOString() : null;
+    }
+    ['text', 'status', 'dueDate', 'dueTime', 'reminders', 'recurrence', 'tags', 'priority'].forEach(field => {
+      existing[field] = imported[field];
+    });
+    updated++;
+  });
+
+  saveTodos(todos, 'カレンダーの取り込み');
+
+  return { imported: importedTodos.length, updated, remapped: 0 };
+}
+
+/**
+ * 【追加機能21】取り込むTodoのリスト名からリストのIDを求める関数を作成
+ * 同じ名前のリストがなければ作成してlistsに追加する
+ * @param {Array} lists - 現在のリストの配列（作成したリストが追加される）
+ * @returns {Function} リスト名（またはnull）を受け取り、リストのIDを返す関数
+ */
+function createListResolver(lists) {
+  const fallbackId = resolveListId(null);
+
+  return name => {
+    const trimmed = typeof name === 'string' ? name.trim() : '';
+    if (!trimmed) return fallbackId;
+
+    let list = lists.find(list => list.name === trimmed);
+    if (!list) {
+      list = createList(getNextId(lists), trimmed, getNextPosition(lists));
+      lists.push(list);
+    }
+    return list.id;
+  };
+}
+
+/**
+ * 【追加機能21】リストを作成
+ * @param {string} name - リストの名前
+ * @returns {Object|null} 作成したリスト、名前が空または同じ名前のリストがある場合はnull
+ */
+export function addList(name) {
+  const trimmed = name.trim();
+  const lists = getLists();
+  if (!trimmed || lists.some(list => list.name === trimmed)) {
+    return null;
+  }
+
+  const list = createList(getNextId(lists), trimmed, getNextPosition(lists));
+  lists.push(list);
+  saveTodos(getTodos(), 'リストの作成', lists);
+
+  return list;
+}
+
+/**
+ * 【追加機能21】リストの名前を変更
+ * @param {number} id - リストのID
+ * @param {string} name - 新しい名前
+ * @returns {Object|null} 変更したリスト、見つからない場合や名前が空・重複する場合はnull
+ */
+export function renameList(id, name) {
+  const trimmed = name.trim();
+  const lists = getLists();
+  const list = lists.find(list => list.id === id);
+  if (!list || !trimmed || lists.some(other => other.id !== id && other.name === trimmed)) {
+    return null;
+  }
+
+  if (list.name !== trimmed) {
+    list.name = trimmed;
+    saveTodos(getTodos(), 'リスト名の変更', lists);
+  }
+
+  return list;
+}
+
+/**
+ * 【追加機能21】リストを指定した位置へ移動
+ * リストの数は少ないため、Todoと違い全てのリストの並び順を振り直す
+ * @param {number} id - 移動するリストのID
+ * @param {number} newIndex - 新しい位置
+ * @returns {boolean} 移動したかどうか
+ */
+export function reorderList(id, newIndex) {
+  const lists = getLists();
+  const currentIndex = lists.findIndex(list => list.id === id);
+  const index = Math.max(0, Math.min(newIndex, lists.length - 1));
+  if (currentIndex === -1 || index === currentIndex) {
+    return false;
+  }
+
+  const [list] = lists.splice(currentIndex, 1);
+  lists.splice(index, 0, list);
+  lists.forEach((list, i) => {
+    list.position = i + 1;
+  });
+  saveTodos(getTodos(), 'リストの並び替え', lists);
+
+  return true;
+}
+
+/**
+ * 【追加機能21】リストを削除
+ * リストのTodo（アーカイブ済みを含む）は移動先のリストへ移す。最後の1つのリストは削除できない
+ * @param {number} id - 削除するリストのID
+ * @param {number} moveToId - Todoの移動先のリストのID
+ * @returns {number|null} 移動したTodoの件数、削除できない場合はnull
+ */
+export function deleteList(id, moveToId) {
+  const lists = getLists();
+  if (id === moveToId || !lists.some(list => list.id === id) || !lists.some(list => list.id === moveToId)) {
+    return null;
+  }
+
+  const todos = getTodos();
+  const moved = todos.filter(todo => todo.listId === id);
+  moved.forEach(todo => {
+    todo.listId = moveToId;
+  });
+  saveTodos(todos, 'リストの削除', lists.filter(list => list.id !== id));
+
+  return moved.length;
+}
+
+/**
+ * 【追加機能21】Todoを別のリストへ移動
+ * 移動先のリストでは末尾に並べる
+ * @param {number} id - 移動するTodoのID
+ * @param {number} listId - 移動先のリストのID
+ * @returns {Object|null} 移動したTodo、見つからない場合はnull
+ */
+export function moveTodoToList(id, listId) {
+  const todos = getTodos();
+  const todo = todos.find(todo => todo.id === id);
+
+  if (!todo || !cachedLists.some(list => list.id === listId)) {
+    return null;
+  }
+
+  if (todo.listId !== listId) {
+    todo.listId = listId;
+    todo.position = getNextPosition(todos);
+    saveTodos(todos, 'リストの移動');
+  }
+
+  return todo;
+}
+
+/**
+ * 【追加機能5】直前の変更を元に戻す
+ * 【追加機能9】履歴の変更で変わったTodoだけを戻し、他のタブの変更は残す
+ * @returns {string|null} 元に戻した変更の説明、戻せる変更がない場合はnull
+ */
+export function undo() {
+  const entry = popUndo();
+  if (!entry) {
+    return null;
+  }
+
+  writeTodos(
+    applyHistoryPatch(getTodos(), entry.after, entry.before),
+    entry.lists ? applyHistoryPatch(getLists(), entry.lists.after, entry.lists.before) : undefined,
+    { label: entry.label, source: 'undo' }
+  );
+  return entry.label;
+}
+
+/**
+ * 【追加機能5】元に戻した変更をやり直す
+ * @returns {string|null} やり直した変更の説明、やり直せる変更がない場合はnull
+ */
+export function redo() {
+  const entry = popRedo();
+  if (!entry) {
+    return null;
+  }
+
+  writeTodos(
+    applyHistoryPatch(getTodos(), entry.before, entry.after),
+    entry.lists ? applyHistoryPatch(getLists(), entry.lists.before, entry.lists.after) : undefined,
+    { label: entry.label, source: 'redo' }
+  );
+  return entry.label;
+}
+
+/**
+ * 【追加機能9】履歴の2つの状態の差分を、現在のTodoに適用する
+ * 【追加機能21】リストの配列にも同じように適用する
+ * @param {Array} todos - 現在のTodo（またはリスト）の配列
+ * @param {Array} from - 差分の元の状態
+ * @param {Array} to - 差分の先の状態
+ * @returns {Array} 差分を適用した配列
+ */
+function applyHistoryPatch(todos, from, to) {
+  const fromById = new Map(from.map(todo => [todo.id, todo]));
+  const toById = new Map(to.map(todo => [todo.id, todo]));
+  const ids = new Set([...fromById.keys(), ...toById.keys()]);
+
+  ids.forEach(id => {
+    const before = fromById.get(id);
+    const after = toById.get(id);
+    if (before && after && isSameTodo(before, after)) return;
+
+    const index = todos.findIndex(todo => todo.id === id);
+    if (!after) {
+      if (index !== -1) todos.splice(index, 1);
+    } else if (index !== -1) {
+      todos[index] = { ...after, revision: todos[index].revision };
+    } else {
+      todos.push(after);
+    }
+  });
+
+  return todos;
+}
+
+export { canUndo, canRedo };
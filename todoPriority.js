@@ -0,0 +1,100 @@
+/**
+ * TodoPriority
+ * Todoの優先度と「次にやること」のスコアを扱うモジュール
+ *
+ * 【スコアの考え方】
+ * 次の要素の点数を合計し、点数の高いTodoほど先に取り組むべきものとする
+ * ・優先度：高 30点 / 中 15点 / 低 0点
+ * ・期限切れ：40点 ＋ 期限を過ぎた日数 × 2点（最大20点）
+ * ・期日が近い：14日以内なら、残り日数が少ないほど高い点（今日が期日で28点）
+ * ・処理中：10点 ＋ 処理中になってからの日数 × 1点（最大10点）
+ *   （始めたものを長く放置せず、先に片付けるため）
+ *
+ * 点数の内訳（reasons）も返すため、画面でスコアの根拠を説明できる
+ */
+
+export const VALID_PRIORITIES = ['high', 'medium', 'low'];
+
+// 優先度の日本語表示名
+export const PRIORITY_LABELS = {
+  high: '高',
+  medium: '中',
+  low: '低'
+};
+
+const PRIORITY_POINTS = {
+  high: 30,
+  medium: 15,
+  low: 0
+};
+
+// 期日が近いと判断する日数
+const DUE_SOON_DAYS = 14;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * 優先度を検証する
+ * @param {*} priority - 優先度
+ * @returns {string} 優先度（無効な場合は'medium'）
+ */
+export function normalizePriority(priority) {
+  return VALID_PRIORITIES.includes(priority) ? priority : 'medium';
+}
+
+/**
+ * 「次にやること」のスコアを計算
+ * @param {Object} todo - Todoオブジェクト
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Object} { score: 合計点, reasons: [{ label, points }] }
+ */
+export function scoreTodo(todo, now = new Date()) {
+  const reasons = [];
+  const priority = normalizePriority(todo.priority);
+
+  reasons.push({
+    label: `優先度「${PRIORITY_LABELS[priority]}」`,
+    points: PRIORITY_POINTS[priority]
+  });
+
+  if (todo.dueDate) {
+    const days = getDaysUntil(todo.dueDate, now);
+    if (days < 0) {
+      reasons.push({
+        label: `期限切れ（${-days}日経過）`,
+        points: 40 + Math.min(-days * 2, 20)
+      });
+    } else if (days <= DUE_SOON_DAYS) {
+      reasons.push({
+        label: days === 0 ? '今日が期日' : `期日まであと${days}日`,
+        points: (DUE_SOON_DAYS - days) * 2
+      });
+    }
+  }
+
+  if (todo.status === 'doing') {
+    const days = todo.doingSince
+      ? Math.max(0, Math.floor((now - new Date(todo.doingSince)) / DAY_MS))
+      : 0;
+    reasons.push({
+      label: days > 0 ? `処理中（${days}日目）` : '処理中',
+      points: 10 + Math.min(days, 10)
+    });
+  }
+
+  const score = reasons.reduce((sum, reason) => sum + reason.points, 0);
+  return { score, reasons: reasons.filter(reason => reason.points > 0) };
+}
+
+/**
+ * 期日までの日数（今日なら0、過ぎていれば負の数）
+ * @param {string} dueDate - 期日（YYYY-MM-DD形式）
+ * @param {Date} now - 現在日時
+ * @returns {number} 日数
+ */
+function getDaysUntil(dueDate, now) {
+  const [year, month, day] = dueDate.split('-').map(Number);
+  const due = new Date(year, month - 1, day);
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  return Math.round((due - today) / DAY_MS);
+}
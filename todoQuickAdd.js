@@ -0,0 +1,415 @@
+/**
+ * TodoQuickAdd
+ * 1行の入力からTodoの内容・期日・ステータス・タグ・優先度・繰り返しを読み取るモジュール
+ *
+ * 【書き方】空白で区切った語のうち、次の形式のものを読み取る（それ以外は内容になる）
+ * ・期日：今日 / 明日 / 明後日 / 来週 / 来週月曜 / 金曜 / 3日後 / 10月25日 / 2026-10-25
+ *         today / tomorrow / friday / on fri / next friday / in 3 days / on 10/25 / due 10/25
+ *         （10/25の形は「1/2」「3/4」などの分数と区別するため、on / due の後にある場合だけ）
+ * ・繰り返し：毎日 / 毎週金曜 / 毎月15日 / 3日ごと / every day / every friday / every 3 days / every month
+ *           daily / weekly / monthly（「weekly report」のように内容にも使う語のため、末尾にある場合だけ）
+ * ・タグ：#経理
+ * ・優先度：!高 / !中 / !低 / !high / !medium / !low
+ * ・ステータス：@未完了 / @処理中 / @完了 / @todo / @doing / @done
+ *
+ * 例：「請求書を送る 明日 #経理 !高」→ 内容「請求書を送る」、期日は明日、タグ「経理」、優先度「高」
+ * 空白で区切られていない語（「今日の報告書」の「今日」など）は読み取らない
+ *
+ * 画面やTodoの保存には依存しないため、単体でテストできる
+ */
+
+import { normalizeTag } from './todoTags.js';
+import { PRIORITY_LABELS } from './todoPriority.js';
+import {
+  WEEKDAY_LABELS,
+  normalizeRecurrence,
+  describeRecurrence,
+  getFirstDueDate,
+  formatDate
+} from './todoRecurrence.js';
+
+// 曜日名（0=日曜）
+const ENGLISH_WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+// 曜日の省略形（0=日曜）。「sun」「sat」などは普通の語でもあるため、
+// on / next / this / every の後にある場合だけ曜日として読み取る
+const ENGLISH_WEEKDAY_ABBREVIATIONS = [
+  ['sun'], ['mon'], ['tue', 'tues'], ['wed'], ['thu', 'thur', 'thurs'], ['fri'], ['sat']
+];
+
+const PRIORITY_WORDS = {
+  高: 'high', 中: 'medium', 低: 'low',
+  high: 'high', medium: 'medium', med: 'medium', low: 'low'
+};
+
+const STATUS_WORDS = {
+  未完了: 'todo', 処理中: 'doing', 完了: 'done',
+  todo: 'todo', doing: 'doing', done: 'done'
+};
+
+const STATUS_LABELS = { todo: '未完了', doing: '処理中', done: '完了' };
+
+// 内容にも使われる英語の繰り返しの語（末尾にある場合だけ繰り返しとして読み取る）
+const TRAILING_RECURRENCE_WORDS = ['daily', 'weekly', 'monthly'];
+
+/**
+ * 入力を解析する
+ * @param {string} input - 入力された1行
+ * @param {Date} [today] - 今日の日付（テスト用）
+ * @returns {Object} {
+ *   text: 読み取った語を除いた内容,
+ *   dueDate: 期日（YYYY-MM-DD形式）またはnull,
+ *   status: ステータスまたはnull,
+ *   priority: 優先度またはnull,
+ *   tags: タグ名の配列,
+ *   recurrence: 繰り返しルールまたはnull,
+ *   recognized: [{ type, label }] 読み取った項目の説明（プレビュー用）
+ * }
+ */
+export function parseQuickAdd(input, today = new Date()) {
+  const tokens = String(input).trim().split(/\s+/).filter(Boolean);
+  const result = {
+    text: '',
+    dueDate: null,
+    status: null,
+    priority: null,
+    tags: [],
+    recurrence: null
+  };
+  const rest = [];
+
+  for (let i = 0; i < tokens.length;) {
+    const match = matchToken(tokens, i, today);
+
+    // 同じ種類の項目は最初のものだけを使い、2つ目以降は内容として残す（タグは複数可）
+    if (match && (match.type === 'tags' || result[match.type] === null)) {
+      if (match.type === 'tags') {
+        if (!result.tags.includes(match.value)) result.tags.push(match.value);
+      } else {
+        result[match.type] = match.value;
+      }
+      i += match.length;
+    } else {
+      rest.push(tokens[i]);
+      i++;
+    }
+  }
+
+  result.text = rest.join(' ');
+
+  // 繰り返しだけが指定された場合は、ルールに合う最初の日を期日にする
+  if (result.recurrence && !result.dueDate) {
+    result.dueDate = getFirstDueDate(result.recurrence, today);
+  }
+
+  result.recognized = describeRecognized(result);
+  return result;
+}
+
+/**
+ * 読み取った項目を表示用の説明に変換
+ * @param {Object} result - 解析結果
+ * @returns {Array} [{ type, label }]
+ */
+function describeRecognized(result) {
+  const recognized = [];
+  if (result.dueDate) {
+    const [year, month, day] = result.dueDate.split('-').map(Number);
+    const weekday = WEEKDAY_LABELS[new Date(year, month - 1, day).getDay()];
+    recognized.push({ type: 'dueDate', label: `期日：${year}/${month}/${day}（${weekday}）` });
+  }
+  if (result.recurrence) {
+    recognized.push({ type: 'recurrence', label: `繰り返し：${describeRecurrence(result.recurrence)}` });
+  }
+  if (result.status) {
+    recognized.push({ type: 'status', label: `ステータス：${STATUS_LABELS[result.status]}` });
+  }
+  if (result.priority) {
+    recognized.push({ type: 'priority', label: `優先度：${PRIORITY_LABELS[result.priority]}` });
+  }
+  result.tags.forEach(tag => {
+    recognized.push({ type: 'tags', label: `#${tag}` });
+  });
+  return recognized;
+}
+
+/**
+ * 指定位置から始まる語（複数語の場合あり）を読み取る
+ * @param {Array<string>} tokens - 空白で区切った語の配列
+ * @param {number} index - 読み取りを始める位置
+ * @param {Date} today - 今日の日付
+ * @returns {Object|null} { type, value, length: 使った語の数 }、読み取れない場合はnull
+ */
+function matchToken(tokens, index, today) {
+  const word = tokens[index];
+  const next = (tokens[index + 1] || '').toLowerCase();
+  const lower = word.toLowerCase();
+
+  // タグ（#経理）
+  const tagMatch = word.match(/^[#＃](.+)$/);
+  if (tagMatch && normalizeTag(tagMatch[1])) {
+    return { type: 'tags', value: normalizeTag(tagMatch[1]), length: 1 };
+  }
+
+  // 優先度（!高）
+  const priorityMatch = lower.match(/^[!！](.+)$/);
+  if (priorityMatch && Object.hasOwn(PRIORITY_WORDS, priorityMatch[1])) {
+    return { type: 'priority', value: PRIORITY_WORDS[priorityMatch[1]], length: 1 };
+  }
+
+  // ステータス（@処理中）
+  const statusMatch = lower.match(/^[@＠](.+)$/);
+  if (statusMatch && Object.hasOwn(STATUS_WORDS, statusMatch[1])) {
+    return { type: 'status', value: STATUS_WORDS[statusMatch[1]], length: 1 };
+  }
+
+  // 繰り返し（英語は「every ○○」の2〜3語）
+  if (lower === 'every' && next) {
+    const count = Number(next);
+    const unit = (tokens[index + 2] || '').toLowerCase();
+    if (Number.isInteger(count) && count > 0 && /^days?$/.test(unit)) {
+      return { type: 'recurrence', value: normalizeRecurrence({ frequency: 'daily', interval: count }), length: 3 };
+    }
+    const rule = parseEnglishRecurrence(next, today);
+    if (rule) {
+      return { type: 'recurrence', value: rule, length: 2 };
+    }
+  }
+  const recurrence = parseRecurrenceWord(lower, today);
+  if (recurrence && (!TRAILING_RECURRENCE_WORDS.includes(lower) || isTrailingToken(tokens, index))) {
+    return { type: 'recurrence', value: recurrence, length: 1 };
+  }
+
+  // 期日（英語は「next friday」「on fri」「in 3 days」などの2〜3語）
+  const nextWeekday = parseWeekday(next, true);
+  if (lower === 'next' && nextWeekday !== null) {
+    return { type: 'dueDate', value: formatDate(getWeekdayInNextWeek(today, nextWeekday)), length: 2 };
+  }
+  if ((lower === 'this' || lower === 'on') && nextWeekday !== null) {
+    return { type: 'dueDate', value: formatDate(getUpcomingWeekday(today, nextWeekday)), length: 2 };
+  }
+  if ((lower === 'on' || lower === 'due') && next) {
+    // 「due 明日」「on 10/25」のように、前置きの語ごと読み取る
+    const dueDate = parseDateWord(next, today, true);
+    if (dueDate) {
+      return { type: 'dueDate', value: formatDate(dueDate), length: 2 };
+    }
+  }
+  if (lower === 'in' && next) {
+    const unit = (tokens[index + 2] || '').toLowerCase();
+    const count = Number(next);
+    if (Number.isInteger(count) && count >= 0 && /^(days?|weeks?)$/.test(unit)) {
+      const days = unit.startsWith('week') ? count * 7 : count;
+      return { type: 'dueDate', value: formatDate(addDays(today, days)), length: 3 };
+    }
+  }
+  const date = parseDateWord(lower, today);
+  if (date) {
+    return { type: 'dueDate', value: formatDate(date), length: 1 };
+  }
+
+  return null;
+}
+
+/**
+ * 指定位置の語が末尾にあるか（後ろに#タグ・!優先度・@ステータスしかない場合も末尾とみなす）
+ * @param {Array<string>} tokens - 空白で区切った語の配列
+ * @param {number} index - 語の位置
+ * @returns {boolean}
+ */
+function isTrailingToken(tokens, index) {
+  return tokens.slice(index + 1).every(token => /^[#＃!！@＠]/.test(token));
+}
+
+/**
+ * 1語で表す繰り返しを読み取る（毎日 / 毎週金曜 / 毎月15日 / 3日ごと / daily など）
+ * @param {string} word - 語（小文字）
+ * @param {Date} today - 今日の日付
+ * @returns {Object|null} 繰り返しルール
+ */
+function parseRecurrenceWord(word, today) {
+  if (word === '毎日' || word === 'daily') {
+    return normalizeRecurrence({ frequency: 'daily', interval: 1 });
+  }
+  if (word === '毎週' || word === 'weekly') {
+    return normalizeRecurrence({ frequency: 'weekly', interval: 1, weekdays: [today.getDay()] });
+  }
+  if (word === '毎月' || word === 'monthly') {
+    return normalizeRecurrence({ frequency: 'monthly', interval: 1, monthDay: today.getDate() });
+  }
+
+  const weekly = word.match(/^毎週([日月火水木金土])曜?日?$/);
+  if (weekly) {
+    return normalizeRecurrence({ frequency: 'weekly', interval: 1, weekdays: [WEEKDAY_LABELS.indexOf(weekly[1])] });
+  }
+  const monthly = word.match(/^毎月(\d{1,2})日$/);
+  if (monthly) {
+    return normalizeRecurrence({ frequency: 'monthly', interval: 1, monthDay: Number(monthly[1]) });
+  }
+  const everyDays = word.match(/^(\d+)日ごと$/);
+  if (everyDays) {
+    return normalizeRecurrence({ frequency: 'daily', interval: Number(everyDays[1]) });
+  }
+
+  return null;
+}
+
+/**
+ * 「every」に続く語から繰り返しを読み取る（day / week / month / 曜日名）
+ * @param {string} word - 語（小文字）
+ * @param {Date} today - 今日の日付
+ * @returns {Object|null} 繰り返しルール
+ */
+function parseEnglishRecurrence(word, today) {
+  if (word === 'day') return parseRecurrenceWord('daily', today);
+  if (word === 'week') return parseRecurrenceWord('weekly', today);
+  if (word === 'month') return parseRecurrenceWord('monthly', today);
+
+  const weekday = parseWeekday(word, true);
+  if (weekday !== null) {
+    return normalizeRecurrence({ frequency: 'weekly', interval: 1, weekdays: [weekday] });
+  }
+  return null;
+}
+
+/**
+ * 1語で表す期日を読み取る
+ * @param {string} word - 語（小文字）
+ * @param {Date} today - 今日の日付
+ * @param {boolean} [allowSlashMonthDay] - 10/25の形（分数と紛らわしい）も期日として読み取るか
+ * @returns {Date|null} 期日
+ */
+function parseDateWord(word, today, allowSlashMonthDay = false) {
+  const relativeDays = {
+    今日: 0, きょう: 0, today: 0,
+    明日: 1, あした: 1, tomorrow: 1,
+    明後日: 2, あさって: 2
+  };
+  // 「constructor」などのObjectのプロパティ名を期日として読み取らないよう、in演算子は使わない
+  if (Object.hasOwn(relativeDays, word)) {
+    return addDays(today, relativeDays[word]);
+  }
+
+  // 来週（次の月曜日）
+  if (word === '来週') {
+    return getWeekdayInNextWeek(today, 1);
+  }
+
+  // 来週月曜 / 今週金曜日
+  const weekMatch = word.match(/^(来週|今週)の?([日月火水木金土])曜?日?$/);
+  if (weekMatch) {
+    const weekday = WEEKDAY_LABELS.indexOf(weekMatch[2]);
+    return weekMatch[1] === '来週'
+      ? getWeekdayInNextWeek(today, weekday)
+      : getWeekdayInThisWeek(today, weekday);
+  }
+
+  // 金曜 / 金曜日 / friday（今日以降で最も近い日）
+  const japaneseWeekday = word.match(/^([日月火水木金土])曜日?$/);
+  if (japaneseWeekday) {
+    return getUpcomingWeekday(today, WEEKDAY_LABELS.indexOf(japaneseWeekday[1]));
+  }
+  if (parseWeekday(word) !== null) {
+    return getUpcomingWeekday(today, parseWeekday(word));
+  }
+
+  // 3日後 / 2週間後
+  const later = word.match(/^(\d+)(日|週間)後$/);
+  if (later) {
+    return addDays(today, Number(later[1]) * (later[2] === '週間' ? 7 : 1));
+  }
+
+  // 2026-10-25 / 2026/10/25 / 2026年10月25日
+  const full = word.match(/^(\d{4})[-/年](\d{1,2})[-/月](\d{1,2})日?$/);
+  if (full) {
+    return createValidDate(Number(full[1]), Number(full[2]), Number(full[3]));
+  }
+
+  // 10/25 / 10月25日（過ぎていれば来年）
+  const monthDay = word.match(/^(\d{1,2})(?:\/|月)(\d{1,2})日?$/);
+  if (monthDay && ((word.includes('/') && allowSlashMonthDay) || word.endsWith('日'))) {
+    const date = createValidDate(today.getFullYear(), Number(monthDay[1]), Number(monthDay[2]));
+    if (date && date < startOfDay(today)) {
+      return createValidDate(today.getFullYear() + 1, Number(monthDay[1]), Number(monthDay[2]));
+    }
+    return date;
+  }
+
+  return null;
+}
+
+/**
+ * 英語の曜日名を曜日の番号に変換
+ * @param {string} word - 語（小文字）
+ * @param {boolean} [allowAbbreviation] - 省略形（fri、thursなど）も曜日として読み取るか
+ * @returns {number|null} 曜日（0=日曜）、曜日名でない場合はnull
+ */
+function parseWeekday(word, allowAbbreviation = false) {
+  let index = ENGLISH_WEEKDAYS.indexOf(word);
+  if (index === -1 && allowAbbreviation) {
+    index = ENGLISH_WEEKDAY_ABBREVIATIONS.findIndex(abbreviations => abbreviations.includes(word));
+  }
+  return index === -1 ? null : index;
+}
+
+/**
+ * 実在する日付を作成
+ * @param {number} year - 年
+ * @param {number} month - 月（1〜12）
+ * @param {number} day - 日
+ * @returns {Date|null} 日付、存在しない日付（2月30日など）はnull
+ */
+function createValidDate(year, month, day) {
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+}
+
+/**
+ * 今日以降で最も近い、指定した曜日の日付
+ * @param {Date} today - 今日の日付
+ * @param {number} weekday - 曜日（0=日曜）
+ * @returns {Date}
+ */
+function getUpcomingWeekday(today, weekday) {
+  return addDays(today, (weekday - today.getDay() + 7) % 7);
+}
+
+/**
+ * 今週（月曜始まり）の指定した曜日の日付
+ * @param {Date} today - 今日の日付
+ * @param {number} weekday - 曜日（0=日曜）
+ * @returns {Date}
+ */
+function getWeekdayInThisWeek(today, weekday) {
+  const monday = addDays(today, -((today.getDay() + 6) % 7));
+  return addDays(monday, (weekday + 6) % 7);
+}
+
+/**
+ * 来週（月曜始まり）の指定した曜日の日付
+ * @param {Date} today - 今日の日付
+ * @param {number} weekday - 曜日（0=日曜）
+ * @returns {Date}
+ */
+function getWeekdayInNextWeek(today, weekday) {
+  return addDays(getWeekdayInThisWeek(today, weekday), 7);
+}
+
+/**
+ * その日の0時
+ * @param {Date} date - 日付
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * 日数を加算した日付（時刻は0時）
+ * @param {Date} date - 日付
+ * @param {number} days - 加算する日数
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
@@ -0,0 +1,97 @@
+/**
+ * todoQuickAdd.jsのテスト（npm testで実行）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { parseQuickAdd } from './todoQuickAdd.js';
+
+// 2026年10月19日（月曜日）
+const TODAY = new Date(2026, 9, 19);
+
+test('期日・ステータス・優先度・タグを読み取る', () => {
+  const result = parseQuickAdd('請求書を送る 明日 #経理 !高 @処理中', TODAY);
+  assert.equal(result.text, '請求書を送る');
+  assert.equal(result.dueDate, '2026-10-20');
+  assert.equal(result.status, 'doing');
+  assert.equal(result.priority, 'high');
+  assert.deepEqual(result.tags, ['経理']);
+});
+
+test('Objectのプロパティ名は期日・ステータス・優先度として読み取らない', () => {
+  for (const input of ['fix constructor bug', 'call @constructor', 'x !constructor', 'check toString', 'a @__proto__ !hasOwnProperty']) {
+    const result = parseQuickAdd(input, TODAY);
+    assert.equal(result.dueDate, null, input);
+    assert.equal(result.status, null, input);
+    assert.equal(result.priority, null, input);
+    assert.equal(result.text, input, input);
+  }
+});
+
+test('曜日の省略形は on / next / this / every の後だけ読み取る', () => {
+  const sunCream = parseQuickAdd('buy sun cream', TODAY);
+  assert.equal(sunCream.dueDate, null);
+  assert.equal(sunCream.text, 'buy sun cream');
+
+  const satNotes = parseQuickAdd('read sat notes', TODAY);
+  assert.equal(satNotes.dueDate, null);
+  assert.equal(satNotes.text, 'read sat notes');
+
+  assert.equal(parseQuickAdd('wed report', TODAY).dueDate, null);
+
+  const onFri = parseQuickAdd('call on fri', TODAY);
+  assert.equal(onFri.dueDate, '2026-10-23');
+  assert.equal(onFri.text, 'call');
+
+  assert.equal(parseQuickAdd('call next thurs', TODAY).dueDate, '2026-10-29');
+  assert.equal(parseQuickAdd('call this sat', TODAY).dueDate, '2026-10-24');
+  assert.deepEqual(parseQuickAdd('gym every tue', TODAY).recurrence.weekdays, [2]);
+});
+
+test('曜日の名前は単独でも読み取る', () => {
+  const result = parseQuickAdd('report friday', TODAY);
+  assert.equal(result.dueDate, '2026-10-23');
+  assert.equal(result.text, 'report');
+  assert.equal(parseQuickAdd('report next friday', TODAY).dueDate, '2026-10-30');
+});
+
+test('daily / weekly / monthly は末尾にある場合だけ繰り返しとして読み取る', () => {
+  for (const input of ['write weekly report', 'plan daily standup', 'send monthly invoice']) {
+    const result = parseQuickAdd(input, TODAY);
+    assert.equal(result.recurrence, null, input);
+    assert.equal(result.dueDate, null, input);
+    assert.equal(result.text, input, input);
+  }
+
+  const weekly = parseQuickAdd('team sync weekly', TODAY);
+  assert.equal(weekly.recurrence.frequency, 'weekly');
+  assert.equal(weekly.text, 'team sync');
+
+  const daily = parseQuickAdd('stretch daily #health !low', TODAY);
+  assert.equal(daily.recurrence.frequency, 'daily');
+  assert.equal(daily.text, 'stretch');
+  assert.deepEqual(daily.tags, ['health']);
+
+  assert.equal(parseQuickAdd('water plants every day', TODAY).recurrence.frequency, 'daily');
+  assert.equal(parseQuickAdd('レポート 毎日 提出', TODAY).recurrence.frequency, 'daily');
+});
+
+test('10/25の形は on / due の後にある場合だけ期日として読み取る', () => {
+  for (const input of ['eat 1/2 cake', 'read chapter 3/4', 'mix 3/4 cup flour', 'score 10/25']) {
+    const result = parseQuickAdd(input, TODAY);
+    assert.equal(result.dueDate, null, input);
+    assert.equal(result.text, input, input);
+  }
+
+  const on = parseQuickAdd('call on 11/3 about invoice', TODAY);
+  assert.equal(on.dueDate, '2026-11-03');
+  assert.equal(on.text, 'call about invoice');
+
+  const due = parseQuickAdd('taxes due 1/2 #home', TODAY);
+  assert.equal(due.dueDate, '2027-01-02');
+  assert.equal(due.text, 'taxes');
+  assert.equal(parseQuickAdd('pay rent due tomorrow', TODAY).text, 'pay rent');
+
+  assert.equal(parseQuickAdd('報告書 10月25日 提出', TODAY).dueDate, '2026-10-25');
+  assert.equal(parseQuickAdd('release 2026/12/01 build', TODAY).dueDate, '2026-12-01');
+});
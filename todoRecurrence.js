@@ -0,0 +1,251 @@
+/**
+ * TodoRecurrence
+ * 繰り返しTodoのルールを扱うモジュール
+ *
+ * 【ルールの形式】
+ * {
+ *   frequency: 'daily' | 'weekly' | 'monthly',
+ *   interval: number,        // 何日／何週／何か月ごとか（1以上）
+ *   weekdays?: number[],     // weeklyのみ：曜日（0=日曜〜6=土曜）
+ *   monthDay?: number        // monthlyのみ：日付（1〜31、月末を超える場合は月末）
+ * }
+ *
+ * 「毎日」「毎週○曜日」「毎月○日」「N日ごと」はこの形式で表し、
+ * RRULE（RFC 5545）のFREQ / INTERVAL / BYDAY / BYMONTHDAYにも対応する
+ */
+
+export const WEEKDAY_LABELS = ['日', '月', '火', '水', '木', '金', '土'];
+
+// RRULEのBYDAYで使う曜日コード（0=日曜）
+const RRULE_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+const FREQUENCIES = ['daily', 'weekly', 'monthly'];
+
+/**
+ * ルールを検証し、正しい形に整える
+ * @param {Object|null} rule - 繰り返しルール
+ * @returns {Object|null} 整えたルール、無効な場合はnull
+ */
+export function normalizeRecurrence(rule) {
+  if (!rule || typeof rule !== 'object' || !FREQUENCIES.includes(rule.frequency)) {
+    return null;
+  }
+
+  const interval = Number(rule.interval) || 1;
+  if (!Number.isInteger(interval) || interval < 1) {
+    return null;
+  }
+
+  if (rule.frequency === 'weekly') {
+    const weekdays = Array.isArray(rule.weekdays)
+      ? [...new Set(rule.weekdays.map(Number))].filter(day => day >= 0 && day <= 6).sort((a, b) => a - b)
+      : [];
+    if (weekdays.length === 0) return null;
+    return { frequency: 'weekly', interval, weekdays };
+  }
+
+  if (rule.frequency === 'monthly') {
+    const monthDay = Number(rule.monthDay);
+    if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) return null;
+    return { frequency: 'monthly', interval, monthDay };
+  }
+
+  return { frequency: 'daily', interval };
+}
+
+/**
+ * RRULE文字列をルールに変換
+ * 対応：FREQ=DAILY|WEEKLY|MONTHLY、INTERVAL、BYDAY（WEEKLY）、BYMONTHDAY（MONTHLY）
+ * @param {string} text - RRULE文字列（先頭の「RRULE:」は省略可）
+ * @param {Date} [referenceDate] - BYDAY / BYMONTHDAYが省略されたときの基準日
+ * @returns {Object|null} ルール、対応していない場合はnull
+ */
+export function parseRRule(text, referenceDate = new Date()) {
+  if (typeof text !== 'string') return null;
+
+  const parts = {};
+  text.trim().replace(/^RRULE:/i, '').split(';').forEach(part => {
+    const [key, value] = part.split('=');
+    if (key && value) parts[key.trim().toUpperCase()] = value.trim().toUpperCase();
+  });
+
+  const frequency = (parts.FREQ || '').toLowerCase();
+  const interval = parts.INTERVAL ? Number(parts.INTERVAL) : 1;
+
+  // 未対応の項目（COUNT、UNTIL、BYSETPOSなど）が含まれる場合は変換しない
+  const supported = ['FREQ', 'INTERVAL', 'BYDAY', 'BYMONTHDAY', 'WKST'];
+  if (Object.keys(parts).some(key => !supported.includes(key))) return null;
+
+  if (frequency === 'weekly') {
+    const weekdays = parts.BYDAY
+      ? parts.BYDAY.split(',').map(code => RRULE_WEEKDAYS.indexOf(code))
+      : [referenceDate.getDay()];
+    if (weekdays.includes(-1)) return null;
+    return normalizeRecurrence({ frequency, interval, weekdays });
+  }
+
+  if (frequency === 'monthly') {
+    const monthDay = parts.BYMONTHDAY ? Number(parts.BYMONTHDAY) : referenceDate.getDate();
+    return normalizeRecurrence({ frequency, interval, monthDay });
+  }
+
+  if (frequency === 'daily') {
+    return normalizeRecurrence({ frequency, interval });
+  }
+
+  return null;
+}
+
+/**
+ * ルールをRRULE文字列に変換
+ * @param {Object} rule - 繰り返しルール
+ * @returns {string} RRULE文字列（「RRULE:」は含まない）
+ */
+export function formatRRule(rule) {
+  const parts = [`FREQ=${rule.frequency.toUpperCase()}`];
+  if (rule.interval > 1) parts.push(`INTERVAL=${rule.interval}`);
+  if (rule.frequency === 'weekly') {
+    parts.push(`BYDAY=${rule.weekdays.map(day => RRULE_WEEKDAYS[day]).join(',')}`);
+  }
+  if (rule.frequency === 'monthly') {
+    parts.push(`BYMONTHDAY=${rule.monthDay}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * ルールを読みやすい日本語に変換
+ * @param {Object} rule - 繰り返しルール
+ * @returns {string} 例：「毎週 月・水」「3日ごと」「毎月15日」
+ */
+export function describeRecurrence(rule) {
+  if (!rule) return '';
+
+  if (rule.frequency === 'weekly') {
+    const days = rule.weekdays.map(day => WEEKDAY_LABELS[day]).join('・');
+    return rule.interval > 1 ? `${rule.interval}週ごと ${days}` : `毎週 ${days}`;
+  }
+  if (rule.frequency === 'monthly') {
+    return rule.interval > 1
+      ? `${rule.interval}か月ごと ${rule.monthDay}日`
+      : `毎月${rule.monthDay}日`;
+  }
+  return rule.interval > 1 ? `${rule.interval}日ごと` : '毎日';
+}
+
+/**
+ * 次回の期日を計算
+ * 前回の期日（なければ今日）より後の、ルールに合う最初の日付を返す
+ * 期限切れのまま完了した場合は、今日以降になるまで先へ進める
+ * @param {Object} rule - 繰り返しルール
+ * @param {string|null} dueDate - 前回の期日（YYYY-MM-DD形式）
+ * @param {Date} [today] - 今日の日付（テスト用）
+ * @returns {string} 次回の期日（YYYY-MM-DD形式）
+ */
+export function getNextDueDate(rule, dueDate, today = new Date()) {
+  const todayStart = startOfDay(today);
+  let next = dueDate ? parseDate(dueDate) : todayStart;
+
+  do {
+    next = getNextOccurrence(rule, next);
+  } while (next < todayStart);
+
+  return formatDate(next);
+}
+
+/**
+ * 最初の期日を計算（今日を含め、ルールに合う最初の日付）
+ * 期日を指定せずに繰り返しTodoを作成するときに使う
+ * @param {Object} rule - 繰り返しルール
+ * @param {Date} [today] - 今日の日付（テスト用）
+ * @returns {string} 最初の期日（YYYY-MM-DD形式）
+ */
+export function getFirstDueDate(rule, today = new Date()) {
+  // 「N日ごと」は今日から数え始める
+  if (rule.frequency === 'daily') {
+    return formatDate(startOfDay(today));
+  }
+  return formatDate(getNextOccurrence(rule, addDays(startOfDay(today), -1)));
+}
+
+/**
+ * 指定日より後の、ルールに合う最初の日付
+ * @param {Object} rule - 繰り返しルール
+ * @param {Date} from - 基準日
+ * @returns {Date}
+ */
+function getNextOccurrence(rule, from) {
+  if (rule.frequency === 'weekly') {
+    const baseWeek = startOfWeek(from);
+    // interval週ごとの繰り返しでも、最大でinterval + 1週先までに必ず見つかる
+    for (let offset = 1; offset <= 7 * (rule.interval + 1); offset++) {
+      const candidate = addDays(from, offset);
+      const weeksApart = Math.round((startOfWeek(candidate) - baseWeek) / (7 * 24 * 60 * 60 * 1000));
+      if (rule.weekdays.includes(candidate.getDay()) && weeksApart % rule.interval === 0) {
+        return candidate;
+      }
+    }
+  }
+
+  if (rule.frequency === 'monthly') {
+    for (let months = 0; ; months += rule.interval) {
+      const year = from.getFullYear();
+      const month = from.getMonth() + months;
+      // 31日などが存在しない月は月末にする
+      const lastDay = new Date(year, month + 1, 0).getDate();
+      const candidate = new Date(year, month, Math.min(rule.monthDay, lastDay));
+      if (candidate > from) return candidate;
+    }
+  }
+
+  return addDays(from, rule.interval);
+}
+
+/**
+ * YYYY-MM-DD形式の文字列をローカル時刻の日付に変換
+ * @param {string} value - 日付文字列
+ * @returns {Date}
+ */
+function parseDate(value) {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+}
+
+/**
+ * 日付をYYYY-MM-DD形式の文字列に変換
+ * @param {Date} date - 日付
+ * @returns {string}
+ */
+export function formatDate(date) {
+  const month = String(date.getMonth() + 1).padStart(2, '0');
+  const day = String(date.getDate()).padStart(2, '0');
+  return `${date.getFullYear()}-${month}-${day}`;
+}
+
+/**
+ * その日の0時
+ * @param {Date} date - 日付
+ * @returns {Date}
+ */
+function startOfDay(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+}
+
+/**
+ * その週の日曜日の0時
+ * @param {Date} date - 日付
+ * @returns {Date}
+ */
+function startOfWeek(date) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() - date.getDay());
+}
+
+/**
+ * 日数を加算した日付
+ * @param {Date} date - 日付
+ * @param {number} days - 加算する日数
+ * @returns {Date}
+ */
+function addDays(date, days) {
+  return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+}
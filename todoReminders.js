@@ -0,0 +1,214 @@
+/**
+ * TodoReminders
+ * 期日のリマインダー（通知）を管理するモジュール
+ *
+ * 【仕組み】
+ * ・各Todoのreminders（期日の何分前に知らせるかの配列）から通知する日時を求める
+ *   期日の時刻（dueTime）がない場合は、期日の9:00を基準にする
+ * ・アプリを開いている間は定期的に確認し、通知の日時を過ぎたものを知らせる
+ * ・アプリを閉じている間に過ぎたものは、次に開いたときにまとめて知らせる（取りこぼさない）
+ * ・通知済み・スヌーズの状態はこのブラウザのlocalStorageに保存する
+ *   （Todoの変更履歴に入れず、元に戻すの対象にしないため）
+ *   期日や時刻を変更すると、そのTodoの通知済みの記録はリセットされる
+ */
+
+const STATE_KEY = 'todo-reminder-state';
+const LOCK_NAME = 'todo-reminders';
+
+// 確認する間隔（ミリ秒）
+const CHECK_INTERVAL = 30 * 1000;
+
+// 期日の時刻がない場合の基準の時刻
+export const DEFAULT_DUE_TIME = '09:00';
+
+// 選べるリマインダー（期日の何分前か）
+export const REMINDER_PRESETS = [0, 10, 60, 1440, 10080];
+
+/**
+ * リマインダーを読みやすい日本語に変換
+ * @param {number} minutes - 期日の何分前か
+ * @returns {string} 例：「期日の時刻」「1時間前」「1日前」
+ */
+export function describeReminder(minutes) {
+  if (minutes === 0) return '期日の時刻';
+  if (minutes % 10080 === 0) return `${minutes / 10080}週間前`;
+  if (minutes % 1440 === 0) return `${minutes / 1440}日前`;
+  if (minutes % 60 === 0) return `${minutes / 60}時間前`;
+  return `${minutes}分前`;
+}
+
+/**
+ * リマインダーの配列を検証し、正しい形に整える（0以上の整数、重複なし、昇順）
+ * @param {*} reminders - リマインダーの配列
+ * @returns {Array<number>}
+ */
+export function normalizeReminders(reminders) {
+  if (!Array.isArray(reminders)) return [];
+  return [...new Set(reminders.filter(minutes => minutes !== '' && minutes !== null).map(Number))]
+    .filter(minutes => Number.isInteger(minutes) && minutes >= 0)
+    .sort((a, b) => a - b);
+}
+
+/**
+ * HH:MM形式の時刻か判定
+ * @param {*} value - 判定する値
+ * @returns {boolean}
+ */
+export function isValidTime(value) {
+  if (typeof value !== 'string') return false;
+  const match = value.match(/^(\d{2}):(\d{2})$/);
+  return Boolean(match) && Number(match[1]) < 24 && Number(match[2]) < 60;
+}
+
+/**
+ * Todoの期日の日時を取得
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {Date|null} 期日の日時、期日がない場合はnull
+ */
+export function getDueMoment(todo) {
+  if (!todo.dueDate) return null;
+
+  const [year, month, day] = todo.dueDate.split('-').map(Number);
+  const [hours, minutes] = (todo.dueTime || DEFAULT_DUE_TIME).split(':').map(Number);
+  return new Date(year, month - 1, day, hours, minutes);
+}
+
+/**
+ * 通知する時期になったリマインダーを取り出し、通知済みとして記録する
+ * 複数のタブで開いていても1回だけ通知されるよう、タブ間で排他して確認する
+ * @param {Array} todos - Todoの配列
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Promise<Array>} [{ todo, minutes: 何分前のリマインダーか（スヌーズはnull）, missed: 見逃していたか }]
+ */
+export function collectDueReminders(todos, now = new Date()) {
+  return withReminderLock(() => {
+    const state = loadState();
+    const due = [];
+    const activeIds = new Set();
+
+    todos.forEach(todo => {
+      if (todo.archived || todo.status === 'done' || !todo.dueDate) return;
+
+      const dueMoment = getDueMoment(todo);
+      const dueKey = `${todo.dueDate}T${todo.dueTime || ''}`;
+      let entry = state[todo.id];
+      // 期日や時刻が変わったら、通知済みの記録をリセットする
+      if (!entry || entry.dueKey !== dueKey) {
+        entry = { dueKey, fired: [], snoozedUntil: null };
+      }
+      activeIds.add(String(todo.id));
+
+      // スヌーズした通知
+      if (entry.snoozedUntil && new Date(entry.snoozedUntil) <= now) {
+        entry.snoozedUntil = null;
+        due.push({ todo, minutes: null, missed: false });
+      }
+
+      // 時期を過ぎたリマインダーのうち、まだ通知していないもの
+      // 同じTodoで複数たまっている場合は、最も期日に近いもの1件にまとめる
+      const pending = normalizeReminders(todo.reminders)
+        .filter(minutes => !entry.fired.includes(minutes))
+        .filter(minutes => dueMoment.getTime() - minutes * 60 * 1000 <= now.getTime());
+      if (pending.length > 0) {
+        const latest = pending[0];
+        const fireAt = dueMoment.getTime() - latest * 60 * 1000;
+        entry.fired = [...entry.fired, ...pending];
+        if (!due.some(item => item.todo.id === todo.id)) {
+          due.push({ todo, minutes: latest, missed: now.getTime() - fireAt > CHECK_INTERVAL * 2 });
+        }
+      }
+
+      state[todo.id] = entry;
+    });
+
+    // 削除・完了・アーカイブされたTodoの記録は消す
+    Object.keys(state).forEach(id => {
+      if (!activeIds.has(id)) delete state[id];
+    });
+
+    saveState(state);
+    return due;
+  });
+}
+
+/**
+ * リマインダーをスヌーズ（指定した時間の後にもう一度通知）
+ * @param {number} todoId - TodoのID
+ * @param {number} minutes - 何分後に通知するか
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Promise<void>}
+ */
+export function snoozeReminder(todoId, minutes, now = new Date()) {
+  return withReminderLock(() => {
+    const state = loadState();
+    if (state[todoId]) {
+      state[todoId].snoozedUntil = new Date(now.getTime() + minutes * 60 * 1000).toISOString();
+      saveState(state);
+    }
+  });
+}
+
+/**
+ * リマインダーの確認を定期的に行う
+ * 今すぐ通知できない間（canNotifyがfalseの間）は確認を後回しにし、
+ * タブが表に戻ったときにも確認する
+ * @param {Function} getTodos - 現在のTodo配列を返す関数
+ * @param {Function} onReminder - 通知する時期になったリマインダーの配列を受け取る関数
+ * @param {Function} [canNotify] - 今すぐ通知できるかを返す関数（falseなら確認を後回しにする）
+ * @returns {Function} 定期的な確認を止める関数
+ */
+export function startReminderScheduler(getTodos, onReminder, canNotify = () => true) {
+  const check = async () => {
+    if (!canNotify()) return;
+    const due = await collectDueReminders(getTodos());
+    if (due.length > 0) {
+      onReminder(due);
+    }
+  };
+
+  check();
+  const timer = setInterval(check, CHECK_INTERVAL);
+  document.addEventListener('visibilitychange', check);
+
+  return () => {
+    clearInterval(timer);
+    document.removeEventListener('visibilitychange', check);
+  };
+}
+
+/**
+ * タブ間で排他して処理を実行（Web Locks APIが使えない環境ではそのまま実行）
+ * @param {Function} task - 実行する処理
+ * @returns {Promise<*>} 処理の結果
+ */
+function withReminderLock(task) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(LOCK_NAME, task);
+  }
+  return Promise.resolve(task());
+}
+
+/**
+ * 通知済み・スヌーズの状態を読み込む
+ * @returns {Object} TodoのIDごとの{ dueKey, fired, snoozedUntil }
+ */
+function loadState() {
+  try {
+    return JSON.parse(localStorage.getItem(STATE_KEY)) || {};
+  } catch (error) {
+    console.error('リマインダーの状態の取得に失敗しました:', error);
+    return {};
+  }
+}
+
+/**
+ * 通知済み・スヌーズの状態を保存する
+ * @param {Object} state - TodoのIDごとの状態
+ */
+function saveState(state) {
+  try {
+    localStorage.setItem(STATE_KEY, JSON.stringify(state));
+  } catch (error) {
+    console.error('リマインダーの状態の保存に失敗しました:', error);
+  }
+}
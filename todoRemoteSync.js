@@ -0,0 +1,493 @@
+/**
+ * TodoRemoteSync
+ * 【追加機能27】TodoとリストをREST APIのサーバー（todoServer.jsなど）と同期するモジュール
+ *
+ * 【仕組み】
+ * ・サーバーの一覧（GET）を取得し、最後に同期した時点のサーバーの状態を基準に、
+ *   このブラウザのデータと3方向マージする（タブ間の同期と同じmergeTodosを使う）
+ * ・マージの結果とサーバーの状態の差分を、1件ずつPUT（新規）・PATCH（変更した項目だけ）・DELETEで送る
+ *   項目を削除した場合（繰り返しの解除など）はPATCHでは消せないため、If-Match付きのPUTで置き換える
+ *   各Todoのリビジョン（revision）をETagとして使い、If-Matchで他の端末の変更を上書きしないようにする
+ *   先に他の端末が変更していた場合（412）は、もう一度取得してマージし直す
+ * ・オフラインの間の変更は未送信のキューに記録し、つながったときにまとめて送る
+ *   （キューはこのブラウザのlocalStorageに保存し、再読み込みしても残る）
+ * ・複数のタブで開いていても、サーバーと通信するのは1つのタブだけにする（Web Locks）
+ */
+
+import { isSameTodo } from './todoSync.js';
+
+const QUEUE_KEY = 'todo-sync-queue';
+const BASE_KEY = 'todo-sync-base';
+const LEADER_LOCK_NAME = 'todo-remote-sync-leader';
+
+// 定期的に同期する間隔（ミリ秒）
+const SYNC_INTERVAL = 60 * 1000;
+
+// 変更してから同期するまでの待ち時間（ミリ秒、続けて変更したときにまとめて送る）
+const SYNC_DEBOUNCE = 2000;
+
+// 412（他の端末が先に変更）のときに取得し直す回数
+const MAX_RETRIES = 3;
+
+// 同期するデータの種類（リストを先に送り、Todoのリストが存在するようにする）
+const COLLECTIONS = ['lists', 'todos'];
+
+// サーバーとの同期の設定の初期値
+export const DEFAULT_REMOTE_SYNC = {
+  enabled: false,
+  // APIのURL（例：http://localhost:8787/api）
+  url: '',
+  // サーバーに設定したトークン（任意、Authorization: Bearerで送る）
+  token: ''
+};
+
+// 同期の状態の日本語表示名
+export const REMOTE_SYNC_STATE_LABELS = {
+  disabled: '同期しない',
+  idle: '同期済み',
+  syncing: '同期中',
+  offline: 'オフライン',
+  error: '同期エラー'
+};
+
+// 同期の状態（startRemoteSync()で開始）
+let syncConfig = null;
+let syncHandlers = null;
+let status = { state: 'disabled', pending: 0, lastSyncedAt: null, error: null };
+const statusListeners = [];
+let started = false;
+let isLeader = false;
+let debounceTimer = null;
+let running = null;
+let rerun = false;
+
+/**
+ * 同期の設定を検証し、正しい形に整える
+ * @param {*} config - 同期の設定
+ * @returns {Object} 同期の設定
+ */
+export function normalizeRemoteSyncConfig(config) {
+  const source = config && typeof config === 'object' ? config : {};
+  const url = typeof source.url === 'string' ? source.url.trim().replace(/\/+$/, '') : '';
+  return {
+    enabled: source.enabled === true && /^https?:\/\//.test(url),
+    url,
+    token: typeof source.token === 'string' ? source.token.trim() : ''
+  };
+}
+
+/**
+ * 変更を未送信のキューに記録する（todoManagerが保存するたびに呼ぶ）
+ * 同じTodo・リストへの変更は1件にまとめ、送るときはその時点の内容を送る
+ * @param {Object} changes - { todos: { before, after }, lists: { before, after } }（リストは変更した場合のみ）
+ */
+export function enqueueMutations(changes) {
+  const mutations = COLLECTIONS.flatMap(collection => {
+    const change = changes[collection];
+    if (!change) return [];
+
+    const beforeById = new Map(change.before.map(item => [item.id, item]));
+    const afterIds = new Set(change.after.map(item => item.id));
+    return [
+      ...change.after
+        .filter(item => !beforeById.has(item.id) || beforeById.get(item.id).revision !== item.revision)
+        .map(item => ({ collection, id: item.id, type: 'put' })),
+      ...change.before
+        .filter(item => !afterIds.has(item.id))
+        .map(item => ({ collection, id: item.id, type: 'delete' }))
+    ];
+  });
+  if (mutations.length === 0) return;
+
+  // 番号は、同期中に記録された変更を送信後に消さないために使う
+  const queue = loadQueue();
+  let seq = Math.max(0, ...queue.map(mutation => mutation.seq));
+  const keyOf = mutation => `${mutation.collection}:${mutation.id}`;
+  const keys = new Set(mutations.map(keyOf));
+  const next = [
+    ...queue.filter(mutation => !keys.has(keyOf(mutation))),
+    ...mutations.map(mutation => ({ ...mutation, seq: ++seq }))
+  ];
+  saveQueue(next);
+  updateStatus({ pending: next.length });
+  scheduleSync(SYNC_DEBOUNCE);
+}
+
+/**
+ * 同期の状態を取得
+ * @returns {Object} { state: 'disabled' | 'idle' | 'syncing' | 'offline' | 'error', pending, lastSyncedAt, error }
+ */
+export function getRemoteSyncStatus() {
+  return { ...status };
+}
+
+/**
+ * 同期の状態が変わったときのリスナーを登録
+ * @param {Function} listener - 新しい状態を受け取る関数
+ */
+export function onRemoteSyncStatus(listener) {
+  statusListeners.push(listener);
+}
+
+/**
+ * サーバーとの同期を開始する（設定を変更したときも呼ぶ。無効な場合は停止する）
+ * 複数のタブで開いている場合は、最初に開いたタブだけが通信し、そのタブを閉じると次のタブが引き継ぐ
+ * @param {Object} config - 同期の設定
+ * @param {Object} handlers - todoManagerとの橋渡し
+ * @param {Function} handlers.applyRemote - (base, remote)を受け取り、このブラウザのデータとマージした{ todos, lists }を返す関数
+ * @param {Function} handlers.prepare - 同期の前に保留中の保存を終える関数
+ */
+export function startRemoteSync(config, handlers) {
+  const next = normalizeRemoteSyncConfig(config);
+  // 別のサーバーに切り替えた場合は、前のサーバーとの基準を使わない
+  if (syncConfig && syncConfig.url !== next.url) {
+    saveBase(null);
+  }
+  syncConfig = next;
+  syncHandlers = handlers;
+
+  if (!syncConfig.enabled) {
+    clearTimeout(debounceTimer);
+    saveQueue([]);
+    updateStatus({ state: 'disabled', pending: 0, error: null });
+    return;
+  }
+
+  updateStatus({ state: 'idle', pending: loadQueue().length });
+  if (started) {
+    scheduleSync(0);
+    return;
+  }
+  started = true;
+
+  // 他のタブで変更してキューに記録されたら、件数の表示を合わせて送る
+  window.addEventListener('storage', (e) => {
+    if (e.key !== QUEUE_KEY || !syncConfig.enabled) return;
+    updateStatus({ pending: loadQueue().length });
+    scheduleSync(SYNC_DEBOUNCE);
+  });
+
+  const startLeader = () => {
+    isLeader = true;
+    scheduleSync(0);
+    setInterval(() => scheduleSync(0), SYNC_INTERVAL);
+    window.addEventListener('online', () => scheduleSync(0));
+    window.addEventListener('offline', () => {
+      if (syncConfig.enabled) updateStatus({ state: 'offline' });
+    });
+  };
+
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    // ロックはタブを閉じるまで持ち続ける
+    navigator.locks.request(LEADER_LOCK_NAME, () => {
+      startLeader();
+      return new Promise(() => {});
+    });
+  } else {
+    startLeader();
+  }
+}
+
+/**
+ * すぐに同期する（「今すぐ同期」ボタン用）
+ * @returns {Promise<boolean>} 同期した場合はtrue、他のタブが通信している場合はfalse
+ */
+export async function syncNow() {
+  if (!isLeader) return false;
+  clearTimeout(debounceTimer);
+  await runSync();
+  return true;
+}
+
+/**
+ * 同期を予約する（通信するタブのみ。同期中なら終わった後にもう一度同期する）
+ * @param {number} delay - 待ち時間（ミリ秒）
+ */
+function scheduleSync(delay) {
+  if (!isLeader || !syncConfig || !syncConfig.enabled) return;
+  clearTimeout(debounceTimer);
+  debounceTimer = setTimeout(() => runSync(), delay);
+}
+
+/**
+ * 同期を実行する（同時に1つだけ）
+ * @returns {Promise<void>}
+ */
+function runSync() {
+  if (!syncConfig || !syncConfig.enabled) return Promise.resolve();
+  if (running) {
+    rerun = true;
+    return running;
+  }
+
+  running = (async () => {
+    do {
+      rerun = false;
+      await syncOnce();
+    } while (rerun);
+  })().finally(() => {
+    running = null;
+  });
+  return running;
+}
+
+/**
+ * 1回分の同期（取得・マージ・送信）を行い、状態を更新する
+ * @returns {Promise<void>}
+ */
+async function syncOnce() {
+  if (typeof navigator !== 'undefined' && navigator.onLine === false) {
+    updateStatus({ state: 'offline', pending: loadQueue().length });
+    return;
+  }
+
+  updateStatus({ state: 'syncing' });
+  try {
+    for (let attempt = 0; attempt <= MAX_RETRIES; attempt++) {
+      if (await exchange()) {
+        updateStatus({ state: 'idle', pending: loadQueue().length, lastSyncedAt: new Date().toISOString(), error: null });
+        return;
+      }
+    }
+    throw new Error('他の端末の変更が続いているため、同期を完了できませんでした');
+  } catch (error) {
+    console.error('サーバーとの同期に失敗しました:', error);
+    // fetch自体の失敗（サーバーに届かない）はオフラインとして扱う
+    const offline = error instanceof TypeError;
+    updateStatus({ state: offline ? 'offline' : 'error', pending: loadQueue().length, error: offline ? null : error.message });
+  }
+}
+
+/**
+ * サーバーから取得してマージし、差分を送る
+ * @returns {Promise<boolean>} 全て送れた場合はtrue、他の端末の変更と衝突した（412）場合はfalse
+ */
+async function exchange() {
+  const base = loadBase();
+  const remote = { etags: {} };
+  for (const collection of COLLECTIONS) {
+    const result = await fetchCollection(collection, base.etags[collection]);
+    remote[collection] = result.items || base[collection];
+    remote.etags[collection] = result.etag;
+  }
+
+  await syncHandlers.prepare();
+  // マージに含まれる変更（ここまでにキューに記録されたもの）だけを、送信後にキューから消す
+  const sentSeq = Math.max(0, ...loadQueue().map(mutation => mutation.seq));
+  const merged = syncHandlers.applyRemote(base, remote);
+
+  // 送信した結果を反映した、サーバーの最新の状態（次回の基準）
+  const known = {
+    lists: new Map(remote.lists.map(item => [item.id, item])),
+    todos: new Map(remote.todos.map(item => [item.id, item]))
+  };
+  const saveKnown = etags => saveBase({
+    lists: [...known.lists.values()],
+    todos: [...known.todos.values()],
+    etags
+  });
+
+  let sent = false;
+  for (const collection of COLLECTIONS) {
+    for (const operation of diffCollection(merged[collection], remote[collection])) {
+      sent = true;
+      const result = await sendOperation(collection, operation);
+      if (result === 'conflict') {
+        saveKnown({});
+        return false;
+      }
+      if (operation.type === 'delete') {
+        known[collection].delete(operation.id);
+      } else {
+        known[collection].set(operation.id, operation.item);
+      }
+    }
+  }
+
+  // 送った場合は一覧のETagが変わるため、次回は全て取得し直す
+  saveKnown(sent ? {} : remote.etags);
+  saveQueue(loadQueue().filter(mutation => mutation.seq > sentSeq));
+  return true;
+}
+
+/**
+ * マージの結果とサーバーの状態の差分を求める
+ * @param {Array} items - マージの結果
+ * @param {Array} remoteItems - サーバーの状態
+ * @returns {Array} [{ type: 'put' | 'replace' | 'patch' | 'delete', id, item, fields, revision: サーバーのリビジョン }]
+ */
+function diffCollection(items, remoteItems) {
+  const remoteById = new Map(remoteItems.map(item => [item.id, item]));
+  const ids = new Set(items.map(item => item.id));
+  const operations = [];
+
+  items.forEach(item => {
+    const remoteItem = remoteById.get(item.id);
+    if (!remoteItem) {
+      operations.push({ type: 'put', id: item.id, item });
+    } else if (remoteItem.revision !== item.revision || !isSameTodo(remoteItem, item)) {
+      // サーバーにだけある項目（このブラウザで削除した項目）があれば、全体を置き換える
+      if (Object.keys(remoteItem).some(field => !(field in item))) {
+        operations.push({ type: 'replace', id: item.id, item, revision: remoteItem.revision });
+        return;
+      }
+      const fields = Object.keys(item)
+        .filter(field => JSON.stringify(item[field]) !== JSON.stringify(remoteItem[field]));
+      operations.push({ type: 'patch', id: item.id, item, fields, revision: remoteItem.revision });
+    }
+  });
+
+  remoteItems
+    .filter(item => !ids.has(item.id))
+    .forEach(item => operations.push({ type: 'delete', id: item.id, revision: item.revision }));
+
+  return operations;
+}
+
+/**
+ * 一覧を取得する（前回と変わっていなければ304で省略する）
+ * @param {string} collection - 'todos' | 'lists'
+ * @param {string} [etag] - 前回取得したときのETag
+ * @returns {Promise<Object>} { items: 一覧（変わっていなければnull）, etag }
+ */
+async function fetchCollection(collection, etag) {
+  const response = await request('GET', `/${collection}`, { headers: etag ? { 'If-None-Match': etag } : {} });
+  if (response.status === 304) {
+    return { items: null, etag };
+  }
+  await assertOk(response);
+  const items = await response.json();
+  if (!Array.isArray(items)) {
+    throw new Error('サーバーの応答の形式が正しくありません');
+  }
+  return { items, etag: response.headers.get('ETag') };
+}
+
+/**
+ * 1件の変更をサーバーへ送る
+ * @param {string} collection - 'todos' | 'lists'
+ * @param {Object} operation - diffCollection()の結果の1件
+ * @returns {Promise<string>} 'ok'、先に他の端末が変更していた場合は'conflict'
+ */
+async function sendOperation(collection, operation) {
+  const path = `/${collection}/${operation.id}`;
+  let response;
+  if (operation.type === 'put') {
+    response = await request('PUT', path, { body: operation.item, headers: { 'If-None-Match': '*' } });
+  } else if (operation.type === 'replace') {
+    response = await request('PUT', path, { body: operation.item, headers: { 'If-Match': `"${operation.revision}"` } });
+  } else if (operation.type === 'patch') {
+    const body = Object.fromEntries(operation.fields.map(field => [field, operation.item[field]]));
+    response = await request('PATCH', path, { body, headers: { 'If-Match': `"${operation.revision}"` } });
+  } else {
+    response = await request('DELETE', path, { headers: { 'If-Match': `"${operation.revision}"` } });
+    // 既に削除されていた場合は成功として扱う
+    if (response.status === 404) return 'ok';
+  }
+
+  if (response.status === 412) return 'conflict';
+  await assertOk(response);
+  return 'ok';
+}
+
+/**
+ * サーバーへリクエストを送る
+ * @param {string} method - HTTPメソッド
+ * @param {string} path - APIのURLからのパス
+ * @param {Object} [options] - { body, headers }
+ * @returns {Promise<Response>}
+ */
+function request(method, path, { body, headers = {} } = {}) {
+  return fetch(`${syncConfig.url}${path}`, {
+    method,
+    headers: {
+      ...(body ? { 'Content-Type': 'application/json' } : {}),
+      ...(syncConfig.token ? { Authorization: `Bearer ${syncConfig.token}` } : {}),
+      ...headers
+    },
+    body: body ? JSON.stringify(body) : undefined,
+    cache: 'no-store'
+  });
+}
+
+/**
+ * 失敗した応答をエラーにする
+ * @param {Response} response - 応答
+ */
+async function assertOk(response) {
+  if (response.ok) return;
+
+  const message = response.status === 401
+    ? 'サーバーのトークンが正しくありません'
+    : `サーバーがエラーを返しました（${response.status}）`;
+  const error = new Error(message);
+  error.status = response.status;
+  throw error;
+}
+
+/**
+ * 同期の状態を更新し、リスナーへ知らせる
+ * @param {Object} changes - 変更する項目
+ */
+function updateStatus(changes) {
+  status = { ...status, ...changes };
+  statusListeners.forEach(listener => listener(getRemoteSyncStatus()));
+}
+
+/**
+ * 未送信のキューを読み込む
+ * @returns {Array} [{ collection, id, type, seq }]
+ */
+function loadQueue() {
+  try {
+    const queue = JSON.parse(localStorage.getItem(QUEUE_KEY));
+    return Array.isArray(queue) ? queue : [];
+  } catch (error) {
+    console.error('未送信の変更の取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 未送信のキューを保存する
+ * @param {Array} queue - [{ collection, id, type, seq }]
+ */
+function saveQueue(queue) {
+  try {
+    localStorage.setItem(QUEUE_KEY, JSON.stringify(queue));
+  } catch (error) {
+    console.error('未送信の変更の保存に失敗しました:', error);
+  }
+}
+
+/**
+ * 最後に同期した時点のサーバーの状態を読み込む
+ * @returns {Object} { todos, lists, etags }（未同期の場合は空）
+ */
+function loadBase() {
+  try {
+    const base = JSON.parse(localStorage.getItem(BASE_KEY));
+    if (base && Array.isArray(base.todos) && Array.isArray(base.lists)) {
+      return { ...base, etags: base.etags || {} };
+    }
+  } catch (error) {
+    console.error('同期の基準の取得に失敗しました:', error);
+  }
+  return { todos: [], lists: [], etags: {} };
+}
+
+/**
+ * 最後に同期した時点のサーバーの状態を保存する
+ * @param {Object|null} base - { todos, lists, etags }、nullで消去
+ */
+function saveBase(base) {
+  try {
+    if (base) {
+      localStorage.setItem(BASE_KEY, JSON.stringify(base));
+    } else {
+      localStorage.removeItem(BASE_KEY);
+    }
+  } catch (error) {
+    console.error('同期の基準の保存に失敗しました:', error);
+  }
+}
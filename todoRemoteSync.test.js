@@ -0,0 +1,98 @@
+/**
+ * todoRemoteSync.jsのテスト（npm testで実行）
+ * 参照用のサーバー（todoServer.js）を起動し、実際に送受信して確かめる
+ */
+
+import { test, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { spawn } from 'node:child_process';
+import { mkdtemp, rm } from 'node:fs/promises';
+import { tmpdir } from 'node:os';
+import { join } from 'node:path';
+import { startRemoteSync, syncNow } from './todoRemoteSync.js';
+
+const PORT = 18700 + Math.floor(Math.random() * 1000);
+const API_URL = `http://localhost:${PORT}/api`;
+
+let server;
+let dataDir;
+
+// 同期が登録する定期実行を、テストの終わりに止める
+const intervals = [];
+const originalSetInterval = globalThis.setInterval;
+
+before(async () => {
+  globalThis.setInterval = (...args) => {
+    const id = originalSetInterval(...args);
+    intervals.push(id);
+    return id;
+  };
+  const storage = new Map();
+  globalThis.localStorage = {
+    getItem: key => (storage.has(key) ? storage.get(key) : null),
+    setItem: (key, value) => storage.set(key, String(value)),
+    removeItem: key => storage.delete(key)
+  };
+  globalThis.window = new EventTarget();
+
+  dataDir = await mkdtemp(join(tmpdir(), 'todo-server-'));
+  server = spawn(process.execPath, ['todoServer.js'], {
+    env: { ...process.env, PORT: String(PORT), TODO_SERVER_DATA: join(dataDir, 'data.json') },
+    stdio: ['ignore', 'pipe', 'inherit']
+  });
+  await new Promise((resolve, reject) => {
+    server.stdout.once('data', resolve);
+    server.once('exit', code => reject(new Error(`サーバーが終了しました（${code}）`)));
+  });
+});
+
+after(async () => {
+  intervals.forEach(id => clearInterval(id));
+  globalThis.setInterval = originalSetInterval;
+  server.kill();
+  await rm(dataDir, { recursive: true, force: true });
+});
+
+test('このブラウザで削除した項目は、サーバーからも消える', async () => {
+  const list = { id: 1, name: 'マイリスト', position: 0, revision: 1 };
+  let local = {
+    lists: [list],
+    todos: [{
+      id: 1,
+      text: '請求書',
+      status: 'todo',
+      listId: 1,
+      recurrence: { frequency: 'daily', interval: 1 },
+      purgeAt: '2026-11-01T00:00:00.000Z',
+      revision: 1
+    }]
+  };
+  startRemoteSync({ enabled: true, url: API_URL }, {
+    prepare: async () => {},
+    applyRemote: () => structuredClone(local)
+  });
+  assert.equal(await syncNow(), true);
+
+  const { recurrence, purgeAt, ...rest } = local.todos[0];
+  local = { ...local, todos: [{ ...rest, revision: 2 }] };
+  await syncNow();
+
+  const response = await fetch(`${API_URL}/todos/1`);
+  const stored = await response.json();
+  assert.equal(stored.revision, 2);
+  assert.equal('recurrence' in stored, false);
+  assert.equal('purgeAt' in stored, false);
+
+  // もう一度同期しても、削除した項目は戻らない
+  let pulled = null;
+  startRemoteSync({ enabled: true, url: API_URL }, {
+    prepare: async () => {},
+    applyRemote: (base, remote) => {
+      pulled = remote;
+      return structuredClone(local);
+    }
+  });
+  await syncNow();
+  assert.equal('purgeAt' in pulled.todos[0], false);
+  assert.equal('recurrence' in pulled.todos[0], false);
+});
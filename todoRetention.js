@@ -0,0 +1,142 @@
+/**
+ * TodoRetention
+ * 完了したTodoの自動アーカイブと、古いアーカイブの自動削除（保持ルール）を扱うモジュール
+ *
+ * 【ルール】
+ * ・自動アーカイブ：完了してから指定した日数がたったTodoをアーカイブする
+ * ・自動削除：アーカイブしてから指定した日数がたったTodoを「削除予定」にし、猶予期間の後に完全に削除する
+ *   猶予期間中はアーカイブ欄に削除予定日が表示され、復元すれば削除されない
+ *   自動削除を無効にしたり日数を延ばしたりして対象外になったTodoは、削除予定を取り消す
+ * ・ルールの設定と実行の記録はこのブラウザだけのもの（設定はtodoSettings、記録はlocalStorage）
+ */
+
+const LOG_KEY = 'todo-retention-log';
+
+// 実行の記録を残す最大件数（古いものから破棄）
+const MAX_LOG_ENTRIES = 100;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 保持ルールの初期値（自動で消えないよう、どちらも無効にしておく）
+export const DEFAULT_RETENTION_RULES = {
+  autoArchive: false,
+  autoArchiveDays: 7,
+  autoPurge: false,
+  autoPurgeDays: 30,
+  purgeGraceDays: 7
+};
+
+// ルールが行った処理の日本語表示名
+export const RETENTION_ACTION_LABELS = {
+  archive: '自動アーカイブ',
+  schedulePurge: '削除予定に設定',
+  cancelPurge: '削除予定を取り消し',
+  purge: '完全に削除'
+};
+
+/**
+ * 保持ルールを検証し、正しい形に整える（日数は1以上の整数）
+ * @param {*} rules - 保持ルール
+ * @returns {Object} 保持ルール
+ */
+export function normalizeRetentionRules(rules) {
+  const source = rules && typeof rules === 'object' ? rules : {};
+  const days = (value, fallback) => (Number.isInteger(value) && value >= 1 ? value : fallback);
+
+  return {
+    autoArchive: source.autoArchive === true,
+    autoArchiveDays: days(source.autoArchiveDays, DEFAULT_RETENTION_RULES.autoArchiveDays),
+    autoPurge: source.autoPurge === true,
+    autoPurgeDays: days(source.autoPurgeDays, DEFAULT_RETENTION_RULES.autoPurgeDays),
+    purgeGraceDays: days(source.purgeGraceDays, DEFAULT_RETENTION_RULES.purgeGraceDays)
+  };
+}
+
+/**
+ * 保持ルールをTodoに適用する（保存はしない）
+ * @param {Array} todos - 全てのTodoの配列（変更される）
+ * @param {Object} rules - 保持ルール
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Object} { todos: 適用後のTodo配列, results: [{ action, todos: [{ id, text }] }]（処理したものだけ） }
+ */
+export function applyRetentionRules(todos, rules, now = new Date()) {
+  const { autoArchive, autoArchiveDays, autoPurge, autoPurgeDays, purgeGraceDays } = normalizeRetentionRules(rules);
+  const nowIso = now.toISOString();
+  const affected = { archive: [], schedulePurge: [], cancelPurge: [], purge: [] };
+  const isOlderThan = (timestamp, days) => now - new Date(timestamp) >= days * DAY_MS;
+
+  todos.forEach(todo => {
+    if (autoArchive && !todo.archived && todo.status === 'done' && todo.completedAt &&
+      isOlderThan(todo.completedAt, autoArchiveDays)) {
+      todo.archived = true;
+      todo.archivedAt = nowIso;
+      affected.archive.push(todo);
+      return;
+    }
+
+    if (!todo.archived) return;
+
+    const isExpired = autoPurge && todo.archivedAt && isOlderThan(todo.archivedAt, autoPurgeDays);
+    if (todo.purgeAt && !isExpired) {
+      todo.purgeAt = null;
+      affected.cancelPurge.push(todo);
+    } else if (todo.purgeAt && new Date(todo.purgeAt) <= now) {
+      affected.purge.push(todo);
+    } else if (!todo.purgeAt && isExpired) {
+      todo.purgeAt = new Date(now.getTime() + purgeGraceDays * DAY_MS).toISOString();
+      affected.schedulePurge.push(todo);
+    }
+  });
+
+  const purgedIds = new Set(affected.purge.map(todo => todo.id));
+  const results = Object.entries(affected)
+    .filter(([, items]) => items.length > 0)
+    .map(([action, items]) => ({ action, todos: items.map(todo => ({ id: todo.id, text: todo.text })) }));
+
+  return { todos: todos.filter(todo => !purgedIds.has(todo.id)), results };
+}
+
+/**
+ * 保持ルールの実行の記録を取得
+ * @returns {Array} [{ at: 実行日時, action, todos: [{ id, text }] }]（新しい順）
+ */
+export function loadRetentionLog() {
+  try {
+    const log = JSON.parse(localStorage.getItem(LOG_KEY));
+    return Array.isArray(log) ? log : [];
+  } catch (error) {
+    console.error('自動整理の記録の取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 保持ルールの実行結果を記録に追加
+ * @param {Array} results - applyRetentionRules()の結果のresults
+ * @param {Date} [now] - 実行日時（テスト用）
+ */
+export function appendRetentionLog(results, now = new Date()) {
+  if (results.length === 0) return;
+
+  const entries = results.map(result => ({ at: now.toISOString(), ...result }));
+  saveRetentionLog([...entries, ...loadRetentionLog()].slice(0, MAX_LOG_ENTRIES));
+}
+
+/**
+ * 保持ルールの実行の記録を消去
+ */
+export function clearRetentionLog() {
+  saveRetentionLog([]);
+}
+
+/**
+ * 保持ルールの実行の記録を保存
+ * @param {Array} log - 記録の配列
+ */
+function saveRetentionLog(log) {
+  try {
+    localStorage.setItem(LOG_KEY, JSON.stringify(log));
+  } catch (error) {
+    console.error('自動整理の記録の保存に失敗しました:', error);
+  }
+}
@@ -0,0 +1,458 @@
+/**
+ * TodoSchema
+ * 保存データのスキーマバージョン管理・移行・検証を行うモジュール
+ *
+ * 【保存形式（エンベロープ）】
+ * { schemaVersion: number, todos: Array, quarantine: Array, lists: Array }
+ * ・schemaVersion：データの形式のバージョン
+ * ・todos：Todoの配列
+ * ・quarantine：検証で修復できなかったレコード（削除せずに隔離して残す）
+ * ・lists：【追加機能21】リスト（プロジェクト）の配列。各TodoはlistIdでいずれかのリストに属する
+ *
+ * エンベロープ導入前の「Todo配列のみ」のデータはバージョン0として扱う
+ */
+
+import { normalizeRecurrence } from './todoRecurrence.js';
+import { normalizeTags } from './todoTags.js';
+import { VALID_PRIORITIES } from './todoPriority.js';
+import { normalizeReminders, isValidTime } from './todoReminders.js';
+
+export const VALID_STATUSES = ['todo', 'doing', 'done'];
+
+// 【追加機能21】リストがない場合に作成する最初のリスト（既存のTodoはこのリストに入る）
+export const DEFAULT_LIST_ID = 1;
+export const DEFAULT_LIST_NAME = 'マイリスト';
+const DEFAULT_LIST_CREATED_AT = new Date(0).toISOString();
+
+/**
+ * 移行処理の一覧（バージョン順）
+ * 各移行はversion - 1のデータをversionの形式に変換する
+ * migrate(todo, todos)にはTodo1件と、移行前の全Todo（並び順の計算などに使う）が渡される
+ * Todoに項目を追加したときは、ここに移行処理を追加してバージョンを上げる
+ */
+const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'アーカイブフラグ（archived）を追加',
+    migrate: todo => ({ ...todo, archived: todo.archived ?? false })
+  },
+  {
+    version: 2,
+    description: '期日（dueDate）を追加',
+    migrate: todo => ({ ...todo, dueDate: todo.dueDate ?? null })
+  },
+  {
+    version: 3,
+    description: 'リビジョン（revision）と更新日時（updatedAt）を追加',
+    migrate: todo => ({
+      ...todo,
+      revision: todo.revision ?? 1,
+      updatedAt: todo.updatedAt ?? todo.createdAt
+    })
+  },
+  {
+    version: 4,
+    description: '繰り返しルール（recurrence）を追加',
+    migrate: todo => ({ ...todo, recurrence: todo.recurrence ?? null })
+  },
+  {
+    version: 5,
+    description: 'サブタスク（subtasks）を追加',
+    migrate: todo => ({ ...todo, subtasks: todo.subtasks ?? [] })
+  },
+  {
+    version: 6,
+    description: '手動の並び順（position）を追加',
+    // これまでの並び（作成日時順）をそのまま初期の並び順にする
+    migrate: (todo, todos) => ({
+      ...todo,
+      position: todo.position ?? todos.filter(other => (
+        isPlainObject(other) && String(other.createdAt) < String(todo.createdAt)
+      )).length + 1
+    })
+  },
+  {
+    version: 7,
+    description: 'タグ（tags）を追加',
+    migrate: todo => ({ ...todo, tags: todo.tags ?? [] })
+  },
+  {
+    version: 8,
+    description: '優先度（priority）と処理中になった日時（doingSince）を追加',
+    // 処理中になった日時は記録がないため、最後に更新された日時で代用する
+    migrate: todo => ({
+      ...todo,
+      priority: todo.priority ?? 'medium',
+      doingSince: todo.doingSince ?? (todo.status === 'doing' ? todo.updatedAt ?? null : null)
+    })
+  },
+  {
+    version: 9,
+    description: '期日の時刻（dueTime）とリマインダー（reminders）を追加',
+    migrate: todo => ({ ...todo, dueTime: todo.dueTime ?? null, reminders: todo.reminders ?? [] })
+  },
+  {
+    version: 10,
+    description: 'iCalendarのUID（icalUid）を追加',
+    migrate: todo => ({ ...todo, icalUid: todo.icalUid ?? null })
+  },
+  {
+    version: 11,
+    description: 'リスト（listId）を追加',
+    // リストはvalidateLists()が最初のリストを作成する
+    migrate: todo => ({ ...todo, listId: todo.listId ?? DEFAULT_LIST_ID })
+  },
+  {
+    version: 12,
+    description: '完了日時（completedAt）・アーカイブ日時（archivedAt）・完全削除の予定日時（purgeAt）を追加',
+    // 以前のデータは完了・アーカイブした日時が分からないため、最終更新日時で代用する
+    migrate: todo => ({
+      ...todo,
+      completedAt: todo.completedAt ?? (todo.status === 'done' ? todo.updatedAt ?? todo.createdAt ?? null : null),
+      archivedAt: todo.archivedAt ?? (todo.archived ? todo.updatedAt ?? todo.createdAt ?? null : null),
+      purgeAt: todo.purgeAt ?? null
+    })
+  }
+];
+
+// 現在のスキーマバージョン（最後の移行処理のバージョン）
+export const CURRENT_SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * 現在のスキーマバージョンのエンベロープを作成
+ * @param {Array} todos - Todoの配列
+ * @param {Array} quarantine - 隔離したレコードの配列
+ * @param {Array} [lists] - 【追加機能21】リストの配列
+ * @returns {Object} エンベロープ
+ */
+export function createEnvelope(todos = [], quarantine = [], lists = []) {
+  return { schemaVersion: CURRENT_SCHEMA_VERSION, todos, quarantine, lists };
+}
+
+/**
+ * ストレージから読み込んだ値をエンベロープの形に揃える
+ * @param {*} raw - アダプターのload()が返した値
+ * @returns {Object} エンベロープ
+ */
+export function unwrapEnvelope(raw) {
+  if (raw === null || raw === undefined) {
+    return createEnvelope();
+  }
+  if (Array.isArray(raw)) {
+    return { schemaVersion: 0, todos: raw, quarantine: [], lists: [] };
+  }
+  return {
+    schemaVersion: Number.isInteger(raw.schemaVersion) ? raw.schemaVersion : 0,
+    todos: Array.isArray(raw.todos) ? raw.todos : [],
+    quarantine: Array.isArray(raw.quarantine) ? raw.quarantine : [],
+    lists: Array.isArray(raw.lists) ? raw.lists : []
+  };
+}
+
+/**
+ * エンベロープを現在のスキーマバージョンまで移行する
+ * @param {Object} envelope - 読み込んだエンベロープ
+ * @returns {Object} { envelope: 移行後のエンベロープ, applied: 適用した移行の説明の配列 }
+ */
+export function migrateEnvelope(envelope) {
+  if (envelope.schemaVersion > CURRENT_SCHEMA_VERSION) {
+    throw new Error(`未対応のスキーマバージョンです（${envelope.schemaVersion}）`);
+  }
+
+  const pending = MIGRATIONS.filter(migration => migration.version > envelope.schemaVersion);
+  let todos = envelope.todos;
+
+  pending.forEach(migration => {
+    // オブジェクトでないレコードは検証で隔離するため、そのまま残す
+    const previous = todos;
+    todos = previous.map(todo => (isPlainObject(todo) ? migration.migrate(todo, previous) : todo));
+  });
+
+  return {
+    envelope: { ...envelope, schemaVersion: CURRENT_SCHEMA_VERSION, todos },
+    applied: pending.map(migration => migration.description)
+  };
+}
+
+/**
+ * 【追加機能21】リストを検証し、正しい形に整える
+ * 名前のないものは除き、IDの重複・欠損は振り直す。リストが1つもなければ最初のリストを作成する
+ * @param {Array} lists - 読み込んだリストの配列
+ * @returns {Object} { lists: 検証済みのリスト, changed: 修復・作成したか }
+ */
+export function validateLists(lists) {
+  const valid = [];
+  const usedIds = new Set();
+  let changed = false;
+  let nextId = lists.reduce((max, list) => (
+    isPlainObject(list) && isValidId(list.id) ? Math.max(max, list.id) : max
+  ), 0) + 1;
+
+  lists.forEach((record, index) => {
+    if (!isPlainObject(record) || typeof record.name !== 'string' || !record.name.trim()) {
+      changed = true;
+      return;
+    }
+
+    const list = { ...record };
+    if (!isValidId(list.id) || usedIds.has(list.id)) {
+      list.id = nextId++;
+      changed = true;
+    }
+    if (!Number.isFinite(list.position)) {
+      list.position = index + 1;
+      changed = true;
+    }
+    if (typeof list.createdAt !== 'string' || Number.isNaN(new Date(list.createdAt).getTime())) {
+      list.createdAt = new Date().toISOString();
+      changed = true;
+    }
+    if (!Number.isInteger(list.revision) || list.revision < 0) {
+      list.revision = 1;
+      changed = true;
+    }
+    if (typeof list.updatedAt !== 'string' || Number.isNaN(new Date(list.updatedAt).getTime())) {
+      list.updatedAt = list.createdAt;
+      changed = true;
+    }
+
+    usedIds.add(list.id);
+    valid.push(list);
+  });
+
+  if (valid.length === 0) {
+    // 複数のタブで同時に作成しても同じリストとして同期されるよう、作成日時は固定する
+    valid.push(createList(DEFAULT_LIST_ID, DEFAULT_LIST_NAME, 1, DEFAULT_LIST_CREATED_AT));
+    changed = true;
+  }
+
+  return { lists: valid, changed };
+}
+
+/**
+ * 【追加機能21】リストを作成
+ * @param {number} id - リストのID
+ * @param {string} name - リストの名前
+ * @param {number} position - 並び順
+ * @param {string} [createdAt] - 作成日時（ISO形式）
+ * @returns {Object} リスト
+ */
+export function createList(id, name, position, createdAt = new Date().toISOString()) {
+  return { id, name, position, createdAt, revision: 1, updatedAt: createdAt };
+}
+
+/**
+ * Todoを1件ずつ検証し、修復できるものは修復、できないものは隔離する
+ * @param {Array} todos - 移行済みのTodo配列
+ * @param {Array} [lists] - 【追加機能21】検証済みのリスト（存在しないリストのTodoは最初のリストへ移す）
+ * @returns {Object} { todos, quarantined: [{ record, reason }], repaired: [{ id, fields }] }
+ */
+export function validateTodos(todos, lists = []) {
+  const listIds = new Set(lists.map(list => list.id));
+  const fallbackListId = lists.length > 0 ? lists[0].id : DEFAULT_LIST_ID;
+  const valid = [];
+  const quarantined = [];
+  const repaired = [];
+  const usedIds = new Set();
+  const withoutPosition = [];
+
+  // IDの重複・欠損を振り直すため、先に有効なIDの最大値を求めておく
+  let nextId = todos.reduce((max, todo) => (
+    isPlainObject(todo) && isValidId(todo.id) ? Math.max(max, todo.id) : max
+  ), 0) + 1;
+
+  todos.forEach(record => {
+    if (!isPlainObject(record)) {
+      quarantined.push({ record, reason: 'Todoの形式が正しくありません' });
+      return;
+    }
+
+    const text = typeof record.text === 'number' ? String(record.text) : record.text;
+    if (typeof text !== 'string' || !text.trim()) {
+      quarantined.push({ record, reason: '内容（text）がありません' });
+      return;
+    }
+
+    const todo = { ...record, text };
+    const fields = [];
+
+    if (text !== record.text) {
+      fields.push('text');
+    }
+    if (!isValidId(todo.id) || usedIds.has(todo.id)) {
+      todo.id = nextId++;
+      fields.push('id');
+    }
+    if (!VALID_STATUSES.includes(todo.status)) {
+      todo.status = 'todo';
+      fields.push('status');
+    }
+    if (typeof todo.archived !== 'boolean') {
+      todo.archived = todo.archived === 'true';
+      fields.push('archived');
+    }
+    if (todo.dueDate !== null && !isValidDateString(todo.dueDate)) {
+      todo.dueDate = null;
+      fields.push('dueDate');
+    }
+    if (typeof todo.createdAt !== 'string' || Number.isNaN(new Date(todo.createdAt).getTime())) {
+      // 作成日時が不明なものは最も古い扱いにして、一覧の先頭側に並べる
+      todo.createdAt = new Date(0).toISOString();
+      fields.push('createdAt');
+    }
+    if (todo.recurrence !== null) {
+      const recurrence = normalizeRecurrence(todo.recurrence);
+      if (JSON.stringify(recurrence) !== JSON.stringify(todo.recurrence)) {
+        todo.recurrence = recurrence;
+        fields.push('recurrence');
+      }
+    }
+    const subtasks = normalizeSubtasks(todo.subtasks);
+    if (JSON.stringify(subtasks) !== JSON.stringify(todo.subtasks)) {
+      todo.subtasks = subtasks;
+      fields.push('subtasks');
+    }
+    const tags = normalizeTags(todo.tags);
+    if (JSON.stringify(tags) !== JSON.stringify(todo.tags)) {
+      todo.tags = tags;
+      fields.push('tags');
+    }
+    if (!VALID_PRIORITIES.includes(todo.priority)) {
+      todo.priority = 'medium';
+      fields.push('priority');
+    }
+    if (todo.doingSince !== null && (typeof todo.doingSince !== 'string' || Number.isNaN(new Date(todo.doingSince).getTime()))) {
+      todo.doingSince = null;
+      fields.push('doingSince');
+    }
+    if (todo.dueTime !== null && !isValidTime(todo.dueTime)) {
+      todo.dueTime = null;
+      fields.push('dueTime');
+    }
+    const reminders = normalizeReminders(todo.reminders);
+    if (JSON.stringify(reminders) !== JSON.stringify(todo.reminders)) {
+      todo.reminders = reminders;
+      fields.push('reminders');
+    }
+    if (todo.icalUid !== null && (typeof todo.icalUid !== 'string' || todo.icalUid === '')) {
+      todo.icalUid = null;
+      fields.push('icalUid');
+    }
+    if (lists.length > 0 ? !listIds.has(todo.listId) : !isValidId(todo.listId)) {
+      todo.listId = fallbackListId;
+      fields.push('listId');
+    }
+    if (!Number.isFinite(todo.position)) {
+      // 並び順が不明なものは、全件の検証後に末尾の位置を割り当てる
+      withoutPosition.push(todo);
+      fields.push('position');
+    }
+    if (!Number.isInteger(todo.revision) || todo.revision < 0) {
+      todo.revision = 1;
+      fields.push('revision');
+    }
+    if (typeof todo.updatedAt !== 'string' || Number.isNaN(new Date(todo.updatedAt).getTime())) {
+      todo.updatedAt = todo.createdAt;
+      fields.push('updatedAt');
+    }
+    // 【追加機能23】完了・アーカイブしていないTodoには日時を持たせない。日時が不明なものは最終更新日時で代用する
+    const completedAt = todo.status === 'done' ? toTimestamp(todo.completedAt, todo.updatedAt) : null;
+    if (completedAt !== todo.completedAt) {
+      todo.completedAt = completedAt;
+      fields.push('completedAt');
+    }
+    const archivedAt = todo.archived ? toTimestamp(todo.archivedAt, todo.updatedAt) : null;
+    if (archivedAt !== todo.archivedAt) {
+      todo.archivedAt = archivedAt;
+      fields.push('archivedAt');
+    }
+    const purgeAt = todo.archived && todo.purgeAt !== null ? toTimestamp(todo.purgeAt, null) : null;
+    if (purgeAt !== todo.purgeAt) {
+      todo.purgeAt = purgeAt;
+      fields.push('purgeAt');
+    }
+
+    usedIds.add(todo.id);
+    valid.push(todo);
+    if (fields.length > 0) {
+      repaired.push({ id: todo.id, fields });
+    }
+  });
+
+  let nextPosition = Math.max(0, ...valid
+    .filter(todo => !withoutPosition.includes(todo))
+    .map(todo => todo.position)) + 1;
+  withoutPosition.forEach(todo => {
+    todo.position = nextPosition++;
+  });
+
+  return { todos: valid, quarantined, repaired };
+}
+
+/**
+ * 【追加機能11】サブタスクの配列を検証し、正しい形に整える
+ * 内容が空のものは除外し、IDの欠損・重複は振り直す
+ * @param {*} subtasks - サブタスクの配列
+ * @returns {Array} { id, text, done }の配列
+ */
+export function normalizeSubtasks(subtasks) {
+  if (!Array.isArray(subtasks)) return [];
+
+  const valid = subtasks.filter(subtask => (
+    isPlainObject(subtask) && typeof subtask.text === 'string' && subtask.text.trim()
+  ));
+  const usedIds = new Set();
+  let nextId = valid.reduce((max, subtask) => (
+    isValidId(subtask.id) ? Math.max(max, subtask.id) : max
+  ), 0) + 1;
+
+  return valid.map(subtask => {
+    const id = isValidId(subtask.id) && !usedIds.has(subtask.id) ? subtask.id : nextId++;
+    usedIds.add(id);
+    return { id, text: subtask.text, done: subtask.done === true };
+  });
+}
+
+/**
+ * YYYY-MM-DD形式の実在する日付か判定
+ * @param {string} value - 判定する文字列
+ * @returns {boolean}
+ */
+export function isValidDateString(value) {
+  if (typeof value !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    return false;
+  }
+  const [year, month, day] = value.split('-').map(Number);
+  const date = new Date(year, month - 1, day);
+  return date.getFullYear() === year &&
+    date.getMonth() === month - 1 &&
+    date.getDate() === day;
+}
+
+/**
+ * 【追加機能23】日時の文字列を検証する
+ * @param {*} value - 判定する値
+ * @param {string|null} fallback - 日時として解釈できない場合の値
+ * @returns {string|null} 有効な日時の文字列、またはfallback
+ */
+function toTimestamp(value, fallback) {
+  return typeof value === 'string' && !Number.isNaN(new Date(value).getTime()) ? value : fallback;
+}
+
+/**
+ * 有効なTodoのIDか判定
+ * @param {*} id - 判定する値
+ * @returns {boolean}
+ */
+function isValidId(id) {
+  return Number.isInteger(id) && id > 0;
+}
+
+/**
+ * 通常のオブジェクトか判定
+ * @param {*} value - 判定する値
+ * @returns {boolean}
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -0,0 +1,71 @@
+/**
+ * todoSchema.jsのテスト（npm testで実行）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import {
+  CURRENT_SCHEMA_VERSION,
+  DEFAULT_LIST_ID,
+  unwrapEnvelope,
+  migrateEnvelope,
+  validateLists,
+  validateTodos
+} from './todoSchema.js';
+
+test('バージョン1のデータを現在のバージョンまで移行すると、失われる項目がなく検証も通る', () => {
+  const raw = {
+    schemaVersion: 1,
+    todos: [
+      { id: 2, text: '処理中のTodo', status: 'doing', createdAt: '2026-01-02T00:00:00.000Z', archived: false },
+      { id: 1, text: '完了したTodo', status: 'done', createdAt: '2026-01-01T00:00:00.000Z', archived: true },
+      '壊れたレコード'
+    ],
+    quarantine: []
+  };
+
+  const { envelope, applied } = migrateEnvelope(unwrapEnvelope(raw));
+  const { lists } = validateLists(envelope.lists);
+  const { todos, quarantined, repaired } = validateTodos(envelope.todos, lists);
+
+  assert.equal(envelope.schemaVersion, CURRENT_SCHEMA_VERSION);
+  assert.equal(applied.length, CURRENT_SCHEMA_VERSION - 1);
+  assert.deepEqual(repaired, []);
+  assert.deepEqual(quarantined.map(entry => entry.record), ['壊れたレコード']);
+
+  const [doing, done] = todos;
+  assert.deepEqual(done, {
+    id: 1,
+    text: '完了したTodo',
+    status: 'done',
+    createdAt: '2026-01-01T00:00:00.000Z',
+    archived: true,
+    dueDate: null,
+    revision: 1,
+    updatedAt: '2026-01-01T00:00:00.000Z',
+    recurrence: null,
+    subtasks: [],
+    position: 1,
+    tags: [],
+    priority: 'medium',
+    doingSince: null,
+    dueTime: null,
+    reminders: [],
+    icalUid: null,
+    listId: DEFAULT_LIST_ID,
+    completedAt: '2026-01-01T00:00:00.000Z',
+    archivedAt: '2026-01-01T00:00:00.000Z',
+    purgeAt: null
+  });
+  // 作成日時順が初期の並び順になり、処理中のものは最終更新日時を処理中になった日時とする
+  assert.equal(doing.position, 2);
+  assert.equal(doing.doingSince, '2026-01-02T00:00:00.000Z');
+  assert.equal(doing.completedAt, null);
+  assert.equal(doing.archivedAt, null);
+});
+
+test('現在より新しいバージョンのデータは移行せずにエラーにする', () => {
+  const envelope = unwrapEnvelope({ schemaVersion: CURRENT_SCHEMA_VERSION + 1, todos: [] });
+
+  assert.throws(() => migrateEnvelope(envelope), /未対応のスキーマバージョン/);
+});
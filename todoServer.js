@@ -0,0 +1,327 @@
+/**
+ * TodoServer
+ * 【追加機能27】サーバーとの同期（todoRemoteSync.js）の参照用サーバー（Node.jsで動かす）
+ *
+ * 【使い方】
+ *   npm run server
+ *   環境変数：PORT（既定8787）、TODO_SERVER_DATA（保存先のファイル、既定todo-server-data.json）、
+ *            TODO_SERVER_TOKEN（設定するとAuthorization: Bearerのトークンを必須にする）、
+ *            TODO_SERVER_FEED_TOKEN（カレンダーのフィードを ?token= で読むための読み取り専用のトークン）、
+ *            TODO_SERVER_ORIGIN（アプリのオリジン、既定は全て許可）
+ *
+ * 【API】（collectionは todos または lists）
+ *   GET    /api/:collection       一覧（ETagは一覧のバージョン。If-None-Matchが一致すれば304）
+ *   GET    /api/:collection/:id   1件（ETagはリビジョン）
+ *   PUT    /api/:collection/:id   作成・置き換え（既存のものはIf-Matchが必須）
+ *   PATCH  /api/:collection/:id   送った項目だけを変更（If-Matchが必須）
+ *   DELETE /api/:collection/:id   削除（If-Matchが必須）
+ *   If-Matchが現在のリビジョンと違う場合は412と現在の内容を返す。変更後のリビジョンは現在より大きくする
+ *   GET    /api/calendar.ics      期日のあるTodoのiCalendar（カレンダーアプリで購読する読み取り専用のフィード）
+ *          ?component=VEVENT で予定として出力（既定はVTODO）、?list=ID でリストを絞り込む
+ *          カレンダーアプリはヘッダーを付けられないため、?token= にTODO_SERVER_FEED_TOKENを渡して読める
+ *          URLのトークンはプロキシやアクセスログに残るため、書き込みもできるTODO_SERVER_TOKENとは別の値にする
+ *          （?token= ではTODO_SERVER_TOKENを受け付けない。TODO_SERVER_FEED_TOKENを設定するとフィードにも認証が必要になる）
+ *
+ * データは1つのJSONファイルに保存する（一時ファイルに書いてから置き換え、途中で止まっても壊れないようにする）
+ * 変更は1件ずつ順番に処理し、保存できてからメモリ上のデータに反映する（保存に失敗した変更は反映しない）
+ */
+
+import { createServer } from 'node:http';
+import { readFile, writeFile, rename } from 'node:fs/promises';
+import { createHash, timingSafeEqual } from 'node:crypto';
+import { exportTodosToIcs, ICAL_COMPONENTS } from './todoICal.js';
+
+const PORT = Number(process.env.PORT) || 8787;
+const DATA_FILE = process.env.TODO_SERVER_DATA || 'todo-server-data.json';
+const TOKEN = process.env.TODO_SERVER_TOKEN || '';
+const FEED_TOKEN = process.env.TODO_SERVER_FEED_TOKEN || '';
+const ALLOWED_ORIGIN = process.env.TODO_SERVER_ORIGIN || '*';
+
+// 受け付けるリクエストの本文の最大サイズ（バイト）
+const MAX_BODY_SIZE = 1024 * 1024;
+
+const COLLECTIONS = ['todos', 'lists'];
+const ROUTE = /^\/api\/(todos|lists)(?:\/(\d+))?\/?$/;
+const CALENDAR_PATH = '/api/calendar.ics';
+
+/**
+ * 保存済みのデータを読み込む（ファイルがなければ空）
+ * @returns {Promise<Object>} { version, todos: { id: todo }, lists: { id: list } }
+ */
+async function loadStore() {
+  try {
+    const data = JSON.parse(await readFile(DATA_FILE, 'utf8'));
+    return {
+      version: Number(data.version) || 0,
+      ...Object.fromEntries(COLLECTIONS.map(collection => [collection, data[collection] || {}]))
+    };
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return { version: 0, todos: {}, lists: {} };
+    }
+    throw error;
+  }
+}
+
+const store = await loadStore();
+
+// 変更を順番に実行するためのPromiseチェーン（失敗した変更があっても次の変更は実行する）
+let pendingChange = Promise.resolve();
+
+/**
+ * 変更を順番に実行する（前の変更の保存が終わってから始める）
+ * @param {Function} task - 変更を行う関数（Promiseを返してよい）
+ * @returns {Promise<*>} taskの結果
+ */
+function runExclusive(task) {
+  const result = pendingChange.then(task);
+  pendingChange = result.catch(() => {});
+  return result;
+}
+
+/**
+ * 1つのコレクションを置き換えたデータをファイルに保存し、保存できたらメモリ上のデータに反映する
+ * runExclusive()の中で呼ぶ
+ * @param {string} collection - 'todos' | 'lists'
+ * @param {Object} items - 新しい内容（{ id: item }）
+ * @returns {Promise<void>}
+ */
+async function commitStore(collection, items) {
+  const next = { ...store, [collection]: items, version: store.version + 1 };
+  await writeFile(`${DATA_FILE}.tmp`, JSON.stringify(next, null, 2));
+  await rename(`${DATA_FILE}.tmp`, DATA_FILE);
+  Object.assign(store, next);
+}
+
+/**
+ * JSONで応答する
+ * @param {http.ServerResponse} res - 応答
+ * @param {number} status - ステータスコード
+ * @param {*} [body] - 本文（省略時は本文なし）
+ * @param {Object} [headers] - 追加のヘッダー
+ */
+function send(res, status, body, headers = {}) {
+  res.writeHead(status, {
+    ...(body === undefined ? {} : { 'Content-Type': 'application/json; charset=utf-8' }),
+    ...headers
+  });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+/**
+ * 2つの秘密の値が同じかを、比較にかかる時間から内容が推測されないように調べる
+ * （長さの違いも漏らさないよう、ハッシュにそろえてから比べる）
+ * @param {string|null|undefined} given - リクエストで渡された値
+ * @param {string} expected - 正しい値
+ * @returns {boolean} 同じであればtrue
+ */
+function isSameSecret(given, expected) {
+  const digest = value => createHash('sha256').update(value).digest();
+  return typeof given === 'string' && timingSafeEqual(digest(given), digest(expected));
+}
+
+/**
+ * リクエストが認証されているかを調べる
+ * APIはAuthorization: Bearerのトークン、カレンダーのフィードはそれに加えて ?token= の読み取り専用のトークンで認める
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {URL} url - リクエストのURL
+ * @returns {boolean} 認証されていればtrue
+ */
+function isAuthorized(req, url) {
+  const hasBearer = TOKEN !== '' && isSameSecret(req.headers.authorization, `Bearer ${TOKEN}`);
+  if (url.pathname !== CALENDAR_PATH) {
+    return TOKEN === '' || hasBearer;
+  }
+  if (TOKEN === '' && FEED_TOKEN === '') {
+    return true;
+  }
+  return hasBearer || (FEED_TOKEN !== '' && isSameSecret(url.searchParams.get('token'), FEED_TOKEN));
+}
+
+/**
+ * リクエストの本文をJSONとして読み込む
+ * @param {http.IncomingMessage} req - リクエスト
+ * @returns {Promise<*>} 本文
+ */
+function readJsonBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    const onData = chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        // 接続を切ると413が届かないため、読み込みだけを止めて応答は呼び出し側に任せる
+        // （応答にConnection: closeを付け、残りの本文は読まずに接続を閉じる）
+        req.off('data', onData);
+        req.pause();
+        reject(Object.assign(new Error('本文が大きすぎます'), { status: 413, headers: { Connection: 'close' } }));
+        return;
+      }
+      chunks.push(chunk);
+    };
+    req.on('data', onData);
+    req.on('end', () => {
+      try {
+        resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+      } catch {
+        reject(Object.assign(new Error('本文がJSONではありません'), { status: 400 }));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * 1件へのリクエスト（GET・PUT・PATCH・DELETE）を処理する
+ * 本文を読み込んでいる間に他のリクエストが同じものを変更することがあるため、
+ * 条件（If-Match・If-None-Match・revision）の確認は本文を読み込んだ後、変更の直前に行う
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - 応答
+ * @param {string} collection - 'todos' | 'lists'
+ * @param {number} id - ID
+ */
+async function handleItem(req, res, collection, id) {
+  if (req.method === 'GET') {
+    const current = store[collection][id];
+    if (!current) return send(res, 404, { error: '見つかりません' });
+    return send(res, 200, current, { ETag: `"${current.revision}"` });
+  }
+
+  if (!['PUT', 'PATCH', 'DELETE'].includes(req.method)) {
+    return send(res, 405, { error: '対応していないメソッドです' });
+  }
+
+  const body = req.method === 'DELETE' ? undefined : await readJsonBody(req);
+  return runExclusive(() => applyItemChange(req, res, collection, id, body));
+}
+
+/**
+ * 1件への変更（PUT・PATCH・DELETE）の条件を現在のデータで確認し、保存する
+ * runExclusive()の中で呼ぶ
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - 応答
+ * @param {string} collection - 'todos' | 'lists'
+ * @param {number} id - ID
+ * @param {*} body - 読み込んだ本文（DELETEはundefined）
+ */
+async function applyItemChange(req, res, collection, id, body) {
+  const items = store[collection];
+  const current = items[id];
+  const etag = current ? `"${current.revision}"` : null;
+  const ifMatch = req.headers['if-match'];
+
+  // 既存のものを変更する場合は、どのリビジョンを元にした変更かを必須にする
+  if (current && !ifMatch && !(req.method === 'PUT' && req.headers['if-none-match'] === '*')) {
+    return send(res, 428, { error: 'If-Matchが必要です' });
+  }
+  if (current && req.method === 'PUT' && req.headers['if-none-match'] === '*') {
+    return send(res, 412, current, { ETag: etag });
+  }
+  if (current && ifMatch && ifMatch !== etag) {
+    return send(res, 412, current, { ETag: etag });
+  }
+  if (!current && req.method !== 'PUT') {
+    return send(res, 404, { error: '見つかりません' });
+  }
+
+  if (req.method === 'DELETE') {
+    const rest = { ...items };
+    delete rest[id];
+    await commitStore(collection, rest);
+    return send(res, 204);
+  }
+
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return send(res, 400, { error: '本文はオブジェクトにしてください' });
+  }
+
+  const next = req.method === 'PATCH' ? { ...current, ...body, id } : { ...body, id };
+  if (!Number.isInteger(next.revision) || (current && next.revision <= current.revision)) {
+    return send(res, 409, { error: 'revisionは現在より大きい整数にしてください' }, { ETag: etag });
+  }
+
+  await commitStore(collection, { ...items, [id]: next });
+  return send(res, current ? 200 : 201, next, { ETag: `"${next.revision}"` });
+}
+
+/**
+ * 期日のあるTodoをiCalendar形式で返す（購読用のフィード）
+ * @param {http.IncomingMessage} req - リクエスト
+ * @param {http.ServerResponse} res - 応答
+ * @param {URLSearchParams} params - クエリ（component・list）
+ */
+function handleCalendar(req, res, params) {
+  if (req.method !== 'GET') {
+    return send(res, 405, { error: '対応していないメソッドです' });
+  }
+
+  const component = (params.get('component') || 'VTODO').toUpperCase();
+  if (!ICAL_COMPONENTS.includes(component)) {
+    return send(res, 400, { error: `componentは${ICAL_COMPONENTS.join('・')}のいずれかにしてください` });
+  }
+  const listId = params.has('list') ? Number(params.get('list')) : null;
+  if (listId !== null && !Number.isInteger(listId)) {
+    return send(res, 400, { error: 'listはリストのID（整数）にしてください' });
+  }
+
+  const etag = `"v${store.version}-${component}-${listId ?? 'all'}"`;
+  if (req.headers['if-none-match'] === etag) {
+    return send(res, 304, undefined, { ETag: etag });
+  }
+
+  const todos = Object.values(store.todos)
+    .filter(todo => listId === null || todo.listId === listId)
+    .sort((a, b) => a.id - b.id);
+  res.writeHead(200, { 'Content-Type': 'text/calendar; charset=utf-8', ETag: etag });
+  res.end(exportTodosToIcs(todos, component));
+}
+
+const server = createServer(async (req, res) => {
+  res.setHeader('Access-Control-Allow-Origin', ALLOWED_ORIGIN);
+  res.setHeader('Access-Control-Allow-Methods', 'GET, PUT, PATCH, DELETE, OPTIONS');
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, If-Match, If-None-Match, Authorization');
+  res.setHeader('Access-Control-Expose-Headers', 'ETag');
+
+  if (req.method === 'OPTIONS') {
+    return send(res, 204);
+  }
+
+  const url = new URL(req.url, 'http://localhost');
+
+  if (!isAuthorized(req, url)) {
+    return send(res, 401, { error: 'トークンが正しくありません' });
+  }
+
+  if (url.pathname === CALENDAR_PATH) {
+    return handleCalendar(req, res, url.searchParams);
+  }
+
+  const match = url.pathname.match(ROUTE);
+  if (!match) {
+    return send(res, 404, { error: '見つかりません' });
+  }
+  const [, collection, id] = match;
+
+  try {
+    if (id !== undefined) {
+      return await handleItem(req, res, collection, Number(id));
+    }
+
+    if (req.method !== 'GET') {
+      return send(res, 405, { error: '対応していないメソッドです' });
+    }
+    const etag = `"v${store.version}"`;
+    if (req.headers['if-none-match'] === etag) {
+      return send(res, 304, undefined, { ETag: etag });
+    }
+    const items = Object.values(store[collection]).sort((a, b) => a.id - b.id);
+    return send(res, 200, items, { ETag: etag });
+  } catch (error) {
+    if (!error.status) console.error(error);
+    return send(res, error.status || 500, { error: error.status ? error.message : 'サーバーでエラーが発生しました' }, error.headers);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`Todoサーバーを起動しました：http://localhost:${PORT}/api（保存先：${DATA_FILE}）`);
+});
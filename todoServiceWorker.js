@@ -0,0 +1,72 @@
+/**
+ * TodoServiceWorker
+ * 【追加機能26】Service Worker（serviceWorker.js）を登録し、新しいバージョンの公開を検出するモジュール
+ *
+ * 【仕組み】
+ * ・ビルドしたアプリでのみ登録する（開発サーバーではファイルが毎回変わるため登録しない）
+ * ・新しいバージョンがインストールされて待機状態になったら知らせる
+ *   「更新」で待機中のService Workerを有効にし、切り替わったらページを再読み込みする
+ *   （開いている他のタブも、切り替わった時点で再読み込みされる）
+ * ・開いている間も定期的に新しいバージョンを確認する
+ */
+
+// 新しいバージョンを確認する間隔（ミリ秒）
+const UPDATE_CHECK_INTERVAL = 60 * 60 * 1000;
+
+/**
+ * Service Workerを登録する
+ * @param {Function} onUpdateAvailable - 新しいバージョンが待機状態になったときに、そのService Workerを受け取る関数
+ * @param {Function} [beforeReload] - 切り替わってページを再読み込みする前に実行する関数（保存の完了を待つなど）
+ * @returns {Promise<ServiceWorkerRegistration|null>} 登録、登録しなかった場合はnull
+ */
+export async function registerServiceWorker(onUpdateAvailable, beforeReload = async () => {}) {
+  if (!import.meta.env.PROD || !('serviceWorker' in navigator)) return null;
+
+  let registration;
+  try {
+    registration = await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}sw.js`);
+  } catch (error) {
+    console.error('Service Workerの登録に失敗しました:', error);
+    return null;
+  }
+
+  // 既に新しいバージョンが待機している場合（前回「更新」しなかったなど）
+  if (registration.waiting && navigator.serviceWorker.controller) {
+    onUpdateAvailable(registration.waiting);
+  }
+
+  registration.addEventListener('updatefound', () => {
+    const worker = registration.installing;
+    worker.addEventListener('statechange', () => {
+      // 初めてのインストール（controllerがない）は更新ではない
+      if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+        onUpdateAvailable(worker);
+      }
+    });
+  });
+
+  let hasController = Boolean(navigator.serviceWorker.controller);
+  let reloading = false;
+  navigator.serviceWorker.addEventListener('controllerchange', async () => {
+    // 初めてのインストールで制御が始まっただけの場合は再読み込みしない
+    if (!hasController) {
+      hasController = true;
+      return;
+    }
+    if (reloading) return;
+    reloading = true;
+    await beforeReload();
+    window.location.reload();
+  });
+
+  setInterval(() => registration.update().catch(() => {}), UPDATE_CHECK_INTERVAL);
+  return registration;
+}
+
+/**
+ * 待機中の新しいバージョンを有効にする（切り替わるとページが再読み込みされる）
+ * @param {ServiceWorker} worker - onUpdateAvailableで受け取ったService Worker
+ */
+export function applyServiceWorkerUpdate(worker) {
+  worker.postMessage({ type: 'SKIP_WAITING' });
+}
@@ -0,0 +1,75 @@
+/**
+ * TodoSettings
+ * 表示や動作に関する設定をlocalStorageに保存するモジュール
+ *
+ * Todoデータとは別に、このブラウザだけの設定として保存する
+ * （書き出し・読み込みやタブ間の同期の対象外）
+ */
+
+import { DEFAULT_RETENTION_RULES } from './todoRetention.js';
+import { DEFAULT_REMOTE_SYNC } from './todoRemoteSync.js';
+
+const SETTINGS_KEY = 'todo-settings';
+
+// 設定の初期値
+const DEFAULT_SETTINGS = {
+  // 【追加機能11】サブタスクのチェックに合わせて親Todoのステータスを自動で変更する
+  subtaskAutoStatus: false,
+  // 【追加機能12】Todo一覧の表示形式（'list' | 'board'）
+  // 【追加機能19】'calendar'は期日のあるTodoを月・週のカレンダーに表示する
+  viewMode: 'list',
+  // 【追加機能19】カレンダーの表示単位（'month' | 'week'）
+  calendarMode: 'month',
+  // 【追加機能13】同じステータス内の並べ替え方法（'manual' | 'created' | 'dueDate' | 'alphabetical'）
+  // 【追加機能16】'nextUp'は未完了と処理中をまとめてスコア順に並べる
+  sortMode: 'manual',
+  // 【追加機能14】保存したビュー（{ name, filter }の配列）
+  savedViews: [],
+  // 【追加機能17】追加フォームの入力欄から期日・タグなどを読み取る
+  quickAddParsing: true,
+  // 【追加機能21】表示中のリストのID（nullは全てのリスト）
+  activeListId: null,
+  // 【追加機能23】完了したTodoの自動アーカイブと、古いアーカイブの自動削除のルール
+  retentionRules: DEFAULT_RETENTION_RULES,
+  // 【追加機能27】REST APIのサーバーとの同期（{ enabled, url, token }）
+  remoteSync: DEFAULT_REMOTE_SYNC
+};
+
+/**
+ * 保存済みの設定を全て取得
+ * @returns {Object} 設定（未保存の項目は初期値）
+ */
+function loadSettings() {
+  try {
+    const saved = localStorage.getItem(SETTINGS_KEY);
+    return { ...DEFAULT_SETTINGS, ...(saved ? JSON.parse(saved) : {}) };
+  } catch (error) {
+    console.error('設定の取得に失敗しました:', error);
+    return { ...DEFAULT_SETTINGS };
+  }
+}
+
+/**
+ * 設定を取得
+ * @param {string} key - 設定名
+ * @returns {*} 設定値
+ */
+export function getSetting(key) {
+  return loadSettings()[key];
+}
+
+/**
+ * 設定を保存
+ * @param {string} key - 設定名
+ * @param {*} value - 設定値
+ */
+export function setSetting(key, value) {
+  const settings = loadSettings();
+  settings[key] = value;
+
+  try {
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+  } catch (error) {
+    console.error('設定の保存に失敗しました:', error);
+  }
+}
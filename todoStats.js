@@ -0,0 +1,183 @@
+/**
+ * TodoStats
+ * 完了の推移などの統計（ダッシュボード）を計算するモジュール
+ *
+ * 【仕組み】
+ * ・統計はTodoの作成日時（createdAt）・完了日時（completedAt）・期日（dueDate）から計算する
+ *   以前のバージョンで完了したTodoは、読み込み時に補った完了日時（最終更新日時）を使う
+ * ・完了したTodoを削除すると統計から消えてしまうため、削除したときに完了の記録だけを残す
+ *   （記録はこのブラウザのlocalStorageに保存し、保持する期間を過ぎたものから破棄する）
+ * ・日付はこのブラウザのタイムゾーンで数え、週は日曜日から始まる（カレンダー表示と同じ）
+ */
+
+import { formatDate } from './todoRecurrence.js';
+import { getCalendarDays, addDaysToDate } from './todoCalendar.js';
+
+const RECORDS_KEY = 'todo-stats-completions';
+
+// 削除したTodoの完了の記録を残す日数
+const RECORD_RETENTION_DAYS = 365;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// 日ごとの完了数を表示する日数
+export const STATS_DAYS = 14;
+
+// 週ごとの完了数を表示する週数
+export const STATS_WEEKS = 8;
+
+// 平均の所要時間と期日超過率を計算する期間（日数）
+export const STATS_WINDOW_DAYS = 30;
+
+/**
+ * 削除されたTodoのうち、完了していたものの記録を残す
+ * @param {Array} before - 変更前のTodoの配列
+ * @param {Array} after - 変更後のTodoの配列
+ * @param {Date} [now] - 現在日時（テスト用）
+ */
+export function recordDeletedCompletions(before, after, now = new Date()) {
+  const afterIds = new Set(after.map(todo => todo.id));
+  const deleted = before
+    .filter(todo => !afterIds.has(todo.id) && todo.completedAt)
+    .map(({ id, listId, createdAt, completedAt, dueDate }) => ({ id, listId, createdAt, completedAt, dueDate }));
+  if (deleted.length === 0) return;
+
+  const cutoff = now.getTime() - RECORD_RETENTION_DAYS * DAY_MS;
+  const records = [...loadCompletionRecords(), ...deleted]
+    .filter(record => new Date(record.completedAt).getTime() >= cutoff);
+  saveCompletionRecords(records);
+}
+
+/**
+ * 削除されたTodoの完了の記録を取得
+ * @returns {Array} [{ id, listId, createdAt, completedAt, dueDate }]
+ */
+export function loadCompletionRecords() {
+  try {
+    const records = JSON.parse(localStorage.getItem(RECORDS_KEY));
+    return Array.isArray(records) ? records : [];
+  } catch (error) {
+    console.error('統計の記録の取得に失敗しました:', error);
+    return [];
+  }
+}
+
+/**
+ * 統計を計算する
+ * @param {Array} todos - Todoの配列（アーカイブ済みも含む）
+ * @param {Array} records - loadCompletionRecords()の記録（現在のTodoと重なるものは無視する）
+ * @param {Date} [now] - 現在日時（テスト用）
+ * @returns {Object} {
+ *   daily: [{ date, count }]（直近STATS_DAYS日、古い順）,
+ *   weekly: [{ weekStart, count }]（直近STATS_WEEKS週、古い順）,
+ *   averageDoneMs: 作成から完了までの平均（ミリ秒、完了がなければnull）, doneCount: その件数,
+ *   overdue: { late, total, rate }（期日が過ぎたTodoのうち、期日までに完了しなかったもの）,
+ *   streak: { current, longest }（1件以上完了した日が続いた日数）,
+ *   burndown: [{ date, remaining, ideal }]（今週の期日のTodoの残り、remainingは明日以降null）, burndownTotal
+ * }
+ */
+export function computeStatistics(todos, records, now = new Date()) {
+  // 削除後に同じIDのTodoが作られた場合を考え、IDと作成日時で照合する
+  const currentKeys = new Set(todos.map(todo => `${todo.id}@${todo.createdAt}`));
+  const items = [
+    ...todos.filter(todo => !(todo.archived && !todo.completedAt)),
+    ...records.filter(record => !currentKeys.has(`${record.id}@${record.createdAt}`))
+  ];
+  const completed = items.filter(item => item.completedAt);
+  const today = formatDate(now);
+
+  // 日ごと・週ごとの完了数
+  const countsByDay = new Map();
+  completed.forEach(item => {
+    const date = formatDate(new Date(item.completedAt));
+    countsByDay.set(date, (countsByDay.get(date) || 0) + 1);
+  });
+
+  const daily = Array.from({ length: STATS_DAYS }, (_, i) => {
+    const date = addDaysToDate(today, i - STATS_DAYS + 1);
+    return { date, count: countsByDay.get(date) || 0 };
+  });
+
+  const thisWeek = getCalendarDays(now, 'week').map(day => day.date);
+  const weekly = Array.from({ length: STATS_WEEKS }, (_, i) => {
+    const weekStart = addDaysToDate(thisWeek[0], (i - STATS_WEEKS + 1) * 7);
+    const count = Array.from({ length: 7 }, (__, d) => countsByDay.get(addDaysToDate(weekStart, d)) || 0)
+      .reduce((sum, value) => sum + value, 0);
+    return { weekStart, count };
+  });
+
+  // 作成から完了までの平均（直近STATS_WINDOW_DAYS日に完了したもの）
+  const windowStart = addDaysToDate(today, -STATS_WINDOW_DAYS + 1);
+  const recentDone = completed.filter(item => formatDate(new Date(item.completedAt)) >= windowStart);
+  const averageDoneMs = recentDone.length > 0
+    ? recentDone.reduce((sum, item) => sum + Math.max(0, new Date(item.completedAt) - new Date(item.createdAt)), 0) /
+      recentDone.length
+    : null;
+
+  // 期日超過率（直近STATS_WINDOW_DAYS日が期日で、今日より前のもの）
+  const pastDue = items.filter(item => item.dueDate && item.dueDate >= windowStart && item.dueDate < today);
+  const late = pastDue.filter(item => !item.completedAt || formatDate(new Date(item.completedAt)) > item.dueDate).length;
+  const overdue = { late, total: pastDue.length, rate: pastDue.length > 0 ? late / pastDue.length : null };
+
+  // バーンダウン（今週が期日のTodoの残り）
+  const weekDue = items.filter(item => item.dueDate && item.dueDate >= thisWeek[0] && item.dueDate <= thisWeek[6]);
+  const burndown = thisWeek.map((date, i) => ({
+    date,
+    remaining: date > today
+      ? null
+      : weekDue.filter(item => !item.completedAt || formatDate(new Date(item.completedAt)) > date).length,
+    ideal: weekDue.length * (1 - (i + 1) / thisWeek.length)
+  }));
+
+  return {
+    daily,
+    weekly,
+    averageDoneMs,
+    doneCount: recentDone.length,
+    overdue,
+    streak: computeStreak([...countsByDay.keys()], today),
+    burndown,
+    burndownTotal: weekDue.length
+  };
+}
+
+/**
+ * 1件以上完了した日が続いた日数を求める
+ * 今日まだ完了していなくても、昨日まで続いていれば途切れていないものとする
+ * @param {Array<string>} dates - 完了した日（YYYY-MM-DD形式）
+ * @param {string} today - 今日（YYYY-MM-DD形式）
+ * @returns {Object} { current: 現在の連続日数, longest: 最長の連続日数 }
+ */
+function computeStreak(dates, today) {
+  const days = new Set(dates);
+
+  let current = 0;
+  let date = days.has(today) ? today : addDaysToDate(today, -1);
+  while (days.has(date)) {
+    current++;
+    date = addDaysToDate(date, -1);
+  }
+
+  let longest = 0;
+  days.forEach(day => {
+    // 連続の最初の日からだけ数える
+    if (days.has(addDaysToDate(day, -1))) return;
+    let length = 0;
+    for (let d = day; days.has(d); d = addDaysToDate(d, 1)) length++;
+    longest = Math.max(longest, length);
+  });
+
+  return { current, longest };
+}
+
+/**
+ * 削除されたTodoの完了の記録を保存
+ * @param {Array} records - 記録の配列
+ */
+function saveCompletionRecords(records) {
+  try {
+    localStorage.setItem(RECORDS_KEY, JSON.stringify(records));
+  } catch (error) {
+    console.error('統計の記録の保存に失敗しました:', error);
+  }
+}
@@ -0,0 +1,245 @@
+/**
+ * TodoStorage
+ * Todoデータの保存先（ストレージアダプター）を切り替えるためのモジュール
+ *
+ * 【アダプターの共通インターフェース】
+ * ・name：アダプター名
+ * ・load()：保存済みのデータを返すPromise（未保存ならnull）
+ * ・save(envelope)：データを保存するPromise（失敗時はreject）
+ * ・storageKey：localStorageに保存する場合のキー（localStorageのアダプターのみ）
+ *
+ * 【追加機能8】保存するデータはtodoSchema.jsのエンベロープ
+ * （{ schemaVersion, todos, quarantine }）。旧形式のTodo配列が返ることもある
+ *
+ * todoManagerはこのインターフェースだけに依存するため、
+ * localStorage / IndexedDB / メモリ（テスト用）を差し替えて使える
+ */
+
+import { createEnvelope, unwrapEnvelope, migrateEnvelope, validateTodos, validateLists } from './todoSchema.js';
+
+// 旧バージョンがlocalStorageで使用していたキー
+export const LEGACY_STORAGE_KEY = 'todos';
+
+// localStorageからの移行が完了したことを示すキー
+const MIGRATION_MARKER_KEY = 'todos-migrated-to';
+
+// 移行先に既にデータがあって移行しなかった旧データを退避するキーの接頭辞（後ろに日時を付ける）
+const LEGACY_BACKUP_KEY_PREFIX = `${LEGACY_STORAGE_KEY}-legacy-backup-`;
+
+const DB_NAME = 'todo-app';
+const DB_VERSION = 2;
+const STORE_NAME = 'todos';
+// 【追加機能8】スキーマバージョンや隔離したレコードを保存するストア
+const META_STORE_NAME = 'meta';
+
+/**
+ * localStorageを使用するアダプターを作成
+ * 容量は数MB程度のため、上限を超えるとsave()がrejectする
+ * @param {string} key - 保存に使うキー
+ * @returns {Object} ストレージアダプター
+ */
+export function createLocalStorageAdapter(key = LEGACY_STORAGE_KEY) {
+  return {
+    name: 'localStorage',
+    // 【追加機能9】他のタブの保存をstorageイベントで検知するためのキー
+    storageKey: key,
+
+    async load() {
+      const raw = localStorage.getItem(key);
+      if (!raw) {
+        return null;
+      }
+
+      try {
+        return JSON.parse(raw);
+      } catch (error) {
+        // 【追加機能8】壊れたデータは上書きされる前に別のキーへ退避しておく
+        localStorage.setItem(`${key}-corrupted-${Date.now()}`, raw);
+        throw new Error('保存データが壊れているため読み込めませんでした（元のデータは退避済み）');
+      }
+    },
+
+    async save(envelope) {
+      localStorage.setItem(key, JSON.stringify(envelope));
+    }
+  };
+}
+
+/**
+ * IndexedDBを使用するアダプターを作成
+ * Todoを1件ずつレコードとして保存する（キーはTodoのID）
+ * スキーマバージョンと隔離したレコードはmetaストアに保存する
+ * @returns {Object} ストレージアダプター
+ */
+export function createIndexedDBAdapter() {
+  let dbPromise = null;
+
+  // データベース接続は初回アクセス時に1度だけ開く
+  const openDatabase = () => {
+    if (!dbPromise) {
+      dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const db = request.result;
+          if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME, { keyPath: 'id' });
+          }
+          if (!db.objectStoreNames.contains(META_STORE_NAME)) {
+            db.createObjectStore(META_STORE_NAME);
+          }
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      });
+    }
+    return dbPromise;
+  };
+
+  return {
+    name: 'indexedDB',
+
+    async load() {
+      const db = await openDatabase();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readonly');
+        const todosRequest = transaction.objectStore(STORE_NAME).getAll();
+        const metaStore = transaction.objectStore(META_STORE_NAME);
+        const versionRequest = metaStore.get('schemaVersion');
+        const quarantineRequest = metaStore.get('quarantine');
+        const listsRequest = metaStore.get('lists');
+
+        transaction.oncomplete = () => {
+          const todos = todosRequest.result;
+          // バージョン未記録のデータは、エンベロープ導入前の旧形式として扱う
+          if (versionRequest.result === undefined) {
+            resolve(todos.length > 0 ? todos : null);
+            return;
+          }
+          resolve({
+            schemaVersion: versionRequest.result,
+            todos,
+            quarantine: quarantineRequest.result || [],
+            lists: listsRequest.result || []
+          });
+        };
+        transaction.onerror = () => reject(transaction.error);
+      });
+    },
+
+    async save(envelope) {
+      const db = await openDatabase();
+      return new Promise((resolve, reject) => {
+        const transaction = db.transaction([STORE_NAME, META_STORE_NAME], 'readwrite');
+        const store = transaction.objectStore(STORE_NAME);
+        const metaStore = transaction.objectStore(META_STORE_NAME);
+
+        // 配列全体を1トランザクションで置き換える（途中で失敗しても元の状態が残る）
+        store.clear();
+        envelope.todos.forEach(todo => store.put(todo));
+        metaStore.put(envelope.schemaVersion, 'schemaVersion');
+        metaStore.put(envelope.quarantine, 'quarantine');
+        // 【追加機能21】リストは件数が少ないため、メタ情報としてまとめて保存する
+        metaStore.put(envelope.lists, 'lists');
+
+        transaction.oncomplete = () => resolve();
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error);
+      });
+    }
+  };
+}
+
+/**
+ * メモリ上にのみ保存するアダプターを作成（テスト用）
+ * @param {Object|Array|null} initialData - 初期データ（エンベロープまたは旧形式の配列）
+ * @returns {Object} ストレージアダプター
+ */
+export function createMemoryAdapter(initialData = null) {
+  let stored = structuredClone(initialData);
+
+  return {
+    name: 'memory',
+
+    async load() {
+      return structuredClone(stored);
+    },
+
+    async save(envelope) {
+      stored = structuredClone(envelope);
+    }
+  };
+}
+
+/**
+ * 利用できる中で最適なアダプターを作成
+ * IndexedDBが使えればIndexedDB、使えなければlocalStorage
+ * @returns {Object} ストレージアダプター
+ */
+export function createDefaultAdapter() {
+  if (typeof indexedDB !== 'undefined') {
+    return createIndexedDBAdapter();
+  }
+  return createLocalStorageAdapter();
+}
+
+/**
+ * 旧バージョンのlocalStorageのデータを新しいアダプターへ1度だけ移行
+ * 移行先への保存が成功してから旧データを削除する
+ * 移行先に既にデータがある場合は上書きせず、旧データは別のキーへ退避する（削除しない）
+ * @param {Object} adapter - 移行先のストレージアダプター
+ * @returns {Promise<Object>} {
+ *   migrated: 移行したレコードの件数, repaired, quarantined,
+ *   backedUp: 移行せずに退避したレコードの件数, backupKey: 退避先のキー（退避しなければnull）
+ * }
+ */
+export async function migrateLegacyTodos(adapter) {
+  const result = { migrated: 0, repaired: [], quarantined: [], backedUp: 0, backupKey: null };
+
+  if (adapter.name === 'localStorage' || typeof localStorage === 'undefined') {
+    return result;
+  }
+  if (localStorage.getItem(MIGRATION_MARKER_KEY)) {
+    return result;
+  }
+
+  const legacy = unwrapEnvelope(await createLocalStorageAdapter().load());
+
+  // 移行先に既にデータがある場合は上書きしない
+  const existing = unwrapEnvelope(await adapter.load());
+  const shouldCopy = existing.todos.length === 0 && legacy.todos.length > 0;
+  if (shouldCopy) {
+    // 【追加機能8】IDのない壊れたレコードは保存先によっては書き込めないため、
+    // 先に現在のスキーマへ移行・検証してから保存する（修復できないものは隔離）
+    const { envelope } = migrateEnvelope(legacy);
+    const { lists } = validateLists(envelope.lists);
+    const { todos, quarantined, repaired } = validateTodos(envelope.todos, lists);
+    const quarantine = envelope.quarantine.concat(quarantined.map(item => item.record));
+    await adapter.save(createEnvelope(todos, quarantine, lists));
+
+    result.migrated = legacy.todos.length;
+    result.repaired = repaired;
+    result.quarantined = quarantined;
+  } else if (legacy.todos.length > 0) {
+    // 移行先のデータを優先し、旧データは失わないよう退避しておく（書き出しなどで取り出せる）
+    result.backupKey = `${LEGACY_BACKUP_KEY_PREFIX}${Date.now()}`;
+    localStorage.setItem(result.backupKey, localStorage.getItem(LEGACY_STORAGE_KEY));
+    result.backedUp = legacy.todos.length;
+  }
+
+  localStorage.setItem(MIGRATION_MARKER_KEY, adapter.name);
+  localStorage.removeItem(LEGACY_STORAGE_KEY);
+
+  return result;
+}
+
+/**
+ * 保存エラーを利用者向けのメッセージに変換
+ * @param {Error} error - save()がrejectしたエラー
+ * @returns {string} メッセージ
+ */
+export function describeStorageError(error) {
+  if (error && error.name === 'QuotaExceededError') {
+    return '保存容量の上限に達したため、変更を保存できませんでした';
+  }
+  return '変更を保存できませんでした';
+}
@@ -0,0 +1,74 @@
+/**
+ * todoStorage.jsのテスト（npm testで実行）
+ */
+
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createMemoryAdapter, migrateLegacyTodos, LEGACY_STORAGE_KEY } from './todoStorage.js';
+import { createEnvelope, unwrapEnvelope } from './todoSchema.js';
+
+/**
+ * テスト用のlocalStorage（Mapに保存する）
+ */
+class MemoryStorage {
+  constructor() {
+    this.items = new Map();
+  }
+
+  getItem(key) {
+    return this.items.has(key) ? this.items.get(key) : null;
+  }
+
+  setItem(key, value) {
+    this.items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.items.delete(key);
+  }
+}
+
+/**
+ * テスト用のTodoを作成
+ * @param {number} id - ID
+ * @param {string} text - 内容
+ * @returns {Object} Todoオブジェクト
+ */
+function createTodo(id, text) {
+  return { id, text, status: 'todo', createdAt: '2026-10-01T00:00:00.000Z', dueDate: null };
+}
+
+beforeEach(() => {
+  globalThis.localStorage = new MemoryStorage();
+});
+
+test('旧データを空の保存先へ移行し、旧データを削除する', async () => {
+  localStorage.setItem(LEGACY_STORAGE_KEY, JSON.stringify([createTodo(1, '旧データ')]));
+  const adapter = createMemoryAdapter();
+
+  const result = await migrateLegacyTodos(adapter);
+
+  assert.equal(result.migrated, 1);
+  assert.equal(result.backupKey, null);
+  assert.deepEqual(unwrapEnvelope(await adapter.load()).todos.map(todo => todo.text), ['旧データ']);
+  assert.equal(localStorage.getItem(LEGACY_STORAGE_KEY), null);
+});
+
+test('保存先に既にデータがある場合は上書きせず、旧データを別のキーに残す', async () => {
+  const legacyRaw = JSON.stringify([createTodo(1, '旧データ')]);
+  localStorage.setItem(LEGACY_STORAGE_KEY, legacyRaw);
+  const adapter = createMemoryAdapter(createEnvelope([createTodo(5, '新しいデータ')], []));
+
+  const result = await migrateLegacyTodos(adapter);
+
+  assert.equal(result.migrated, 0);
+  assert.equal(result.backedUp, 1);
+  assert.ok(result.backupKey);
+  assert.equal(localStorage.getItem(result.backupKey), legacyRaw);
+  assert.deepEqual(unwrapEnvelope(await adapter.load()).todos.map(todo => todo.text), ['新しいデータ']);
+
+  // 次回の起動では移行も退避もしない
+  const again = await migrateLegacyTodos(adapter);
+  assert.equal(again.migrated, 0);
+  assert.equal(again.backupKey, null);
+});
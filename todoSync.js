@@ -0,0 +1,261 @@
+/**
+ * TodoSync
+ * 複数タブで開いたときにTodoの変更を同期するモジュール
+ *
+ * 【仕組み】
+ * ・保存に成功したタブがBroadcastChannelで他のタブへ変更を知らせる
+ *   （BroadcastChannelが使えない環境ではstorageイベントで代用）
+ * ・保存前と通知受信時に、ストレージの最新データと自分のデータを3方向マージする
+ *   （基準：最後に同期した状態、ローカル：自分の状態、リモート：ストレージの状態）
+ * ・読み込みから保存までをWeb Locksでタブ間で排他し、同時保存による上書きを防ぐ
+ * ・同じTodoが両方で変更されていたら競合として、項目単位でマージする
+ *   両方で同じ項目が変わっていた場合は更新日時の新しい方を採用し、
+ *   テキストが食い違う場合は古い方も「競合コピー」として残してデータを失わない
+ */
+
+const CHANNEL_NAME = 'todo-sync';
+const LOCK_NAME = 'todo-sync-storage';
+
+// 内容の比較から除外する項目（変更のたびに更新される管理用の項目）
+const META_FIELDS = ['id', 'revision', 'updatedAt'];
+
+/**
+ * 他のタブとの通知チャンネルを作成
+ * @param {Function} onMessage - 他のタブで変更があったときに呼ばれる関数
+ * @param {string} [storageKey] - BroadcastChannelが使えない場合に監視するlocalStorageのキー
+ *   （localStorageに保存していない場合は省略し、他のタブの変更は検知しない）
+ * @returns {Object} { notify: 他のタブへ変更を知らせる関数 }
+ */
+export function createTabChannel(onMessage, storageKey) {
+  if (typeof BroadcastChannel !== 'undefined') {
+    const channel = new BroadcastChannel(CHANNEL_NAME);
+    channel.addEventListener('message', (e) => {
+      if (e.data && e.data.type === 'todos-changed') {
+        onMessage();
+      }
+    });
+    return {
+      notify: () => channel.postMessage({ type: 'todos-changed' })
+    };
+  }
+
+  // storageイベントは他のタブでlocalStorageが書き換えられたときだけ発生する
+  if (!storageKey) {
+    return { notify: () => {} };
+  }
+  window.addEventListener('storage', (e) => {
+    if (e.key === storageKey) {
+      onMessage();
+    }
+  });
+  return { notify: () => {} };
+}
+
+/**
+ * タブ間で排他して処理を実行
+ * Web Locks APIが使えない環境ではそのまま実行する
+ * @param {Function} task - 実行する非同期処理
+ * @returns {Promise<*>} 処理の結果
+ */
+export function withStorageLock(task) {
+  if (typeof navigator !== 'undefined' && navigator.locks) {
+    return navigator.locks.request(LOCK_NAME, task);
+  }
+  return task();
+}
+
+/**
+ * 2つのTodoの内容が同じか判定（管理用の項目は除く）
+ * @param {Object} a - Todo
+ * @param {Object} b - Todo
+ * @returns {boolean}
+ */
+export function isSameTodo(a, b) {
+  const fields = new Set([...Object.keys(a), ...Object.keys(b)]);
+  return [...fields]
+    .filter(field => !META_FIELDS.includes(field))
+    .every(field => isSameValue(a[field], b[field]));
+}
+
+/**
+ * 2つのTodo配列の内容が同じか判定（並び順は問わない）
+ * @param {Array} a - Todo配列
+ * @param {Array} b - Todo配列
+ * @returns {boolean}
+ */
+export function isSameTodoList(a, b) {
+  if (a.length !== b.length) return false;
+
+  const byId = new Map(b.map(todo => [todo.id, todo]));
+  return a.every(todo => {
+    const other = byId.get(todo.id);
+    return other && other.revision === todo.revision && isSameTodo(todo, other);
+  });
+}
+
+/**
+ * 変更されたTodoにリビジョンと更新日時を付ける
+ * @param {Array} previous - 変更前のTodo配列
+ * @param {Array} next - 変更後のTodo配列
+ * @returns {Array} リビジョンを更新したTodo配列
+ */
+export function stampChanges(previous, next) {
+  const previousById = new Map(previous.map(todo => [todo.id, todo]));
+  const now = new Date().toISOString();
+
+  return next.map(todo => {
+    const before = previousById.get(todo.id);
+    if (before && isSameTodo(before, todo)) {
+      return { ...todo, revision: before.revision, updatedAt: before.updatedAt };
+    }
+
+    const baseRevision = Math.max(before ? before.revision || 0 : 0, todo.revision || 0);
+    return { ...todo, revision: baseRevision + 1, updatedAt: now };
+  });
+}
+
+/**
+ * 3方向マージ
+ * @param {Array} base - 最後に同期した時点のTodo配列
+ * @param {Array} local - このタブのTodo配列
+ * @param {Array} remote - ストレージにある最新のTodo配列
+ * @returns {Object} { todos: マージ結果, conflicts: [{ id, fields, copyId }] }
+ */
+export function mergeTodos(base, local, remote) {
+  const baseById = new Map(base.map(todo => [todo.id, todo]));
+  const localById = new Map(local.map(todo => [todo.id, todo]));
+  const remoteById = new Map(remote.map(todo => [todo.id, todo]));
+
+  const allIds = [...new Set([...remoteById.keys(), ...localById.keys()])];
+  let nextId = Math.max(0, ...allIds, ...baseById.keys()) + 1;
+
+  const merged = [];
+  const conflicts = [];
+
+  allIds.forEach(id => {
+    const b = baseById.get(id);
+    const l = localById.get(id);
+    const r = remoteById.get(id);
+
+    if (l && r) {
+      // 作成日時が違うものは、別々のタブで同じIDを採番した別のTodo
+      // ローカル側のIDを振り直して両方残す
+      if (l.createdAt !== r.createdAt) {
+        merged.push(r);
+        merged.push({ ...l, id: nextId++ });
+        return;
+      }
+
+      const localChanged = !b || hasChanged(b, l);
+      const remoteChanged = !b || hasChanged(b, r);
+
+      if (!localChanged || (l.revision === r.revision && isSameTodo(l, r))) {
+        merged.push(r);
+      } else if (!remoteChanged) {
+        merged.push(l);
+      } else {
+        const result = resolveConflict(b, l, r, () => nextId++);
+        merged.push(...result.todos);
+        if (result.conflict) conflicts.push(result.conflict);
+      }
+      return;
+    }
+
+    if (l) {
+      // リモートで削除されたTodo：ローカルで変更していなければ削除に従い、変更していれば残す
+      if (b && !hasChanged(b, l)) return;
+      merged.push(l);
+      return;
+    }
+
+    // ローカルで削除されたTodo：リモートで変更されていなければ削除、変更されていれば残す
+    if (b && !hasChanged(b, r)) return;
+    merged.push(r);
+  });
+
+  return { todos: merged, conflicts };
+}
+
+/**
+ * 両方で変更されたTodoを項目単位でマージ
+ * @param {Object|undefined} base - 基準のTodo
+ * @param {Object} local - ローカルのTodo
+ * @param {Object} remote - リモートのTodo
+ * @param {Function} allocateId - 競合コピー用の新しいIDを返す関数
+ * @returns {Object} { todos: 結果のTodo（競合コピーを含む）, conflict }
+ */
+function resolveConflict(base, local, remote, allocateId) {
+  const localIsNewer = new Date(local.updatedAt || 0) >= new Date(remote.updatedAt || 0);
+  const winner = localIsNewer ? local : remote;
+  const loser = localIsNewer ? remote : local;
+
+  const fields = new Set([...Object.keys(local), ...Object.keys(remote)]);
+  const merged = {};
+  const conflictFields = [];
+
+  fields.forEach(field => {
+    if (META_FIELDS.includes(field)) return;
+
+    const baseValue = base ? base[field] : undefined;
+    if (isSameValue(local[field], remote[field])) {
+      merged[field] = local[field];
+    } else if (base && isSameValue(local[field], baseValue)) {
+      merged[field] = remote[field];
+    } else if (base && isSameValue(remote[field], baseValue)) {
+      merged[field] = local[field];
+    } else {
+      merged[field] = winner[field];
+      conflictFields.push(field);
+    }
+  });
+
+  const todo = {
+    ...merged,
+    id: local.id,
+    revision: Math.max(local.revision || 0, remote.revision || 0) + 1,
+    updatedAt: new Date().toISOString()
+  };
+
+  if (conflictFields.length === 0) {
+    return { todos: [todo], conflict: null };
+  }
+
+  // テキストが食い違う場合は、採用されなかった側も別のTodoとして残す
+  let copyId = null;
+  const todos = [todo];
+  if (conflictFields.includes('text')) {
+    copyId = allocateId();
+    todos.push({
+      ...loser,
+      id: copyId,
+      text: `${loser.text}（競合コピー）`,
+      // 【追加機能20】コピーは別のTodoとして書き出されるよう、iCalendarのUIDを引き継がない
+      icalUid: null,
+      revision: 1,
+      updatedAt: todo.updatedAt
+    });
+  }
+
+  return { todos, conflict: { id: todo.id, fields: conflictFields, copyId } };
+}
+
+/**
+ * 基準から変更されているか判定
+ * @param {Object} base - 基準のTodo
+ * @param {Object} todo - 比較するTodo
+ * @returns {boolean}
+ */
+function hasChanged(base, todo) {
+  return base.revision !== todo.revision || !isSameTodo(base, todo);
+}
+
+/**
+ * 値が同じか判定（配列やオブジェクトは内容で比較）
+ * @param {*} a - 値
+ * @param {*} b - 値
+ * @returns {boolean}
+ */
+function isSameValue(a, b) {
+  if (a === b) return true;
+  return JSON.stringify(a) === JSON.stringify(b);
+}
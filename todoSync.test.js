@@ -0,0 +1,65 @@
+/**
+ * todoSync.jsのテスト（npm testで実行）
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { mergeTodos } from './todoSync.js';
+
+/**
+ * テスト用のTodoを作成
+ * @param {number} id - ID
+ * @param {string} text - 内容
+ * @returns {Object} Todoオブジェクト
+ */
+function createTodo(id, text) {
+  return {
+    id,
+    text,
+    status: 'todo',
+    priority: 'medium',
+    createdAt: '2026-10-01T00:00:00.000Z',
+    revision: 1,
+    updatedAt: '2026-10-01T00:00:00.000Z'
+  };
+}
+
+test('同じTodoのテキストを両方で変更すると、新しい方を採用して古い方を競合コピーとして残す', () => {
+  const base = [createTodo(1, '買い物')];
+  const local = [{ ...base[0], text: '牛乳を買う', revision: 2, updatedAt: '2026-10-02T00:00:00.000Z' }];
+  const remote = [{ ...base[0], text: 'パンを買う', revision: 2, updatedAt: '2026-10-01T12:00:00.000Z' }];
+
+  const { todos, conflicts } = mergeTodos(base, local, remote);
+
+  assert.deepEqual(conflicts, [{ id: 1, fields: ['text'], copyId: 2 }]);
+  assert.deepEqual(todos.map(todo => [todo.id, todo.text]), [[1, '牛乳を買う'], [2, 'パンを買う（競合コピー）']]);
+  assert.equal(todos[0].revision, 3);
+});
+
+test('別々の項目の変更は競合にせず両方を反映する', () => {
+  const base = [createTodo(1, '買い物')];
+  const local = [{ ...base[0], text: '牛乳を買う', revision: 2, updatedAt: '2026-10-02T00:00:00.000Z' }];
+  const remote = [{ ...base[0], priority: 'high', revision: 2, updatedAt: '2026-10-01T12:00:00.000Z' }];
+
+  const { todos, conflicts } = mergeTodos(base, local, remote);
+
+  assert.deepEqual(conflicts, []);
+  assert.equal(todos.length, 1);
+  assert.equal(todos[0].text, '牛乳を買う');
+  assert.equal(todos[0].priority, 'high');
+});
+
+test('削除と変更が同時に起きたときは変更された側を残し、変更がなければ削除に従う', () => {
+  const base = [createTodo(1, '変更されるTodo'), createTodo(2, 'そのままのTodo')];
+  const edited = { ...base[0], text: '変更後', revision: 2, updatedAt: '2026-10-02T00:00:00.000Z' };
+
+  // ローカルで削除し、リモートで変更した場合
+  const localDeleted = mergeTodos(base, [], [edited, base[1]]);
+  assert.deepEqual(localDeleted.todos, [edited]);
+  assert.deepEqual(localDeleted.conflicts, []);
+
+  // リモートで削除し、ローカルで変更した場合
+  const remoteDeleted = mergeTodos(base, [edited, base[1]], []);
+  assert.deepEqual(remoteDeleted.todos, [edited]);
+  assert.deepEqual(remoteDeleted.conflicts, []);
+});
@@ -0,0 +1,72 @@
+/**
+ * TodoTags
+ * Todoのタグ（ラベル）を扱うモジュール
+ *
+ * ・タグは先頭の「#」を除いた名前の配列としてTodoに保存する（例：['仕事', '経理']）
+ * ・入力欄では「#タグ名」と書くとタグとして取り出せる（全角の「＃」も可）
+ * ・タグの色は名前から決まるため、どの画面・どのブラウザでも同じ色になる
+ */
+
+// 「#タグ名」の形式（行頭または空白の直後の#から、空白・#・カンマの手前まで）
+const HASHTAG_PATTERN = /(^|\s)[#＃]([^\s#＃,，]+)/g;
+
+/**
+ * タグ名を正しい形に整える
+ * 先頭の#と前後の空白を除き、タグ名に使えない文字（空白・#・カンマ）は取り除く
+ * @param {*} name - タグ名
+ * @returns {string} 整えたタグ名、無効な場合は空文字
+ */
+export function normalizeTag(name) {
+  if (typeof name !== 'string') return '';
+  return name.normalize('NFKC').replace(/[\s#,]/g, '');
+}
+
+/**
+ * タグの配列を検証し、正しい形に整える（空のものと重複は除く）
+ * @param {*} tags - タグの配列
+ * @returns {Array<string>} タグ名の配列
+ */
+export function normalizeTags(tags) {
+  if (!Array.isArray(tags)) return [];
+  return [...new Set(tags.map(normalizeTag).filter(Boolean))];
+}
+
+/**
+ * 入力された文字列から「#タグ名」を取り出す
+ * @param {string} text - 入力された文字列
+ * @returns {Object} { text: タグを除いた文字列, tags: タグ名の配列 }
+ */
+export function extractTags(text) {
+  const tags = [];
+  const rest = text.replace(HASHTAG_PATTERN, (match, prefix, name) => {
+    tags.push(name);
+    return prefix;
+  });
+
+  return {
+    text: rest.replace(/\s+/g, ' ').trim(),
+    tags: normalizeTags(tags)
+  };
+}
+
+/**
+ * カンマまたは空白で区切ったタグの入力を配列に変換
+ * @param {string} value - 入力値（例：「仕事, #経理」）
+ * @returns {Array<string>} タグ名の配列
+ */
+export function parseTagInput(value) {
+  return normalizeTags(String(value).split(/[\s,，]+/));
+}
+
+/**
+ * タグ名から色相（0〜359）を決める
+ * @param {string} tag - タグ名
+ * @returns {number} 色相
+ */
+export function getTagHue(tag) {
+  let hash = 0;
+  for (const char of tag) {
+    hash = (hash * 31 + char.codePointAt(0)) % 360;
+  }
+  return hash;
+}
@@ -9,17 +9,113 @@
  */
 
 import {
+  getTodos,
   getSortedTodos,
   addTodo,
   deleteTodo,
+  deleteTodos,
   updateTodoStatus,
+  updateTodosStatus,
+  updateTodosDueDate,
+  archiveTodos,
+  unarchiveTodos,
+  archiveDoneTodos,
   getArchivedTodos,
   archiveTodo,
   unarchiveTodo,
   getStatusSummary,
   updateTodoDueDate,
-  updateTodoText
+  updateTodoText,
+  updateTodoRecurrence,
+  updateTodoTags,
+  updateTodoPriority,
+  updateTodoReminders,
+  getTagSummary,
+  getAllTags,
+  renameTag,
+  reorderTodo,
+  addSubtask,
+  toggleSubtask,
+  reorderSubtask,
+  deleteSubtask,
+  undo,
+  redo,
+  importTodos,
+  importCalendarTodos,
+  getLists,
+  getActiveListId,
+  addList,
+  renameList,
+  reorderList,
+  deleteList,
+  moveTodoToList,
+  runRetentionRules,
+  getStatistics,
+  flushTodos,
+  applyRemoteChanges,
+  onStorageError,
+  onRemoteChange,
+  startTabSync
 } from './todoManager.js';
+import { describeStorageError } from './todoStorage.js';
+import {
+  WEEKDAY_LABELS,
+  parseRRule,
+  formatRRule,
+  describeRecurrence
+} from './todoRecurrence.js';
+import { getSetting, setSetting } from './todoSettings.js';
+import { normalizeTag, extractTags, parseTagInput, getTagHue } from './todoTags.js';
+import { VALID_PRIORITIES, PRIORITY_LABELS, scoreTodo } from './todoPriority.js';
+import { parseQuickAdd } from './todoQuickAdd.js';
+import {
+  getCalendarDays,
+  shiftCalendar,
+  describeCalendarRange,
+  addDaysToDate
+} from './todoCalendar.js';
+import {
+  REMINDER_PRESETS,
+  describeReminder,
+  startReminderScheduler,
+  snoozeReminder
+} from './todoReminders.js';
+import {
+  DEFAULT_FILTER,
+  normalizeFilter,
+  isDefaultFilter,
+  matchesFilter,
+  normalizeSearchText,
+  filterToQueryString,
+  filterFromQueryString
+} from './todoFilter.js';
+import {
+  exportTodosToJson,
+  exportTodosToCsv,
+  parseJsonImport,
+  parseCsvImport,
+  parseIcsImport
+} from './todoImportExport.js';
+import { exportTodosToIcs } from './todoICal.js';
+import { STATS_WINDOW_DAYS } from './todoStats.js';
+import { registerServiceWorker, applyServiceWorkerUpdate } from './todoServiceWorker.js';
+import { getShortcutKey, formatShortcut, searchCommands } from './todoCommands.js';
+import {
+  REMOTE_SYNC_STATE_LABELS,
+  normalizeRemoteSyncConfig,
+  startRemoteSync,
+  syncNow,
+  getRemoteSyncStatus,
+  onRemoteSyncStatus
+} from './todoRemoteSync.js';
+import {
+  RETENTION_ACTION_LABELS,
+  normalizeRetentionRules,
+  loadRetentionLog,
+  appendRetentionLog,
+  clearRetentionLog
+} from './todoRetention.js';
+import { getActivity, clearActivity } from './todoActivity.js';
 
 // ステータスの日本語表示名
 const STATUS_LABELS = {
@@ -28,6 +124,75 @@ const STATUS_LABELS = {
   done: '完了'
 };
 
+// 【追加機能5】通知に添える「元に戻す」アクション
+const UNDO_ACTION = { label: '元に戻す', onClick: () => handleUndo() };
+
+// 【追加機能11】チェックリストを開いているTodoのID（再描画しても開いたままにする）
+const expandedChecklists = new Set();
+
+// 【追加機能12】ボード表示の列の並び（STATUS_LABELSと同じ順）
+const BOARD_STATUSES = Object.keys(STATUS_LABELS);
+
+// 【追加機能14】現在の検索・絞り込み条件
+let activeFilter = { ...DEFAULT_FILTER };
+
+// 【追加機能18】リマインダーのスヌーズ時間（分）と、画面内に表示しておく時間（ミリ秒）
+const REMINDER_SNOOZE_MINUTES = 10;
+const REMINDER_TOAST_DURATION = 15000;
+
+// 【追加機能19】カレンダーで表示している月・週に含まれる日
+let calendarAnchor = new Date();
+
+// 【追加機能24】アクティビティを一度に表示する件数
+const ACTIVITY_PAGE_SIZE = 50;
+
+// 【追加機能24】操作の種類の表示名（通常の操作は表示しない）
+const ACTIVITY_SOURCE_LABELS = { undo: '元に戻す', redo: 'やり直し', auto: '自動', sync: '同期' };
+
+// 【追加機能24】アクティビティで表示している件数（「さらに表示」で増やす）
+let activityLimit = ACTIVITY_PAGE_SIZE;
+
+// 【追加機能25】グラフ（SVG）の名前空間と大きさ
+const SVG_NS = 'http://www.w3.org/2000/svg';
+const CHART_WIDTH = 320;
+const CHART_HEIGHT = 120;
+
+// 【追加機能26】新しいバージョンの通知を表示する時間（ミリ秒）
+const UPDATE_TOAST_DURATION = 60 * 1000;
+
+// 【追加機能5】文字を入力しないinputの種類（フォーカスがあってもCtrl+Zで操作を元に戻す）
+const NON_TEXT_INPUT_TYPES = ['checkbox', 'radio', 'button', 'submit', 'reset', 'file', 'color', 'range', 'image'];
+
+// 【追加機能29】Todoのアーカイブ・削除・ステータス変更や通知を閉じるアニメーションの時間（ミリ秒、style.cssと同じ）
+const ANIMATION_DURATION = 300;
+
+// 【追加機能28】キーボード（j／k）で選択しているTodoのID
+let keyboardCursorId = null;
+
+// 【追加機能28】選択していたTodoが一覧から消えた（アーカイブ・削除など）ときに、代わりに選択するTodoのID
+let keyboardCursorFallbackId = null;
+
+// 【追加機能28】キーボードで選択できるTodoの要素（リスト・ボード・カレンダー、アーカイブ済みを除く）
+const KEYBOARD_ITEM_SELECTOR = '#todo-list .todo-item[data-id]:not(.archived-item), #todo-list .calendar-todo[data-id]';
+
+// 【追加機能23】保持ルール（自動アーカイブ・自動削除）を実行する間隔（ミリ秒）
+const RETENTION_CHECK_INTERVAL = 60 * 60 * 1000;
+
+// 【追加機能19】カレンダーでTodoの期日を移動するキーと日数（Altと組み合わせる）
+const CALENDAR_KEY_DAYS = { ArrowLeft: -1, ArrowRight: 1, ArrowUp: -7, ArrowDown: 7 };
+
+// 【追加機能13】ドラッグ中の行（{ id, status, index }）。dragover中はdataTransferを読めないため保持する
+let draggedRow = null;
+
+// 【追加機能22】一括操作で選択中のTodoのID
+const selectedIds = new Set();
+
+// 【追加機能22】選択できるTodoのID（画面に並んでいる順、Shift＋クリックの範囲選択に使う）
+let selectableIds = [];
+
+// 【追加機能22】範囲選択の起点（最後にクリックしたTodoのID）
+let lastSelectedId = null;
+
 /**
  * 【追加機能4】期日の緊急度を判定
  * @param {string} dueDate - 期日（YYYY-MM-DD形式）
@@ -65,6 +230,16 @@ function formatDueDate(dueDate) {
   return `${month}/${day}`;
 }
 
+/**
+ * 【追加機能18】期日と時刻を読みやすい形式でフォーマット
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {string} 例：「10/20」「10/20 14:00」
+ */
+function formatDueLabel(todo) {
+  const date = formatDueDate(todo.dueDate);
+  return todo.dueTime ? `${date} ${todo.dueTime}` : date;
+}
+
 /**
  * Todo一覧を描画
  * 【改善】完了Todoを自動的に下に表示
@@ -72,28 +247,566 @@ function formatDueDate(dueDate) {
  * 【追加機能2】アーカイブセクションも更新
  */
 export function renderTodos() {
-  const todos = getSortedTodos(); // ソート済みのTodoを取得
+  // 【追加機能14】ソート済みのTodoのうち、検索・絞り込み条件に一致するものを取得
+  const todos = getSortedTodos().filter(todo => matchesFilter(todo, activeFilter, getDueDateUrgency));
+  const archivedMatches = activeFilter.archived === 'active'
+    ? []
+    : getArchivedTodos().filter(todo => matchesFilter(todo, activeFilter, getDueDateUrgency));
+  const isFiltered = !isDefaultFilter(activeFilter);
   const todoList = document.getElementById('todo-list');
 
+  // 【追加機能21】リストの切り替えと管理欄を更新
+  renderListSwitcher();
   // 【追加機能1】サマリー表示を更新
   renderStatusSummary();
+  // 【追加機能15】タグごとの件数とタグの入力候補を更新
+  renderTagSummary();
+  renderTagOptions();
+
+  // 【追加機能29】描き直した後も同じ操作を続けられるよう、フォーカスしていた部品を覚えておく
+  const focusedControl = getFocusedTodoControl();
 
   // リストをクリア
   todoList.innerHTML = '';
 
-  // Todoが存在しない場合の空状態UI
-  if (todos.length === 0) {
-    renderEmptyState(todoList);
+  // 【追加機能12】表示形式（リスト／ボード）を反映
+  // 【追加機能19】カレンダー表示を追加
+  const viewMode = getSetting('viewMode');
+  const isBoard = viewMode === 'board';
+  const isCalendar = viewMode === 'calendar';
+  todoList.classList.toggle('board', isBoard);
+  todoList.classList.toggle('calendar', isCalendar);
+  document.body.classList.toggle('view-board', isBoard);
+  document.body.classList.toggle('view-calendar', isCalendar);
+
+  // 【追加機能22】表示しなくなったTodoは選択から外す（カレンダーではアーカイブ済みだけ選択できる）
+  selectableIds = [
+    ...(isCalendar ? [] : todos.map(todo => todo.id)),
+    ...getArchivedTodos().map(todo => todo.id)
+  ];
+  [...selectedIds].forEach(id => {
+    if (!selectableIds.includes(id)) selectedIds.delete(id);
+  });
+  renderBulkActions();
+
+  // 【追加機能14】絞り込み中は一致した件数を表示
+  renderFilterResult(isFiltered, todos.length + archivedMatches.length);
+
+  // 【追加機能19】カレンダーは空いている日をクリックして追加できるよう、Todoがなくても表示する
+  if (isCalendar) {
+    renderCalendar(todoList, todos);
+  } else if (todos.length === 0 && archivedMatches.length === 0) {
+    // Todoが存在しない場合の空状態UI
+    if (isFiltered) {
+      renderNoMatches(todoList);
+    } else {
+      renderEmptyState(todoList);
+    }
+  } else if (isBoard) {
+    renderBoard(todoList, todos);
   } else {
+    // 【追加機能13】手動の並び順のときは、同じステータス内でドラッグして並び替えられる
+    // 【追加機能14】絞り込み中は一部のTodoが隠れていて位置がずれるため、並び替えは無効にする
+    // 【追加機能21】並び順はリストごとのため、複数のリストをまとめて表示している間も無効にする
+    const isAllLists = getActiveListId() === null && getLists().length > 1;
+    const isManual = getSetting('sortMode') === 'manual' && !isFiltered && !isAllLists;
+    const groupIndexes = {};
+
     // 各Todoを描画
     todos.forEach(todo => {
       const todoItem = createTodoElement(todo);
+      if (isManual) {
+        const index = groupIndexes[todo.status] ?? 0;
+        groupIndexes[todo.status] = index + 1;
+        const groupSize = todos.filter(t => t.status === todo.status).length;
+        makeRowReorderable(todo, todoItem, index, groupSize);
+      }
       todoList.appendChild(todoItem);
     });
   }
 
+  // 【追加機能14】アーカイブ状態で絞り込んだ場合は、一致したアーカイブ済みTodoも表示
+  if (archivedMatches.length > 0) {
+    const archivedGroup = document.createElement('div');
+    archivedGroup.className = 'filtered-archive-group';
+
+    const heading = document.createElement('h3');
+    heading.className = 'filtered-archive-heading';
+    heading.textContent = `アーカイブ済み（${archivedMatches.length}）`;
+    archivedGroup.appendChild(heading);
+
+    archivedMatches.forEach(todo => {
+      archivedGroup.appendChild(createArchivedTodoElement(todo));
+    });
+    todoList.appendChild(archivedGroup);
+  }
+
   // 【追加機能2】アーカイブリストも更新
   renderArchivedTodos();
+
+  // 【追加機能24】アクティビティを開いている場合は更新
+  renderActivityFeed();
+
+  // 【追加機能25】統計を開いている場合は更新
+  renderStatsDashboard();
+
+  // 【追加機能29】フォーカスしていた部品にフォーカスを戻す
+  restoreFocusedTodoControl(focusedControl);
+
+  // 【追加機能28】キーボードで選択していたTodoを、描き直した一覧でも選択する
+  restoreKeyboardCursor();
+}
+
+/**
+ * 【追加機能29】一覧のTodoの中でフォーカスしている部品を取得
+ * @returns {Object|null} { id: TodoのID, className: 部品のクラス名 }、Todoの中にフォーカスがなければnull
+ */
+function getFocusedTodoControl() {
+  const element = document.activeElement;
+  const item = element && element.closest && element.closest(KEYBOARD_ITEM_SELECTOR);
+  if (!item || element === item || element.classList.length === 0) return null;
+  return { id: item.dataset.id, className: element.classList[0] };
+}
+
+/**
+ * 【追加機能29】描き直した一覧で、同じTodoの同じ部品にフォーカスを戻す
+ * 部品が見えない（編集を終えた入力欄など）場合は戻さず、restoreKeyboardCursor()でTodoにフォーカスする
+ * @param {Object|null} control - getFocusedTodoControl()の結果
+ */
+function restoreFocusedTodoControl(control) {
+  if (!control || (document.activeElement && document.activeElement !== document.body)) return;
+
+  const item = [...document.querySelectorAll(KEYBOARD_ITEM_SELECTOR)].find(element => element.dataset.id === control.id);
+  const element = item && item.getElementsByClassName(control.className)[0];
+  if (element && element.getClientRects().length > 0) {
+    element.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * 【追加機能12】ステータスごとの列に分けたボードを描画
+ * カードはドラッグ＆ドロップ、または移動ボタン（Alt＋←／→）で別の列へ移せる
+ * @param {HTMLElement} container - コンテナ要素
+ * @param {Array} todos - ソート済みのTodo配列
+ */
+function renderBoard(container, todos) {
+  BOARD_STATUSES.forEach(status => {
+    const columnTodos = todos.filter(todo => todo.status === status);
+
+    const column = document.createElement('section');
+    column.className = `board-column status-${status}`;
+    column.dataset.status = status;
+    column.setAttribute('aria-label', `${STATUS_LABELS[status]}（${columnTodos.length}件）`);
+
+    const header = document.createElement('h3');
+    header.className = 'board-column-header';
+    header.textContent = `${STATUS_LABELS[status]}（${columnTodos.length}）`;
+    column.appendChild(header);
+
+    const cards = document.createElement('div');
+    cards.className = 'board-cards';
+    columnTodos.forEach(todo => {
+      cards.appendChild(createTodoElement(todo));
+    });
+    if (columnTodos.length === 0) {
+      const placeholder = document.createElement('p');
+      placeholder.className = 'board-placeholder';
+      placeholder.textContent = 'ここにドラッグして移動';
+      cards.appendChild(placeholder);
+    }
+    column.appendChild(cards);
+
+    // ドロップ先としての処理
+    column.addEventListener('dragover', (e) => {
+      if (!e.dataTransfer.types.includes('text/plain')) return;
+      e.preventDefault();
+      e.dataTransfer.dropEffect = 'move';
+      column.classList.add('drag-over');
+    });
+    column.addEventListener('dragleave', (e) => {
+      if (!column.contains(e.relatedTarget)) {
+        column.classList.remove('drag-over');
+      }
+    });
+    column.addEventListener('drop', (e) => {
+      e.preventDefault();
+      column.classList.remove('drag-over');
+
+      const id = Number(e.dataTransfer.getData('text/plain'));
+      const todo = todos.find(t => t.id === id);
+      const card = container.querySelector(`.todo-item[data-id="${id}"]`);
+      if (!todo || !card || todo.status === status) return;
+
+      // カードを先に移動先の列へ移してから、通常のステータス変更と同じ演出を行う
+      cards.querySelector('.board-placeholder')?.remove();
+      cards.appendChild(card);
+      changeTodoStatus(todo, card, status);
+    });
+
+    container.appendChild(column);
+  });
+}
+
+/**
+ * 【追加機能19】期日のあるTodoを月・週のカレンダーに描画
+ * Todoを別の日へドラッグ（またはAlt＋矢印キー）すると期日を変更でき、
+ * 日付の空いている所をクリックすると、その日を期日にして追加フォームを開く
+ * @param {HTMLElement} container - コンテナ要素
+ * @param {Array} todos - ソート済みのTodo配列
+ */
+function renderCalendar(container, todos) {
+  const mode = getSetting('calendarMode');
+  const unit = mode === 'week' ? '週' : '月';
+
+  // 操作バー（前後への移動、今日、月／週の切り替え）
+  const toolbar = document.createElement('div');
+  toolbar.className = 'calendar-toolbar';
+
+  const title = document.createElement('h3');
+  title.className = 'calendar-title';
+  title.textContent = describeCalendarRange(calendarAnchor, mode);
+
+  const moveAnchor = (anchor) => {
+    calendarAnchor = anchor;
+    renderTodos();
+  };
+  toolbar.appendChild(createCalendarButton('◀', `前の${unit}`, () => moveAnchor(shiftCalendar(calendarAnchor, mode, -1))));
+  toolbar.appendChild(title);
+  toolbar.appendChild(createCalendarButton('▶', `次の${unit}`, () => moveAnchor(shiftCalendar(calendarAnchor, mode, 1))));
+  toolbar.appendChild(createCalendarButton('今日', '今日を含む範囲を表示', () => moveAnchor(new Date())));
+
+  const modeToggle = document.createElement('div');
+  modeToggle.className = 'view-toggle';
+  modeToggle.setAttribute('role', 'group');
+  modeToggle.setAttribute('aria-label', 'カレンダーの表示単位');
+  [['month', '月'], ['week', '週']].forEach(([value, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'view-toggle-button';
+    button.textContent = label;
+    button.setAttribute('aria-pressed', String(mode === value));
+    button.addEventListener('click', () => {
+      setSetting('calendarMode', value);
+      renderTodos();
+    });
+    modeToggle.appendChild(button);
+  });
+  toolbar.appendChild(modeToggle);
+  container.appendChild(toolbar);
+
+  // 期日ごとにまとめる（時刻のあるものを時刻順に先に並べ、時刻のないものは元の並び順のまま後に並べる）
+  const todosByDate = new Map();
+  todos.filter(todo => todo.dueDate).forEach(todo => {
+    if (!todosByDate.has(todo.dueDate)) todosByDate.set(todo.dueDate, []);
+    todosByDate.get(todo.dueDate).push(todo);
+  });
+  todosByDate.forEach(dayTodos => {
+    dayTodos.sort((a, b) => (a.dueTime || '24:00').localeCompare(b.dueTime || '24:00'));
+  });
+
+  const grid = document.createElement('div');
+  grid.className = `calendar-grid calendar-${mode}`;
+
+  WEEKDAY_LABELS.forEach(label => {
+    const weekday = document.createElement('div');
+    weekday.className = 'calendar-weekday';
+    weekday.textContent = label;
+    grid.appendChild(weekday);
+  });
+
+  getCalendarDays(calendarAnchor, mode).forEach(day => {
+    grid.appendChild(createCalendarDay(day, todosByDate.get(day.date) || [], todos));
+  });
+  container.appendChild(grid);
+
+  // 期日のないTodoはカレンダーに表示できないため、件数だけ知らせる
+  const undatedCount = todos.filter(todo => !todo.dueDate).length;
+  if (undatedCount > 0) {
+    const note = document.createElement('p');
+    note.className = 'calendar-undated-note';
+    note.textContent = `期日のないTodoが${undatedCount}件あります（リスト表示・ボード表示で確認できます）`;
+    container.appendChild(note);
+  }
+}
+
+/**
+ * 【追加機能19】カレンダーの1日分の枠を作成
+ * @param {Object} day - getCalendarDays()の1件（{ date, day, inRange, isToday }）
+ * @param {Array} dayTodos - その日が期日のTodo
+ * @param {Array} todos - カレンダーに表示している全てのTodo（ドロップされたTodoを探すため）
+ * @returns {HTMLElement} 日付の枠
+ */
+function createCalendarDay(day, dayTodos, todos) {
+  const cell = document.createElement('div');
+  cell.className = 'calendar-day';
+  cell.classList.toggle('outside', !day.inRange);
+  cell.classList.toggle('today', day.isToday);
+  cell.dataset.date = day.date;
+
+  const addButton = document.createElement('button');
+  addButton.type = 'button';
+  addButton.className = 'calendar-day-number';
+  addButton.textContent = day.day === 1 ? formatDueDate(day.date) : String(day.day);
+  addButton.title = `${formatDueDate(day.date)}が期日のTodoを追加`;
+  addButton.addEventListener('click', () => openAddFormForDate(day.date));
+
+  const list = document.createElement('div');
+  list.className = 'calendar-day-todos';
+  dayTodos.forEach(todo => {
+    list.appendChild(createCalendarTodo(todo));
+  });
+
+  // 日付の空いている所（Todo以外）をクリックしたら追加フォームを開く
+  cell.addEventListener('click', (e) => {
+    if (e.target === cell || e.target === list) {
+      openAddFormForDate(day.date);
+    }
+  });
+
+  // ドロップ先としての処理
+  cell.addEventListener('dragover', (e) => {
+    if (!e.dataTransfer.types.includes('text/plain')) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    cell.classList.add('drag-over');
+  });
+  cell.addEventListener('dragleave', (e) => {
+    if (!cell.contains(e.relatedTarget)) {
+      cell.classList.remove('drag-over');
+    }
+  });
+  cell.addEventListener('drop', (e) => {
+    e.preventDefault();
+    cell.classList.remove('drag-over');
+
+    const id = Number(e.dataTransfer.getData('text/plain'));
+    const todo = todos.find(t => t.id === id);
+    if (!todo || todo.dueDate === day.date) return;
+    moveTodoToDate(todo, day.date);
+  });
+
+  cell.appendChild(addButton);
+  cell.appendChild(list);
+  return cell;
+}
+
+/**
+ * 【追加機能19】カレンダーに表示するTodoを作成
+ * ステータスを左端の色、期日の緊急度を背景色で表す
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} Todo要素
+ */
+function createCalendarTodo(todo) {
+  const item = document.createElement('div');
+  const urgency = todo.status === 'done' ? null : getDueDateUrgency(todo.dueDate);
+  item.className = `calendar-todo status-${todo.status} ${urgency ? `urgency-${urgency}` : ''}`;
+  item.dataset.id = todo.id;
+  item.draggable = true;
+  item.tabIndex = 0;
+  item.textContent = todo.dueTime ? `${todo.dueTime} ${todo.text}` : todo.text;
+  item.title = `${todo.text}（${STATUS_LABELS[todo.status]}）\nドラッグで期日を変更（Alt＋←／→で1日、Alt＋↑／↓で1週間）`;
+
+  item.addEventListener('dragstart', (e) => {
+    e.dataTransfer.setData('text/plain', String(todo.id));
+    e.dataTransfer.effectAllowed = 'move';
+    item.classList.add('dragging');
+  });
+  item.addEventListener('dragend', () => {
+    item.classList.remove('dragging');
+  });
+
+  // キーボードでも期日を移動できるようにする
+  item.addEventListener('keydown', (e) => {
+    if (!e.altKey || !(e.key in CALENDAR_KEY_DAYS)) return;
+    e.preventDefault();
+
+    const newDate = addDaysToDate(todo.dueDate, CALENDAR_KEY_DAYS[e.key]);
+    // 表示範囲の外へ移動したら、移動先が見えるようにカレンダーも移動する
+    if (!document.querySelector(`.calendar-day[data-date="${newDate}"]`)) {
+      const [year, month, date] = newDate.split('-').map(Number);
+      calendarAnchor = new Date(year, month - 1, date);
+    }
+    moveTodoToDate(todo, newDate);
+    // 続けて操作できるよう、移動後のTodoにフォーカスを戻す
+    const moved = document.querySelector(`.calendar-todo[data-id="${todo.id}"]`);
+    if (moved) moved.focus();
+  });
+
+  return item;
+}
+
+/**
+ * 【追加機能19】カレンダーの操作バーのボタンを作成
+ * @param {string} label - ボタンの表示
+ * @param {string} title - ボタンの説明
+ * @param {Function} onClick - クリック時の処理
+ * @returns {HTMLButtonElement}
+ */
+function createCalendarButton(label, title, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'calendar-nav-button';
+  button.textContent = label;
+  button.title = title;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * 【追加機能19】Todoの期日を別の日に変更して再描画
+ * @param {Object} todo - Todoオブジェクト
+ * @param {string} date - 新しい期日（YYYY-MM-DD形式）
+ */
+function moveTodoToDate(todo, date) {
+  updateTodoDueDate(todo.id, date);
+  renderTodos();
+  showNotification(`「${todo.text}」の期日を${formatDueDate(date)}に変更しました`, UNDO_ACTION);
+}
+
+/**
+ * 【追加機能19】期日を入力した状態で追加フォームを開く
+ * @param {string} date - 期日（YYYY-MM-DD形式）
+ */
+function openAddFormForDate(date) {
+  const input = document.getElementById('todo-input');
+  document.getElementById('todo-duedate').value = date;
+  input.closest('.add-todo-section').scrollIntoView({
+    behavior: getAnimationDuration() === 0 ? 'auto' : 'smooth',
+    block: 'start'
+  });
+  input.focus({ preventScroll: true });
+  showNotification(`期日を${formatDueDate(date)}にしてTodoを追加できます`);
+}
+
+/**
+ * 【追加機能13】リストの行にドラッグハンドルを付け、同じステータス内で並び替えられるようにする
+ * ハンドルにフォーカスして↑／↓キーでも1つずつ移動できる
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} todoItem - Todo要素
+ * @param {number} index - 同じステータスの中での現在の位置
+ * @param {number} groupSize - 同じステータスのTodoの件数
+ */
+function makeRowReorderable(todo, todoItem, index, groupSize) {
+  const handle = document.createElement('button');
+  handle.type = 'button';
+  handle.className = 'drag-handle';
+  handle.textContent = '⠿';
+  handle.title = 'ドラッグして並び替え（↑／↓キーでも移動）';
+  handle.setAttribute('aria-label', `「${todo.text}」を並び替え（${index + 1}/${groupSize}）`);
+
+  // ハンドルを掴んだときだけ行全体をドラッグできるようにする（テキストの選択や編集を妨げない）
+  handle.addEventListener('pointerdown', () => {
+    todoItem.draggable = true;
+  });
+  handle.addEventListener('pointerup', () => {
+    todoItem.draggable = false;
+  });
+
+  handle.addEventListener('keydown', (e) => {
+    if (e.key !== 'ArrowUp' && e.key !== 'ArrowDown') return;
+    e.preventDefault();
+    const newIndex = index + (e.key === 'ArrowUp' ? -1 : 1);
+    if (newIndex < 0 || newIndex >= groupSize) return;
+
+    reorderTodo(todo.id, newIndex);
+    renderTodos();
+    // 続けて移動できるよう、再描画後のハンドルにフォーカスを戻す
+    const movedHandle = document.querySelector(`.todo-item[data-id="${todo.id}"] .drag-handle`);
+    if (movedHandle) movedHandle.focus();
+  });
+
+  todoItem.addEventListener('dragstart', (e) => {
+    if (e.target !== todoItem) return;
+    draggedRow = { id: todo.id, status: todo.status, index };
+    e.dataTransfer.setData('text/plain', String(todo.id));
+    e.dataTransfer.effectAllowed = 'move';
+    todoItem.classList.add('dragging');
+  });
+  todoItem.addEventListener('dragend', () => {
+    draggedRow = null;
+    todoItem.draggable = false;
+    todoItem.classList.remove('dragging');
+  });
+
+  // ドロップ先としての処理：行の上半分なら前へ、下半分なら後ろへ挿入する
+  const isAfter = (e) => {
+    const rect = todoItem.getBoundingClientRect();
+    return e.clientY > rect.top + rect.height / 2;
+  };
+  const clearIndicator = () => {
+    todoItem.classList.remove('drop-before', 'drop-after');
+  };
+
+  todoItem.addEventListener('dragover', (e) => {
+    // 別のステータスの行には並べられない
+    if (!draggedRow || draggedRow.status !== todo.status || draggedRow.id === todo.id) return;
+    e.preventDefault();
+    e.dataTransfer.dropEffect = 'move';
+    const after = isAfter(e);
+    todoItem.classList.toggle('drop-after', after);
+    todoItem.classList.toggle('drop-before', !after);
+  });
+  todoItem.addEventListener('dragleave', clearIndicator);
+  todoItem.addEventListener('drop', (e) => {
+    e.preventDefault();
+    clearIndicator();
+    if (!draggedRow) return;
+
+    let newIndex = index + (isAfter(e) ? 1 : 0);
+    // 移動するTodo自身が前にある場合は、取り除いた分だけ位置がずれる
+    if (draggedRow.index < newIndex) newIndex--;
+
+    reorderTodo(draggedRow.id, newIndex);
+    renderTodos();
+  });
+
+  todoItem.prepend(handle);
+}
+
+/**
+ * 【追加機能12】ボードのカードを隣の列へ移動
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} todoItem - カード要素
+ * @param {number} direction - -1で左の列、1で右の列
+ */
+function moveCard(todo, todoItem, direction) {
+  const newStatus = BOARD_STATUSES[BOARD_STATUSES.indexOf(todo.status) + direction];
+  if (!newStatus) return;
+
+  changeTodoStatus(todo, todoItem, newStatus, () => {
+    // 続けてキーボードで操作できるよう、移動後のカードにフォーカスを戻す
+    const movedCard = document.querySelector(`.todo-item[data-id="${todo.id}"]`);
+    if (movedCard) movedCard.focus();
+  });
+}
+
+/**
+ * 【追加機能3】ステータスを変更し、アニメーション付きでUIを更新
+ * 【追加機能12】ステータス選択・ボードのドロップ・移動ボタンで共通の処理
+ * @param {Object} todo - 変更前のTodoオブジェクト
+ * @param {HTMLElement} todoItem - Todo要素（アニメーション対象）
+ * @param {string} newStatus - 新しいステータス
+ * @param {Function} [afterRender] - 再描画後に呼ばれる関数
+ */
+function changeTodoStatus(todo, todoItem, newStatus, afterRender) {
+  const updatedTodo = updateTodoStatus(todo.id, newStatus);
+
+  // 【追加機能10】繰り返しTodoの次回分が作成された場合は、その期日も知らせる
+  let message = `ステータスを「${STATUS_LABELS[newStatus]}」に変更しました`;
+  if (updatedTodo && updatedTodo.nextOccurrenceId && !todo.nextOccurrenceId) {
+    const nextTodo = getTodos().find(t => t.id === updatedTodo.nextOccurrenceId);
+    if (nextTodo) {
+      message += `。次回分（${formatDueDate(nextTodo.dueDate)}）を作成しました`;
+    }
+  }
+
+  // アニメーション：変更されたアイテムを一時的にハイライト
+  todoItem.classList.add('status-changing');
+  setTimeout(() => {
+    renderTodos(); // 即座に再描画
+    showNotification(message, UNDO_ACTION);
+    if (afterRender) afterRender();
+  }, getAnimationDuration());
 }
 
 /**
@@ -176,6 +889,46 @@ function renderEmptyState(container) {
   container.appendChild(emptyContainer);
 }
 
+/**
+ * 【追加機能14】絞り込み条件に一致するTodoがない場合のUIを描画
+ * @param {HTMLElement} container - コンテナ要素
+ */
+function renderNoMatches(container) {
+  const emptyContainer = document.createElement('div');
+  emptyContainer.className = 'empty-state';
+
+  const emptyIcon = document.createElement('div');
+  emptyIcon.className = 'empty-icon';
+  emptyIcon.textContent = '🔍';
+
+  const emptyMessage = document.createElement('p');
+  emptyMessage.className = 'empty-message';
+  emptyMessage.textContent = '条件に一致するTodoはありません';
+
+  const clearButton = document.createElement('button');
+  clearButton.type = 'button';
+  clearButton.className = 'filter-button';
+  clearButton.textContent = '条件をクリア';
+  clearButton.addEventListener('click', () => setFilter(DEFAULT_FILTER));
+
+  emptyContainer.appendChild(emptyIcon);
+  emptyContainer.appendChild(emptyMessage);
+  emptyContainer.appendChild(clearButton);
+
+  container.appendChild(emptyContainer);
+}
+
+/**
+ * 【追加機能14】絞り込み結果の件数を表示
+ * @param {boolean} isFiltered - 絞り込み中か
+ * @param {number} count - 一致したTodoの件数
+ */
+function renderFilterResult(isFiltered, count) {
+  const result = document.getElementById('filter-result');
+  result.hidden = !isFiltered;
+  result.textContent = isFiltered ? `${count}件が条件に一致しました` : '';
+}
+
 /**
  * Todo要素を作成
  * 【改善】ステータスバッジで視覚的に状態を表示
@@ -197,7 +950,9 @@ function createTodoElement(todo) {
   const todoTextContainer = document.createElement('div');
   todoTextContainer.className = 'todo-text-container';
 
-  const todoText = document.createElement('span');
+  // 【追加機能29】キーボードでも編集できるようボタンにする（Enter・Spaceで編集）
+  const todoText = document.createElement('button');
+  todoText.type = 'button';
   todoText.className = 'todo-text';
   todoText.textContent = todo.text;
   todoText.style.cursor = 'pointer';
@@ -207,6 +962,7 @@ function createTodoElement(todo) {
   const todoTextInput = document.createElement('input');
   todoTextInput.type = 'text';
   todoTextInput.className = 'todo-text-edit-input';
+  todoTextInput.setAttribute('aria-label', 'Todoの内容');
   todoTextInput.value = todo.text;
   todoTextInput.style.display = 'none';
 
@@ -220,12 +976,14 @@ function createTodoElement(todo) {
 
   // テキスト変更時の処理
   const saveTextEdit = () => {
-    const newText = todoTextInput.value.trim();
-    if (newText && newText !== todo.text) {
-      const result = updateTodoText(todo.id, newText);
+    // 【追加機能15】テキストに書かれた#タグはタグとして追加する
+    const { text: newText, tags } = extractTags(todoTextInput.value);
+    const hasNewTags = tags.some(tag => !todo.tags.includes(tag));
+    if (newText && (newText !== todo.text || hasNewTags)) {
+      const result = updateTodoText(todo.id, newText, { addTags: tags });
       if (result) {
         renderTodos();
-        showNotification('Todoを更新しました');
+        showNotification('Todoを更新しました', UNDO_ACTION);
       } else {
         showNotification('Todoの更新に失敗しました');
       }
@@ -244,6 +1002,8 @@ function createTodoElement(todo) {
       todoTextInput.value = todo.text;
       todoTextInput.style.display = 'none';
       todoText.style.display = 'inline';
+      // 【追加機能29】キーボードで続けて操作できるよう、テキストにフォーカスを戻す
+      todoText.focus();
     }
   });
 
@@ -262,22 +1022,43 @@ function createTodoElement(todo) {
 
   todoContent.appendChild(todoTextContainer);
 
+  // 【追加機能16】優先度の表示と変更
+  todoContent.appendChild(createPrioritySelect(todo));
+
+  // 【追加機能21】所属するリストの表示と移動（リストが2つ以上ある場合）
+  const listSelect = createListSelect(todo);
+  if (listSelect) {
+    todoContent.appendChild(listSelect);
+  }
+
+  // 【追加機能16】「次にやること」の並び順では、スコアとその内訳を表示
+  if (getSetting('sortMode') === 'nextUp' && todo.status !== 'done') {
+    todoContent.appendChild(createScoreDetails(todo));
+  }
+
+  // 【追加機能15】タグの表示と編集
+  todoContent.appendChild(createTagList(todo, true));
+
   // 【追加機能4】期日表示と編集
   const dueDateContainer = document.createElement('div');
   dueDateContainer.className = 'due-date-container';
 
   if (todo.dueDate) {
-    const dueDateBadge = document.createElement('span');
+    // 【追加機能29】キーボードでも編集できるようボタンにする
+    const dueDateBadge = document.createElement('button');
+    dueDateBadge.type = 'button';
     const urgency = getDueDateUrgency(todo.dueDate);
     dueDateBadge.className = `due-date-badge ${urgency ? `urgency-${urgency}` : ''}`;
-    dueDateBadge.textContent = `📅 ${formatDueDate(todo.dueDate)}`;
+    dueDateBadge.textContent = `📅 ${formatDueLabel(todo)}`;
     dueDateBadge.style.cursor = 'pointer';
     dueDateBadge.title = '期日を編集';
+    dueDateBadge.setAttribute('aria-label', `期日：${formatDueLabel(todo)}（編集）`);
 
     // 期日編集入力欄（初期状態は非表示）
     const dueDateInput = document.createElement('input');
     dueDateInput.type = 'date';
     dueDateInput.className = 'due-date-edit-input';
+    dueDateInput.setAttribute('aria-label', '期日');
     dueDateInput.value = todo.dueDate;
     dueDateInput.style.display = 'none';
 
@@ -293,7 +1074,7 @@ function createTodoElement(todo) {
       const newDueDate = dueDateInput.value || null;
       updateTodoDueDate(todo.id, newDueDate);
       renderTodos();
-      showNotification('期日を更新しました');
+      showNotification('期日を更新しました', UNDO_ACTION);
     });
 
     // フォーカス外れたら表示モードに戻る
@@ -304,6 +1085,9 @@ function createTodoElement(todo) {
 
     dueDateContainer.appendChild(dueDateBadge);
     dueDateContainer.appendChild(dueDateInput);
+
+    // 【追加機能18】期日の時刻とリマインダーの表示と編集
+    dueDateContainer.appendChild(createReminderEditor(todo));
   } else {
     // 期日が設定されていない場合は「期日を設定」ボタン
     const addDueDateButton = document.createElement('button');
@@ -315,6 +1099,7 @@ function createTodoElement(todo) {
     const dueDateInput = document.createElement('input');
     dueDateInput.type = 'date';
     dueDateInput.className = 'due-date-edit-input';
+    dueDateInput.setAttribute('aria-label', '期日');
     dueDateInput.style.display = 'none';
 
     // ボタンクリックで入力欄を表示
@@ -330,7 +1115,7 @@ function createTodoElement(todo) {
       if (newDueDate) {
         updateTodoDueDate(todo.id, newDueDate);
         renderTodos();
-        showNotification('期日を設定しました');
+        showNotification('期日を設定しました', UNDO_ACTION);
       }
     });
 
@@ -347,15 +1132,30 @@ function createTodoElement(todo) {
   }
 
   todoContent.appendChild(dueDateContainer);
+
+  // 【追加機能10】繰り返し設定の表示と編集
+  todoContent.appendChild(createRecurrenceEditor(todo));
+
+  // 【追加機能11】サブタスク（チェックリスト）
+  todoContent.appendChild(createChecklist(todo));
+
+  // 【追加機能24】このTodoの変更履歴
+  todoContent.appendChild(createHistoryDetails(todo));
+
   todoContent.appendChild(statusBadge);
 
   // コントロールエリア
   const todoControls = document.createElement('div');
   todoControls.className = 'todo-controls';
 
+  // 【追加機能22】一括操作の選択
+  todoItem.prepend(createSelectCheckbox(todo, todoItem));
+
   // ステータスセレクトボックス
   const statusSelect = document.createElement('select');
   statusSelect.className = 'status-select';
+  // 【追加機能29】どのTodoのステータスかを読み上げられるようにする
+  statusSelect.setAttribute('aria-label', `「${todo.text}」のステータス`);
   statusSelect.innerHTML = `
     <option value="todo" ${todo.status === 'todo' ? 'selected' : ''}>未完了</option>
     <option value="doing" ${todo.status === 'doing' ? 'selected' : ''}>処理中</option>
@@ -364,46 +1164,41 @@ function createTodoElement(todo) {
 
   // 【追加機能3】ステータス変更イベント：変更直後にアニメーション付きでUIを更新
   statusSelect.addEventListener('change', (e) => {
-    const newStatus = e.target.value;
-    updateTodoStatus(todo.id, newStatus);
-
-    // アニメーション：変更されたアイテムを一時的にハイライト
-    todoItem.classList.add('status-changing');
-    setTimeout(() => {
-      renderTodos(); // 即座に再描画
-      showNotification(`ステータスを「${STATUS_LABELS[newStatus]}」に変更しました`);
-    }, 300);
+    changeTodoStatus(todo, todoItem, e.target.value);
   });
 
   // 【追加機能2】アーカイブボタン
   const archiveButton = document.createElement('button');
   archiveButton.className = 'archive-button';
   archiveButton.textContent = 'アーカイブ';
+  archiveButton.setAttribute('aria-label', `「${todo.text}」をアーカイブ`);
   archiveButton.addEventListener('click', () => {
     // アーカイブアニメーション
     todoItem.classList.add('archiving');
     setTimeout(() => {
       archiveTodo(todo.id);
       renderTodos();
-      showNotification('Todoをアーカイブしました');
-    }, 300);
+      showNotification('Todoをアーカイブしました', UNDO_ACTION);
+    }, getAnimationDuration());
   });
 
   // 削除ボタン
   const deleteButton = document.createElement('button');
   deleteButton.className = 'delete-button';
   deleteButton.textContent = '削除';
+  deleteButton.setAttribute('aria-label', `「${todo.text}」を削除`);
 
   // 【改善】削除前に確認ダイアログを表示
-  deleteButton.addEventListener('click', () => {
-    if (confirm(`「${todo.text}」を削除しますか？`)) {
+  // 【追加機能29】confirm()の代わりに、キーボードと読み上げに対応したダイアログを使う
+  deleteButton.addEventListener('click', async () => {
+    if (await showConfirmDialog(`「${todo.text}」を削除しますか？`, '削除')) {
       // 削除アニメーション
       todoItem.classList.add('deleting');
       setTimeout(() => {
         deleteTodo(todo.id);
         renderTodos(); // 即座に再描画
-        showNotification('Todoを削除しました');
-      }, 300);
+        showNotification('Todoを削除しました', UNDO_ACTION);
+      }, getAnimationDuration());
     }
   });
 
@@ -415,167 +1210,3064 @@ function createTodoElement(todo) {
   todoItem.appendChild(todoContent);
   todoItem.appendChild(todoControls);
 
+  // 【追加機能12】ボード表示ではカードとして動かせるようにする
+  if (getSetting('viewMode') === 'board') {
+    makeCardMovable(todo, todoItem, todoControls);
+  }
+
   return todoItem;
 }
 
 /**
- * 【追加機能2】アーカイブされたTodo要素を作成
+ * 【追加機能12】Todo要素をボードのカードとして移動できるようにする
+ * ・ドラッグ＆ドロップで別の列へ移動
+ * ・「◀」「▶」ボタン、またはカードにフォーカスしてAlt＋←／→で隣の列へ移動
  * @param {Object} todo - Todoオブジェクト
- * @returns {HTMLElement} Todo要素
+ * @param {HTMLElement} todoItem - Todo要素
+ * @param {HTMLElement} todoControls - ボタンを追加するコントロールエリア
  */
-function createArchivedTodoElement(todo) {
-  const todoItem = document.createElement('div');
-  todoItem.className = `todo-item archived-item status-${todo.status}`;
-  todoItem.dataset.id = todo.id;
+function makeCardMovable(todo, todoItem, todoControls) {
+  const index = BOARD_STATUSES.indexOf(todo.status);
 
-  // Todoの内容エリア
-  const todoContent = document.createElement('div');
-  todoContent.className = 'todo-content';
+  todoItem.draggable = true;
+  todoItem.tabIndex = 0;
+  todoItem.setAttribute('aria-keyshortcuts', 'Alt+ArrowLeft Alt+ArrowRight');
 
-  // Todoのテキスト
-  const todoText = document.createElement('span');
-  todoText.className = 'todo-text';
-  todoText.textContent = todo.text;
+  todoItem.addEventListener('dragstart', (e) => {
+    // 入力欄などの中から始まったドラッグ（文字選択）はカードの移動にしない
+    if (e.target !== todoItem) return;
+    e.dataTransfer.setData('text/plain', String(todo.id));
+    e.dataTransfer.effectAllowed = 'move';
+    todoItem.classList.add('dragging');
+  });
+  todoItem.addEventListener('dragend', () => {
+    todoItem.classList.remove('dragging');
+  });
 
-  // ステータスバッジ
-  const statusBadge = document.createElement('span');
-  statusBadge.className = `status-badge status-${todo.status}`;
-  statusBadge.textContent = STATUS_LABELS[todo.status];
+  todoItem.addEventListener('keydown', (e) => {
+    if (e.target !== todoItem || !e.altKey) return;
+    if (e.key === 'ArrowLeft' || e.key === 'ArrowRight') {
+      e.preventDefault();
+      moveCard(todo, todoItem, e.key === 'ArrowLeft' ? -1 : 1);
+    }
+  });
 
-  todoContent.appendChild(todoText);
+  const moveButtons = document.createElement('div');
+  moveButtons.className = 'board-move-buttons';
 
-  // 【追加機能4】期日表示（アーカイブでは読み取り専用）
-  if (todo.dueDate) {
-    const dueDateBadge = document.createElement('span');
-    const urgency = getDueDateUrgency(todo.dueDate);
-    dueDateBadge.className = `due-date-badge ${urgency ? `urgency-${urgency}` : ''}`;
-    dueDateBadge.textContent = `📅 ${formatDueDate(todo.dueDate)}`;
-    todoContent.appendChild(dueDateBadge);
+  [[-1, '◀'], [1, '▶']].forEach(([direction, label]) => {
+    const targetStatus = BOARD_STATUSES[index + direction];
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'board-move-button';
+    button.textContent = label;
+    button.disabled = !targetStatus;
+    if (targetStatus) {
+      const title = `「${STATUS_LABELS[targetStatus]}」へ移動`;
+      button.title = title;
+      button.setAttribute('aria-label', title);
+    }
+    button.addEventListener('click', () => moveCard(todo, todoItem, direction));
+    moveButtons.appendChild(button);
+  });
+
+  todoControls.prepend(moveButtons);
+}
+
+/**
+ * 【追加機能16】優先度の選択欄を作成
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} 選択欄
+ */
+function createPrioritySelect(todo) {
+  const select = document.createElement('select');
+  select.className = `priority-select priority-${todo.priority}`;
+  select.setAttribute('aria-label', '優先度');
+  select.title = '優先度';
+
+  VALID_PRIORITIES.forEach(priority => {
+    const option = document.createElement('option');
+    option.value = priority;
+    option.textContent = `優先度：${PRIORITY_LABELS[priority]}`;
+    option.selected = priority === todo.priority;
+    select.appendChild(option);
+  });
+
+  select.addEventListener('change', () => {
+    updateTodoPriority(todo.id, select.value);
+    renderTodos();
+    showNotification(`優先度を「${PRIORITY_LABELS[select.value]}」に変更しました`, UNDO_ACTION);
+  });
+
+  return select;
+}
+
+/**
+ * 【追加機能21】Todoの所属するリストを表示し、別のリストへ移動するセレクトボックスを作成
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement|null} セレクトボックス、リストが1つだけの場合はnull
+ */
+function createListSelect(todo) {
+  const lists = getLists();
+  if (lists.length < 2) {
+    return null;
   }
 
-  todoContent.appendChild(statusBadge);
+  const select = document.createElement('select');
+  select.className = 'list-select';
+  select.setAttribute('aria-label', 'リスト');
+  select.title = '別のリストへ移動';
 
-  // コントロールエリア
-  const todoControls = document.createElement('div');
-  todoControls.className = 'todo-controls';
+  lists.forEach(list => {
+    const option = document.createElement('option');
+    option.value = String(list.id);
+    option.textContent = `📁 ${list.name}`;
+    option.selected = list.id === todo.listId;
+    select.appendChild(option);
+  });
 
-  // 復元ボタン
-  const restoreButton = document.createElement('button');
-  restoreButton.className = 'restore-button';
-  restoreButton.textContent = '復元';
-  restoreButton.addEventListener('click', () => {
-    unarchiveTodo(todo.id);
+  select.addEventListener('change', () => {
+    const list = lists.find(list => list.id === Number(select.value));
+    moveTodoToList(todo.id, list.id);
     renderTodos();
-    showNotification('Todoを復元しました');
+    showNotification(`「${todo.text}」を「${list.name}」に移動しました`, UNDO_ACTION);
   });
 
-  // 削除ボタン
-  const deleteButton = document.createElement('button');
-  deleteButton.className = 'delete-button';
-  deleteButton.textContent = '削除';
-  deleteButton.addEventListener('click', () => {
-    if (confirm(`「${todo.text}」を完全に削除しますか？`)) {
-      deleteTodo(todo.id);
+  return select;
+}
+
+/**
+ * 【追加機能16】「次にやること」のスコアと内訳を作成
+ * クリックで開くと、どの要素で何点になったかを確認できる
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} スコア表示の要素
+ */
+function createScoreDetails(todo) {
+  const { score, reasons } = scoreTodo(todo);
+
+  const details = document.createElement('details');
+  details.className = 'score-details';
+
+  const summary = document.createElement('summary');
+  summary.textContent = `⚡ スコア ${score}`;
+  summary.title = 'スコアの内訳を表示';
+  details.appendChild(summary);
+
+  const list = document.createElement('ul');
+  list.className = 'score-reasons';
+  reasons.forEach(reason => {
+    const item = document.createElement('li');
+    item.textContent = `${reason.label}：+${reason.points}`;
+    list.appendChild(item);
+  });
+  if (reasons.length === 0) {
+    const item = document.createElement('li');
+    item.textContent = '加点される要素はありません';
+    list.appendChild(item);
+  }
+  details.appendChild(list);
+
+  return details;
+}
+
+/**
+ * 【追加機能15】Todoのタグ一覧を作成
+ * タグをクリックするとそのタグで絞り込む。編集できる場合は追加・削除もできる
+ * @param {Object} todo - Todoオブジェクト
+ * @param {boolean} editable - タグを追加・削除できるか
+ * @returns {HTMLElement} タグ一覧の要素
+ */
+function createTagList(todo, editable) {
+  const container = document.createElement('div');
+  container.className = 'tag-list';
+
+  todo.tags.forEach(tag => {
+    const chip = createTagChip(tag);
+
+    if (editable) {
+      const removeButton = document.createElement('button');
+      removeButton.type = 'button';
+      removeButton.className = 'tag-remove-button';
+      removeButton.textContent = '×';
+      removeButton.title = `タグ「${tag}」を外す`;
+      removeButton.setAttribute('aria-label', `タグ「${tag}」を外す`);
+      removeButton.addEventListener('click', () => {
+        updateTodoTags(todo.id, todo.tags.filter(t => t !== tag));
+        renderTodos();
+        showNotification(`タグ「${tag}」を外しました`, UNDO_ACTION);
+      });
+      chip.appendChild(removeButton);
+    }
+
+    container.appendChild(chip);
+  });
+
+  if (!editable) {
+    return container;
+  }
+
+  // タグの追加（入力候補に既存のタグを表示する）
+  const addButton = document.createElement('button');
+  addButton.type = 'button';
+  addButton.className = 'add-tag-button';
+  addButton.textContent = '＋ タグ';
+
+  const tagInput = document.createElement('input');
+  tagInput.type = 'text';
+  tagInput.className = 'tag-edit-input';
+  tagInput.placeholder = 'タグ名（Enterで追加）';
+  tagInput.setAttribute('aria-label', 'タグを追加');
+  tagInput.setAttribute('list', 'tag-suggestions');
+  tagInput.style.display = 'none';
+
+  addButton.addEventListener('click', () => {
+    addButton.style.display = 'none';
+    tagInput.style.display = 'inline-block';
+    tagInput.focus();
+  });
+
+  const closeInput = () => {
+    tagInput.value = '';
+    tagInput.style.display = 'none';
+    addButton.style.display = 'inline-block';
+  };
+
+  tagInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      const tags = parseTagInput(tagInput.value);
+      if (tags.length === 0) {
+        closeInput();
+        return;
+      }
+      updateTodoTags(todo.id, [...todo.tags, ...tags]);
       renderTodos();
-      showNotification('Todoを削除しました');
+      showNotification('タグを追加しました', UNDO_ACTION);
+    } else if (e.key === 'Escape') {
+      closeInput();
     }
   });
+  tagInput.addEventListener('blur', closeInput);
 
-  todoControls.appendChild(restoreButton);
-  todoControls.appendChild(deleteButton);
+  container.appendChild(addButton);
+  container.appendChild(tagInput);
 
-  todoItem.appendChild(todoContent);
-  todoItem.appendChild(todoControls);
+  return container;
+}
 
-  return todoItem;
+/**
+ * 【追加機能15】タグのチップを作成
+ * タグ名をクリックすると、そのタグでの絞り込みを切り替える
+ * @param {string} tag - タグ名
+ * @param {number} [count] - 件数（サマリー表示用）
+ * @returns {HTMLElement} チップ要素
+ */
+function createTagChip(tag, count) {
+  const chip = document.createElement('span');
+  chip.className = 'tag-chip';
+  chip.style.setProperty('--tag-hue', getTagHue(tag));
+
+  const isActive = activeFilter.tags.includes(tag);
+  const label = document.createElement('button');
+  label.type = 'button';
+  label.className = 'tag-chip-label';
+  label.textContent = count === undefined ? `#${tag}` : `#${tag} ${count}`;
+  label.title = isActive ? `タグ「${tag}」での絞り込みを解除` : `タグ「${tag}」で絞り込む`;
+  label.setAttribute('aria-pressed', String(isActive));
+  label.addEventListener('click', () => {
+    const tags = isActive
+      ? activeFilter.tags.filter(t => t !== tag)
+      : [...activeFilter.tags, tag];
+    setFilter({ ...activeFilter, tags });
+  });
+
+  chip.appendChild(label);
+  return chip;
 }
 
 /**
- * 操作完了の通知を表示
- * 【改善】視覚的なフィードバックでUXを向上
- * @param {string} message - 表示するメッセージ
+ * 【追加機能15】タグごとの件数を描画
+ * 状態サマリーの下に並べ、クリックでそのタグに絞り込める
  */
-function showNotification(message) {
-  const notification = document.createElement('div');
-  notification.className = 'notification';
-  notification.textContent = message;
+function renderTagSummary() {
+  const tagSummary = document.getElementById('tag-summary');
+  tagSummary.innerHTML = '';
 
-  document.body.appendChild(notification);
+  getTagSummary().forEach(({ tag, count }) => {
+    tagSummary.appendChild(createTagChip(tag, count));
+  });
+  tagSummary.hidden = tagSummary.childElementCount === 0;
+}
 
-  // 2秒後に非表示アニメーション開始、その後DOM から削除
-  setTimeout(() => {
-    notification.classList.add('hide');
-    setTimeout(() => notification.remove(), 300);
-  }, 2000);
+/**
+ * 【追加機能15】タグの入力候補とタグの管理欄を更新
+ */
+function renderTagOptions() {
+  const tags = getAllTags();
+
+  const suggestions = document.getElementById('tag-suggestions');
+  suggestions.innerHTML = '';
+  tags.forEach(tag => {
+    const option = document.createElement('option');
+    option.value = tag;
+    suggestions.appendChild(option);
+  });
+
+  const tagSelect = document.getElementById('rename-tag-source');
+  const selected = tagSelect.value;
+  tagSelect.innerHTML = '<option value="">タグを選択</option>';
+  tags.forEach(tag => {
+    const option = document.createElement('option');
+    option.value = tag;
+    option.textContent = `#${tag}`;
+    tagSelect.appendChild(option);
+  });
+  tagSelect.value = tags.includes(selected) ? selected : '';
+
+  document.getElementById('tag-manager').hidden = tags.length === 0;
 }
 
 /**
- * Todo追加フォームの初期化
- * 【改善】Enterキー対応、バリデーション、自動フォーカス
- * 【追加機能2】アーカイブトグルの初期化
- * 【追加機能4】期日入力対応
+ * 【追加機能15】タグの名前変更・統合を初期化
+ * 既にある名前に変更すると、2つのタグを1つに統合する
  */
-export function initAddTodoForm() {
-  const form = document.getElementById('add-todo-form');
-  const input = document.getElementById('todo-input');
-  const statusSelect = document.getElementById('todo-status');
-  const dueDateInput = document.getElementById('todo-duedate');
+export function initTagManager() {
+  const form = document.getElementById('rename-tag-form');
+  const tagSelect = document.getElementById('rename-tag-source');
+  const nameInput = document.getElementById('rename-tag-name');
 
-  // フォーム送信処理（EnterキーとSubmitボタンで共通化）
-  const handleSubmit = (e) => {
+  form.addEventListener('submit', async (e) => {
     e.preventDefault();
 
-    const text = input.value.trim();
-    const status = statusSelect.value;
-    const dueDate = dueDateInput.value || null;
+    const oldName = tagSelect.value;
+    const newName = normalizeTag(nameInput.value);
+    if (!oldName || !newName) {
+      showNotification('変更するタグと新しい名前を入力してください');
+      return;
+    }
 
-    // 入力値のバリデーション
-    if (!text) {
-      showNotification('Todoの内容を入力してください');
-      input.focus();
+    const isMerge = getAllTags().includes(newName);
+    if (isMerge && !(await showConfirmDialog(`タグ「${oldName}」を既存のタグ「${newName}」に統合しますか？`, '統合'))) {
       return;
     }
 
-    // Todoを追加し、即座にlocalStorageへ保存
-    addTodo(text, status, dueDate);
+    const changed = renameTag(oldName, newName);
+    if (changed === 0) {
+      return;
+    }
 
-    // 成功通知
-    showNotification(`「${text}」を追加しました`);
+    nameInput.value = '';
+    // 絞り込み中のタグも新しい名前に置き換える（再描画も行われる）
+    setFilter({
+      ...activeFilter,
+      tags: activeFilter.tags.map(tag => (tag === oldName ? newName : tag))
+    });
+    showNotification(
+      isMerge
+        ? `タグ「${oldName}」を「${newName}」に統合しました（${changed}件）`
+        : `タグ「${oldName}」を「${newName}」に変更しました（${changed}件）`,
+      UNDO_ACTION
+    );
+  });
+}
 
-    // フォームをリセット
-    input.value = '';
-    statusSelect.value = 'todo';
-    dueDateInput.value = '';
+/**
+ * 【追加機能21】リストの切り替え・管理欄・追加フォームのリストの選択肢を更新
+ * 切り替えには、アーカイブされていないTodoの件数を表示する
+ */
+function renderListSwitcher() {
+  const lists = getLists();
+  const activeListId = getActiveListId();
 
-    // 一覧を即座に再描画
+  const switcher = document.getElementById('list-switcher');
+  switcher.innerHTML = '';
+  [{ id: null, name: 'すべてのリスト' }, ...lists].forEach(list => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'list-switcher-button';
+    button.textContent = `${list.name}（${getStatusSummary(list.id).total}）`;
+    button.setAttribute('aria-pressed', String(list.id === activeListId));
+    button.addEventListener('click', () => {
+      setSetting('activeListId', list.id);
+      renderTodos();
+    });
+    switcher.appendChild(button);
+  });
+
+  const items = document.getElementById('list-manager-items');
+  items.innerHTML = '';
+  lists.forEach((list, index) => {
+    items.appendChild(createListManagerItem(list, index, lists));
+  });
+
+  // 追加フォームでは表示中のリストを初期値にする（リストを切り替えるまでは選んだリストを保つ）
+  const listSelect = document.getElementById('todo-list-select');
+  const selected = listSelect.dataset.activeListId === String(activeListId) ? listSelect.value : '';
+  listSelect.innerHTML = '';
+  lists.forEach(list => {
+    const option = document.createElement('option');
+    option.value = String(list.id);
+    option.textContent = list.name;
+    listSelect.appendChild(option);
+  });
+  listSelect.value = lists.some(list => String(list.id) === selected) ? selected : String(activeListId ?? lists[0].id);
+  listSelect.dataset.activeListId = String(activeListId);
+  document.getElementById('todo-list-group').hidden = lists.length < 2;
+}
+
+/**
+ * 【追加機能21】リストの管理欄の1行（名前の変更・並び替え・削除）を作成
+ * @param {Object} list - リスト
+ * @param {number} index - 並び順での位置
+ * @param {Array} lists - 全てのリスト
+ * @returns {HTMLElement} 行の要素
+ */
+function createListManagerItem(list, index, lists) {
+  const item = document.createElement('li');
+  item.className = 'list-manager-item';
+
+  const nameInput = document.createElement('input');
+  nameInput.type = 'text';
+  nameInput.className = 'view-name-input';
+  nameInput.value = list.name;
+  nameInput.setAttribute('aria-label', `「${list.name}」の名前`);
+  nameInput.addEventListener('change', () => {
+    const name = nameInput.value.trim();
+    if (name === list.name) return;
+    if (!renameList(list.id, name)) {
+      nameInput.value = list.name;
+      showNotification(name ? `「${name}」という名前のリストは既にあります` : 'リスト名を入力してください');
+      return;
+    }
     renderTodos();
+    showNotification(`リスト名を「${name}」に変更しました`, UNDO_ACTION);
+  });
+  item.appendChild(nameInput);
 
-    // 【改善】入力欄に自動でフォーカスが戻る
-    input.focus();
+  const moveButton = (label, title, direction) => {
+    const button = createChecklistButton(label, title, index + direction < 0 || index + direction >= lists.length, () => {
+      reorderList(list.id, index + direction);
+      renderTodos();
+    });
+    item.appendChild(button);
   };
+  moveButton('↑', `「${list.name}」を上へ`, -1);
+  moveButton('↓', `「${list.name}」を下へ`, 1);
 
-  // フォーム送信イベント
-  form.addEventListener('submit', handleSubmit);
+  // 最後の1つのリストは削除できない。削除したリストのTodoは別のリストへ移す
+  const moveTo = lists.find(other => other.id !== list.id);
+  item.appendChild(createChecklistButton('削除', `「${list.name}」を削除`, !moveTo, async () => {
+    const count = getTodos().filter(todo => todo.listId === list.id).length;
+    const message = count > 0
+      ? `リスト「${list.name}」を削除しますか？\n${count}件のTodoは「${moveTo.name}」に移動します。`
+      : `リスト「${list.name}」を削除しますか？`;
+    if (!(await showConfirmDialog(message, '削除'))) return;
 
-  // 【改善】Enterキー単独で追加可能にする
-  input.addEventListener('keydown', (e) => {
-    if (e.key === 'Enter' && !e.shiftKey) {
-      e.preventDefault();
-      handleSubmit(e);
+    deleteList(list.id, moveTo.id);
+    renderTodos();
+    showNotification(`リスト「${list.name}」を削除しました`, UNDO_ACTION);
+  }));
+
+  return item;
+}
+
+/**
+ * 【追加機能21】リストの作成フォームを初期化
+ * 作成したリストに切り替える
+ */
+export function initListManager() {
+  const form = document.getElementById('add-list-form');
+  const nameInput = document.getElementById('list-name');
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const name = nameInput.value.trim();
+    if (!name) {
+      showNotification('リスト名を入力してください');
+      return;
+    }
+
+    const list = addList(name);
+    if (!list) {
+      showNotification(`「${name}」という名前のリストは既にあります`);
+      return;
     }
+
+    nameInput.value = '';
+    setSetting('activeListId', list.id);
+    renderTodos();
+    showNotification(`リスト「${name}」を作成しました`, UNDO_ACTION);
   });
+}
 
-  // 【追加機能2】アーカイブトグルの初期化
-  const toggleArchiveButton = document.getElementById('toggle-archive');
-  const archiveList = document.getElementById('archive-list');
+/**
+ * 【追加機能11】サブタスクのチェックリストを作成
+ * 進捗（例：3/5）のボタンで開閉し、開くとチェック・並び替え・削除・追加ができる
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} チェックリスト要素
+ */
+function createChecklist(todo) {
+  const container = document.createElement('div');
+  container.className = 'checklist';
 
-  toggleArchiveButton.addEventListener('click', () => {
-    if (archiveList.style.display === 'none') {
-      archiveList.style.display = 'block';
-      toggleArchiveButton.textContent = '非表示';
+  const total = todo.subtasks.length;
+  const doneCount = todo.subtasks.filter(subtask => subtask.done).length;
+  const isExpanded = expandedChecklists.has(todo.id);
+
+  const toggleButton = document.createElement('button');
+  toggleButton.type = 'button';
+  toggleButton.className = 'checklist-toggle';
+  toggleButton.setAttribute('aria-expanded', String(isExpanded));
+  toggleButton.textContent = total > 0
+    ? `${isExpanded ? '▾' : '▸'} ☑ ${doneCount}/${total}`
+    : `${isExpanded ? '▾' : '▸'} ☑ サブタスクを追加`;
+  toggleButton.addEventListener('click', () => {
+    if (expandedChecklists.has(todo.id)) {
+      expandedChecklists.delete(todo.id);
     } else {
-      archiveList.style.display = 'none';
-      toggleArchiveButton.textContent = '表示/非表示';
+      expandedChecklists.add(todo.id);
+    }
+    renderTodos();
+  });
+  container.appendChild(toggleButton);
+
+  // 進捗バー
+  if (total > 0) {
+    const progress = document.createElement('div');
+    progress.className = 'checklist-progress';
+    const progressBar = document.createElement('div');
+    progressBar.className = 'checklist-progress-bar';
+    progressBar.style.width = `${Math.round((doneCount / total) * 100)}%`;
+    progress.appendChild(progressBar);
+    container.appendChild(progress);
+  }
+
+  if (!isExpanded) {
+    return container;
+  }
+
+  const list = document.createElement('ul');
+  list.className = 'checklist-items';
+
+  todo.subtasks.forEach((subtask, index) => {
+    const item = document.createElement('li');
+    item.className = `checklist-item ${subtask.done ? 'done' : ''}`;
+
+    const label = document.createElement('label');
+    label.className = 'checklist-label';
+
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.checked = subtask.done;
+    checkbox.addEventListener('change', () => {
+      const before = todo.status;
+      const updatedTodo = toggleSubtask(todo.id, subtask.id);
+      renderTodos();
+      if (updatedTodo && updatedTodo.status !== before) {
+        showNotification(`ステータスを「${STATUS_LABELS[updatedTodo.status]}」に変更しました`, UNDO_ACTION);
+      }
+    });
+
+    const text = document.createElement('span');
+    text.className = 'checklist-text';
+    text.textContent = subtask.text;
+
+    label.appendChild(checkbox);
+    label.appendChild(text);
+
+    // 並び替え（上へ・下へ）と削除
+    const moveUpButton = createChecklistButton('↑', 'サブタスクを上へ移動', index === 0, () => {
+      reorderSubtask(todo.id, subtask.id, index - 1);
+      renderTodos();
+    });
+    const moveDownButton = createChecklistButton('↓', 'サブタスクを下へ移動', index === total - 1, () => {
+      reorderSubtask(todo.id, subtask.id, index + 1);
+      renderTodos();
+    });
+    const deleteButton = createChecklistButton('×', 'サブタスクを削除', false, () => {
+      deleteSubtask(todo.id, subtask.id);
+      renderTodos();
+      showNotification('サブタスクを削除しました', UNDO_ACTION);
+    });
+
+    item.appendChild(label);
+    item.appendChild(moveUpButton);
+    item.appendChild(moveDownButton);
+    item.appendChild(deleteButton);
+    list.appendChild(item);
+  });
+
+  container.appendChild(list);
+
+  // サブタスクの追加
+  const addInput = document.createElement('input');
+  addInput.type = 'text';
+  addInput.className = 'checklist-add-input';
+  addInput.placeholder = 'サブタスクを追加（Enterで追加）';
+  addInput.setAttribute('aria-label', 'サブタスクを追加');
+  addInput.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      if (addSubtask(todo.id, addInput.value)) {
+        renderTodos();
+        // 続けて入力できるよう、再描画後の入力欄にフォーカスを戻す
+        const nextInput = document.querySelector(`.todo-item[data-id="${todo.id}"] .checklist-add-input`);
+        if (nextInput) nextInput.focus();
+      }
+    }
+  });
+  container.appendChild(addInput);
+
+  return container;
+}
+
+/**
+ * 【追加機能11】チェックリスト項目の小さな操作ボタンを作成
+ * @param {string} label - ボタンの表示
+ * @param {string} title - ボタンの説明（ツールチップと読み上げ用）
+ * @param {boolean} disabled - 無効にするか
+ * @param {Function} onClick - クリック時の処理
+ * @returns {HTMLElement} ボタン要素
+ */
+function createChecklistButton(label, title, disabled, onClick) {
+  const button = document.createElement('button');
+  button.type = 'button';
+  button.className = 'checklist-button';
+  button.textContent = label;
+  button.title = title;
+  button.setAttribute('aria-label', title);
+  button.disabled = disabled;
+  button.addEventListener('click', onClick);
+  return button;
+}
+
+/**
+ * 【追加機能10】Todoの繰り返し設定の表示・編集エリアを作成
+ * 設定済みならバッジ、未設定なら「繰り返しを設定」ボタンを表示し、
+ * クリックで繰り返しピッカーを開く
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} 繰り返し設定エリア
+ */
+function createRecurrenceEditor(todo) {
+  const container = document.createElement('div');
+  container.className = 'recurrence-container';
+
+  const toggle = document.createElement(todo.recurrence ? 'span' : 'button');
+  if (todo.recurrence) {
+    toggle.className = 'recurrence-badge';
+    toggle.textContent = `🔁 ${describeRecurrence(todo.recurrence)}`;
+    toggle.style.cursor = 'pointer';
+    toggle.title = '繰り返しを編集';
+  } else {
+    toggle.className = 'add-recurrence-button';
+    toggle.type = 'button';
+    toggle.textContent = '🔁 繰り返しを設定';
+  }
+
+  const editor = document.createElement('div');
+  editor.className = 'recurrence-editor';
+  editor.style.display = 'none';
+
+  const picker = createRecurrencePicker(todo.recurrence);
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'button';
+  saveButton.className = 'recurrence-save-button';
+  saveButton.textContent = '保存';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'recurrence-cancel-button';
+  cancelButton.textContent = 'キャンセル';
+
+  toggle.addEventListener('click', () => {
+    toggle.style.display = 'none';
+    editor.style.display = 'flex';
+  });
+
+  saveButton.addEventListener('click', () => {
+    const { rule, error } = picker.getValue();
+    if (error) {
+      showNotification(error);
+      return;
     }
+    updateTodoRecurrence(todo.id, rule);
+    renderTodos();
+    showNotification(rule ? `繰り返しを「${describeRecurrence(rule)}」に設定しました` : '繰り返しを解除しました', UNDO_ACTION);
   });
+
+  cancelButton.addEventListener('click', () => {
+    picker.setValue(todo.recurrence);
+    editor.style.display = 'none';
+    toggle.style.display = '';
+  });
+
+  const editorButtons = document.createElement('div');
+  editorButtons.className = 'recurrence-editor-buttons';
+  editorButtons.appendChild(saveButton);
+  editorButtons.appendChild(cancelButton);
+
+  editor.appendChild(picker.element);
+  editor.appendChild(editorButtons);
+
+  container.appendChild(toggle);
+  container.appendChild(editor);
+
+  return container;
+}
+
+/**
+ * 【追加機能18】期日の時刻とリマインダーの表示・編集エリアを作成
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} リマインダー設定エリア
+ */
+function createReminderEditor(todo) {
+  const container = document.createElement('div');
+  container.className = 'reminder-container';
+
+  const toggle = document.createElement('button');
+  toggle.type = 'button';
+  if (todo.reminders.length > 0) {
+    toggle.className = 'reminder-badge';
+    toggle.textContent = `⏰ ${todo.reminders.map(describeReminder).join('・')}`;
+    toggle.title = '時刻・リマインダーを編集';
+  } else {
+    toggle.className = 'add-reminder-button';
+    toggle.textContent = todo.dueTime ? '⏰ 通知を設定' : '⏰ 時刻・通知を設定';
+  }
+
+  const editor = document.createElement('div');
+  editor.className = 'reminder-editor';
+  editor.style.display = 'none';
+
+  const timeLabel = document.createElement('label');
+  timeLabel.className = 'reminder-time-label';
+  timeLabel.textContent = '時刻 ';
+  const timeInput = document.createElement('input');
+  timeInput.type = 'time';
+  timeInput.className = 'due-date-edit-input';
+  timeInput.value = todo.dueTime || '';
+  timeLabel.appendChild(timeInput);
+
+  const presets = document.createElement('div');
+  presets.className = 'reminder-presets';
+  const checkboxes = REMINDER_PRESETS.map(minutes => {
+    const label = document.createElement('label');
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(minutes);
+    checkbox.checked = todo.reminders.includes(minutes);
+    label.appendChild(checkbox);
+    label.appendChild(document.createTextNode(describeReminder(minutes)));
+    presets.appendChild(label);
+    return checkbox;
+  });
+
+  const saveButton = document.createElement('button');
+  saveButton.type = 'button';
+  saveButton.className = 'recurrence-save-button';
+  saveButton.textContent = '保存';
+
+  const cancelButton = document.createElement('button');
+  cancelButton.type = 'button';
+  cancelButton.className = 'recurrence-cancel-button';
+  cancelButton.textContent = 'キャンセル';
+
+  toggle.addEventListener('click', () => {
+    toggle.style.display = 'none';
+    editor.style.display = 'flex';
+    timeInput.focus();
+  });
+
+  saveButton.addEventListener('click', () => {
+    // 一覧にない分数のリマインダー（インポートしたものなど）は残す
+    const custom = todo.reminders.filter(minutes => !REMINDER_PRESETS.includes(minutes));
+    const checked = checkboxes.filter(checkbox => checkbox.checked).map(checkbox => Number(checkbox.value));
+    updateTodoReminders(todo.id, timeInput.value || null, [...custom, ...checked]);
+    renderTodos();
+    showNotification('時刻・リマインダーを更新しました', UNDO_ACTION);
+  });
+
+  cancelButton.addEventListener('click', () => {
+    timeInput.value = todo.dueTime || '';
+    checkboxes.forEach(checkbox => {
+      checkbox.checked = todo.reminders.includes(Number(checkbox.value));
+    });
+    editor.style.display = 'none';
+    toggle.style.display = '';
+  });
+
+  const editorButtons = document.createElement('div');
+  editorButtons.className = 'recurrence-editor-buttons';
+  editorButtons.appendChild(saveButton);
+  editorButtons.appendChild(cancelButton);
+
+  editor.appendChild(timeLabel);
+  editor.appendChild(presets);
+  editor.appendChild(editorButtons);
+
+  container.appendChild(toggle);
+  container.appendChild(editor);
+
+  return container;
+}
+
+/**
+ * 【追加機能10】繰り返しピッカーを作成
+ * 「なし／毎日／毎週（曜日）／毎月（日付）／N日ごと／RRULE」から選択する
+ * @param {Object|null} initialRule - 初期表示するルール
+ * @param {string} [selectId] - 種類のセレクトボックスに付けるID（labelとの関連付け用）
+ * @returns {Object} { element, getValue: () => ({ rule, error }), setValue: (rule) => void }
+ */
+function createRecurrencePicker(initialRule, selectId) {
+  const element = document.createElement('div');
+  element.className = 'recurrence-picker';
+
+  const typeSelect = document.createElement('select');
+  typeSelect.className = 'recurrence-type-select';
+  if (selectId) typeSelect.id = selectId;
+  typeSelect.innerHTML = `
+    <option value="none">繰り返さない</option>
+    <option value="daily">毎日</option>
+    <option value="weekly">毎週（曜日を選択）</option>
+    <option value="monthly">毎月（日付を指定）</option>
+    <option value="interval">N日ごと</option>
+    <option value="rrule">RRULEで指定</option>
+  `;
+
+  // 毎週：曜日のチェックボックス
+  const weekdayGroup = document.createElement('div');
+  weekdayGroup.className = 'recurrence-weekdays';
+  const weekdayInputs = WEEKDAY_LABELS.map((label, day) => {
+    const weekdayLabel = document.createElement('label');
+    weekdayLabel.className = 'recurrence-weekday';
+    const checkbox = document.createElement('input');
+    checkbox.type = 'checkbox';
+    checkbox.value = String(day);
+    weekdayLabel.appendChild(checkbox);
+    weekdayLabel.appendChild(document.createTextNode(label));
+    weekdayGroup.appendChild(weekdayLabel);
+    return checkbox;
+  });
+
+  // 毎月：日付
+  const monthDayInput = document.createElement('input');
+  monthDayInput.type = 'number';
+  monthDayInput.min = '1';
+  monthDayInput.max = '31';
+  monthDayInput.className = 'recurrence-number-input';
+  monthDayInput.setAttribute('aria-label', '毎月の日付');
+  const monthDayGroup = createSuffixedField(monthDayInput, '日');
+
+  // N日ごと：日数
+  const intervalInput = document.createElement('input');
+  intervalInput.type = 'number';
+  intervalInput.min = '1';
+  intervalInput.className = 'recurrence-number-input';
+  intervalInput.setAttribute('aria-label', '繰り返す間隔（日数）');
+  const intervalGroup = createSuffixedField(intervalInput, '日ごと');
+
+  // RRULE：テキスト
+  const rruleInput = document.createElement('input');
+  rruleInput.type = 'text';
+  rruleInput.className = 'recurrence-rrule-input';
+  rruleInput.placeholder = '例：FREQ=WEEKLY;BYDAY=MO,FR';
+  rruleInput.setAttribute('aria-label', 'RRULE');
+
+  const details = {
+    weekly: weekdayGroup,
+    monthly: monthDayGroup,
+    interval: intervalGroup,
+    rrule: rruleInput
+  };
+
+  // 選択された種類に必要な入力欄だけを表示
+  const updateVisibility = () => {
+    Object.entries(details).forEach(([type, detail]) => {
+      detail.style.display = typeSelect.value === type ? '' : 'none';
+    });
+  };
+
+  const setValue = (rule) => {
+    const today = new Date();
+    weekdayInputs.forEach(input => {
+      input.checked = rule && rule.frequency === 'weekly'
+        ? rule.weekdays.includes(Number(input.value))
+        : Number(input.value) === today.getDay();
+    });
+    monthDayInput.value = rule && rule.frequency === 'monthly' ? rule.monthDay : today.getDate();
+    intervalInput.value = rule && rule.frequency === 'daily' ? rule.interval : 2;
+    rruleInput.value = rule ? formatRRule(rule) : '';
+
+    if (!rule) {
+      typeSelect.value = 'none';
+    } else if (rule.interval > 1 && rule.frequency !== 'daily') {
+      // 「2週ごと」などは選択肢にないためRRULEとして表示
+      typeSelect.value = 'rrule';
+    } else if (rule.frequency === 'daily') {
+      typeSelect.value = rule.interval > 1 ? 'interval' : 'daily';
+    } else {
+      typeSelect.value = rule.frequency;
+    }
+    updateVisibility();
+  };
+
+  const getValue = () => {
+    switch (typeSelect.value) {
+      case 'daily':
+        return { rule: { frequency: 'daily', interval: 1 } };
+      case 'weekly': {
+        const weekdays = weekdayInputs.filter(input => input.checked).map(input => Number(input.value));
+        if (weekdays.length === 0) return { error: '繰り返す曜日を選択してください' };
+        return { rule: { frequency: 'weekly', interval: 1, weekdays } };
+      }
+      case 'monthly': {
+        const monthDay = Number(monthDayInput.value);
+        if (!Number.isInteger(monthDay) || monthDay < 1 || monthDay > 31) {
+          return { error: '日付は1〜31で入力してください' };
+        }
+        return { rule: { frequency: 'monthly', interval: 1, monthDay } };
+      }
+      case 'interval': {
+        const interval = Number(intervalInput.value);
+        if (!Number.isInteger(interval) || interval < 1) {
+          return { error: '日数は1以上の整数で入力してください' };
+        }
+        return { rule: { frequency: 'daily', interval } };
+      }
+      case 'rrule': {
+        const rule = parseRRule(rruleInput.value);
+        if (!rule) return { error: 'RRULEの形式が正しくないか、対応していない指定が含まれています' };
+        return { rule };
+      }
+      default:
+        return { rule: null };
+    }
+  };
+
+  typeSelect.addEventListener('change', updateVisibility);
+
+  element.appendChild(typeSelect);
+  Object.values(details).forEach(detail => element.appendChild(detail));
+  setValue(initialRule);
+
+  return { element, getValue, setValue };
+}
+
+/**
+ * 【追加機能10】入力欄の後ろに単位を付けたグループを作成
+ * @param {HTMLElement} input - 入力欄
+ * @param {string} suffix - 単位（「日」など）
+ * @returns {HTMLElement} グループ要素
+ */
+function createSuffixedField(input, suffix) {
+  const group = document.createElement('span');
+  group.className = 'recurrence-field';
+  group.appendChild(input);
+  group.appendChild(document.createTextNode(suffix));
+  return group;
+}
+
+/**
+ * 【追加機能2】アーカイブされたTodo要素を作成
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} Todo要素
+ */
+function createArchivedTodoElement(todo) {
+  const todoItem = document.createElement('div');
+  todoItem.className = `todo-item archived-item status-${todo.status}`;
+  todoItem.dataset.id = todo.id;
+
+  // Todoの内容エリア
+  const todoContent = document.createElement('div');
+  todoContent.className = 'todo-content';
+
+  // Todoのテキスト
+  const todoText = document.createElement('span');
+  todoText.className = 'todo-text';
+  todoText.textContent = todo.text;
+
+  // ステータスバッジ
+  const statusBadge = document.createElement('span');
+  statusBadge.className = `status-badge status-${todo.status}`;
+  statusBadge.textContent = STATUS_LABELS[todo.status];
+
+  todoContent.appendChild(todoText);
+
+  // 【追加機能16】優先度表示（アーカイブでは読み取り専用）
+  const priorityBadge = document.createElement('span');
+  priorityBadge.className = `priority-badge priority-${todo.priority}`;
+  priorityBadge.textContent = `優先度：${PRIORITY_LABELS[todo.priority]}`;
+  todoContent.appendChild(priorityBadge);
+
+  // 【追加機能15】タグ表示（アーカイブでは読み取り専用）
+  if (todo.tags.length > 0) {
+    todoContent.appendChild(createTagList(todo, false));
+  }
+
+  // 【追加機能4】期日表示（アーカイブでは読み取り専用）
+  if (todo.dueDate) {
+    const dueDateBadge = document.createElement('span');
+    const urgency = getDueDateUrgency(todo.dueDate);
+    dueDateBadge.className = `due-date-badge ${urgency ? `urgency-${urgency}` : ''}`;
+    dueDateBadge.textContent = `📅 ${formatDueLabel(todo)}`;
+    todoContent.appendChild(dueDateBadge);
+  }
+
+  // 【追加機能10】繰り返し表示（アーカイブでは読み取り専用）
+  if (todo.recurrence) {
+    const recurrenceBadge = document.createElement('span');
+    recurrenceBadge.className = 'recurrence-badge';
+    recurrenceBadge.textContent = `🔁 ${describeRecurrence(todo.recurrence)}`;
+    todoContent.appendChild(recurrenceBadge);
+  }
+
+  // 【追加機能11】サブタスクの進捗（アーカイブ中は表示のみ）
+  if (todo.subtasks.length > 0) {
+    const checklistBadge = document.createElement('span');
+    checklistBadge.className = 'recurrence-badge';
+    checklistBadge.textContent = `☑ ${todo.subtasks.filter(subtask => subtask.done).length}/${todo.subtasks.length}`;
+    todoContent.appendChild(checklistBadge);
+  }
+
+  // 【追加機能24】このTodoの変更履歴
+  todoContent.appendChild(createHistoryDetails(todo));
+
+  // 【追加機能23】自動削除の予定日（復元すると取り消される）
+  if (todo.purgeAt) {
+    const purgeBadge = document.createElement('span');
+    purgeBadge.className = 'purge-badge';
+    purgeBadge.textContent = `🗑 ${formatDueDate(todo.purgeAt)}に完全に削除`;
+    purgeBadge.title = '自動整理で削除される予定です。復元すると削除されません';
+    todoContent.appendChild(purgeBadge);
+  }
+
+  todoContent.appendChild(statusBadge);
+
+  // コントロールエリア
+  const todoControls = document.createElement('div');
+  todoControls.className = 'todo-controls';
+
+  // 【追加機能22】一括操作の選択
+  todoItem.prepend(createSelectCheckbox(todo, todoItem));
+
+  // 復元ボタン
+  const restoreButton = document.createElement('button');
+  restoreButton.className = 'restore-button';
+  restoreButton.textContent = '復元';
+  restoreButton.setAttribute('aria-label', `「${todo.text}」を復元`);
+  restoreButton.addEventListener('click', () => {
+    unarchiveTodo(todo.id);
+    renderTodos();
+    showNotification('Todoを復元しました', UNDO_ACTION);
+  });
+
+  // 削除ボタン
+  const deleteButton = document.createElement('button');
+  deleteButton.className = 'delete-button';
+  deleteButton.textContent = '削除';
+  deleteButton.setAttribute('aria-label', `「${todo.text}」を完全に削除`);
+  deleteButton.addEventListener('click', async () => {
+    if (await showConfirmDialog(`「${todo.text}」を完全に削除しますか？`, '削除')) {
+      deleteTodo(todo.id);
+      renderTodos();
+      showNotification('Todoを削除しました', UNDO_ACTION);
+    }
+  });
+
+  todoControls.appendChild(restoreButton);
+  todoControls.appendChild(deleteButton);
+
+  todoItem.appendChild(todoContent);
+  todoItem.appendChild(todoControls);
+
+  return todoItem;
+}
+
+/**
+ * 【追加機能22】一括操作で選択するチェックボックスを作成
+ * Shift＋クリックで、前回クリックしたTodoからの範囲をまとめて選択（解除）する
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} todoItem - Todo要素（選択中の表示に使う）
+ * @returns {HTMLElement} チェックボックス
+ */
+function createSelectCheckbox(todo, todoItem) {
+  const checkbox = document.createElement('input');
+  checkbox.type = 'checkbox';
+  checkbox.className = 'todo-select-checkbox';
+  checkbox.dataset.id = todo.id;
+  checkbox.checked = selectedIds.has(todo.id);
+  checkbox.title = '選択（Shift＋クリックで範囲選択）';
+  checkbox.setAttribute('aria-label', `「${todo.text}」を選択`);
+  todoItem.classList.toggle('selected', checkbox.checked);
+
+  checkbox.addEventListener('click', (e) => {
+    const rangeStart = selectableIds.indexOf(lastSelectedId);
+    const rangeEnd = selectableIds.indexOf(todo.id);
+    const ids = e.shiftKey && rangeStart !== -1 && rangeEnd !== -1
+      ? selectableIds.slice(Math.min(rangeStart, rangeEnd), Math.max(rangeStart, rangeEnd) + 1)
+      : [todo.id];
+
+    ids.forEach(id => {
+      if (checkbox.checked) {
+        selectedIds.add(id);
+      } else {
+        selectedIds.delete(id);
+      }
+    });
+    lastSelectedId = todo.id;
+    syncSelection();
+  });
+
+  return checkbox;
+}
+
+/**
+ * 【追加機能22】選択状態をチェックボックス・Todo要素・一括操作バーに反映する
+ * （再描画しないため、フォーカスやスクロール位置を保てる）
+ */
+function syncSelection() {
+  document.querySelectorAll('.todo-select-checkbox').forEach(checkbox => {
+    checkbox.checked = selectedIds.has(Number(checkbox.dataset.id));
+    checkbox.closest('.todo-item').classList.toggle('selected', checkbox.checked);
+  });
+  renderBulkActions();
+}
+
+/**
+ * 【追加機能22】一括操作バーを更新
+ * 選択中のTodoに対して使えない操作（アーカイブ済みのステータス変更など）は無効にする
+ */
+function renderBulkActions() {
+  const bar = document.getElementById('bulk-actions');
+  const selected = getTodos().filter(todo => selectedIds.has(todo.id));
+  const activeCount = selected.filter(todo => !todo.archived).length;
+  const archivedCount = selected.length - activeCount;
+
+  bar.hidden = selected.length === 0;
+  document.getElementById('bulk-count').textContent = archivedCount > 0
+    ? `${selected.length}件を選択中（アーカイブ済み${archivedCount}件）`
+    : `${selected.length}件を選択中`;
+
+  ['bulk-status', 'bulk-duedate', 'bulk-set-duedate', 'bulk-clear-duedate', 'bulk-archive'].forEach(id => {
+    document.getElementById(id).disabled = activeCount === 0;
+  });
+  document.getElementById('bulk-restore').disabled = archivedCount === 0;
+}
+
+/**
+ * 【追加機能22】一括操作バーと「完了をすべてアーカイブ」を初期化
+ * 一括操作はまとめて1回で保存され、1回の「元に戻す」で全て取り消せる
+ */
+export function initBulkActions() {
+  const statusSelect = document.getElementById('bulk-status');
+  const dueDateInput = document.getElementById('bulk-duedate');
+
+  // 操作後に再描画し、件数を添えて通知する
+  const finish = (count, message, clearSelection) => {
+    if (clearSelection) {
+      selectedIds.clear();
+    }
+    renderTodos();
+    if (count > 0) {
+      showNotification(message, UNDO_ACTION);
+    } else {
+      showNotification('変更するTodoはありませんでした');
+    }
+  };
+
+  // 「表示中」には、閉じているアーカイブ欄のTodoは含めない
+  document.getElementById('bulk-select-all').addEventListener('click', () => {
+    document.querySelectorAll('.todo-select-checkbox').forEach(checkbox => {
+      if (checkbox.offsetParent !== null) {
+        selectedIds.add(Number(checkbox.dataset.id));
+      }
+    });
+    syncSelection();
+  });
+
+  statusSelect.addEventListener('change', () => {
+    const status = statusSelect.value;
+    statusSelect.value = '';
+    if (!status) return;
+
+    const count = updateTodosStatus([...selectedIds], status);
+    finish(count, `${count}件のステータスを「${STATUS_LABELS[status]}」に変更しました`, false);
+  });
+
+  document.getElementById('bulk-set-duedate').addEventListener('click', () => {
+    if (!dueDateInput.value) {
+      showNotification('設定する期日を選んでください');
+      dueDateInput.focus();
+      return;
+    }
+
+    const count = updateTodosDueDate([...selectedIds], dueDateInput.value);
+    finish(count, `${count}件の期日を${formatDueDate(dueDateInput.value)}に設定しました`, false);
+  });
+
+  document.getElementById('bulk-clear-duedate').addEventListener('click', () => {
+    const count = updateTodosDueDate([...selectedIds], null);
+    finish(count, `${count}件の期日を削除しました`, false);
+  });
+
+  document.getElementById('bulk-archive').addEventListener('click', () => {
+    const count = archiveTodos([...selectedIds]);
+    finish(count, `${count}件をアーカイブしました`, true);
+  });
+
+  document.getElementById('bulk-restore').addEventListener('click', () => {
+    const count = unarchiveTodos([...selectedIds]);
+    finish(count, `${count}件をアーカイブから復元しました`, true);
+  });
+
+  document.getElementById('bulk-delete').addEventListener('click', async () => {
+    if (!(await showConfirmDialog(`選択した${selectedIds.size}件のTodoを削除しますか？`, '削除'))) return;
+
+    const count = deleteTodos([...selectedIds]);
+    finish(count, `${count}件を削除しました`, true);
+  });
+
+  document.getElementById('bulk-clear').addEventListener('click', () => {
+    selectedIds.clear();
+    syncSelection();
+  });
+
+  document.getElementById('archive-done').addEventListener('click', () => {
+    const count = archiveDoneTodos();
+    renderTodos();
+    if (count > 0) {
+      showNotification(`完了したTodo ${count}件をアーカイブしました`, UNDO_ACTION);
+    } else {
+      showNotification('アーカイブする完了したTodoはありません');
+    }
+  });
+}
+
+/**
+ * 操作完了の通知を表示
+ * 【改善】視覚的なフィードバックでUXを向上
+ * 【追加機能5】「元に戻す」などのアクションボタンを添えられる
+ * 【追加機能29】スクリーンリーダーでも読み上げ、マウスやフォーカスが通知にある間は閉じない
+ * @param {string} message - 表示するメッセージ
+ * @param {Object} [action] - 通知内に表示するアクション（{ label, onClick }）
+ * @param {number} [duration] - 【追加機能18】表示する時間（ミリ秒、省略時は2秒、アクション付きは5秒）
+ */
+function showNotification(message, action, duration) {
+  const notification = document.createElement('div');
+  notification.className = 'notification';
+
+  const messageText = document.createElement('span');
+  messageText.className = 'notification-message';
+  messageText.textContent = message;
+  notification.appendChild(messageText);
+
+  // 通知は表示される時間が短いため、読み上げには常にページにあるライブリージョンを使う
+  announce(action === UNDO_ACTION ? `${message}（Ctrl+Zで元に戻せます）` : message);
+
+  const hide = () => {
+    notification.classList.add('hide');
+    setTimeout(() => notification.remove(), getAnimationDuration());
+  };
+
+  if (action) {
+    const actionButton = document.createElement('button');
+    actionButton.type = 'button';
+    actionButton.className = 'notification-action';
+    actionButton.textContent = action.label;
+    actionButton.addEventListener('click', () => {
+      clearTimeout(hideTimer);
+      notification.remove();
+      action.onClick();
+    });
+    notification.appendChild(actionButton);
+  }
+
+  document.body.appendChild(notification);
+
+  // 2秒後（アクション付きは操作できるよう5秒後）に非表示アニメーション開始、その後DOM から削除
+  const delay = duration || (action ? 5000 : 2000);
+  let hideTimer = setTimeout(hide, delay);
+
+  // 【追加機能29】読んでいる間・ボタンを操作している間は閉じない（離れたら改めて待つ）
+  const pause = () => clearTimeout(hideTimer);
+  const resume = () => {
+    if (notification.matches(':hover') || notification.contains(document.activeElement)) return;
+    clearTimeout(hideTimer);
+    hideTimer = setTimeout(hide, delay);
+  };
+  notification.addEventListener('mouseenter', pause);
+  notification.addEventListener('focusin', pause);
+  notification.addEventListener('mouseleave', resume);
+  notification.addEventListener('focusout', () => setTimeout(resume));
+}
+
+/**
+ * 【追加機能29】メッセージをスクリーンリーダーで読み上げる（画面には表示しない）
+ * 同じメッセージが続いても読み上げられるよう、一度空にしてから設定する
+ * @param {string} message - 読み上げるメッセージ
+ */
+function announce(message) {
+  const region = document.getElementById('live-region');
+  region.textContent = '';
+  setTimeout(() => {
+    region.textContent = message;
+  }, 50);
+}
+
+/**
+ * 【追加機能29】アニメーションの時間を取得（視差効果を減らす設定のときはアニメーションしない）
+ * @returns {number} ミリ秒
+ */
+function getAnimationDuration() {
+  return window.matchMedia('(prefers-reduced-motion: reduce)').matches ? 0 : ANIMATION_DURATION;
+}
+
+/**
+ * 【追加機能29】確認ダイアログを表示（confirm()の代わり）
+ * モーダルのためフォーカスはダイアログ内に留まり、閉じると元の場所に戻る。
+ * 誤って実行しないよう、最初は「キャンセル」にフォーカスする（Escでもキャンセル）
+ * @param {string} message - 確認するメッセージ
+ * @param {string} [confirmLabel] - 実行するボタンの表示
+ * @returns {Promise<boolean>} 実行する場合はtrue
+ */
+function showConfirmDialog(message, confirmLabel = 'OK') {
+  const dialog = document.getElementById('confirm-dialog');
+  if (dialog.open) return Promise.resolve(false);
+
+  document.getElementById('confirm-dialog-message').textContent = message;
+  document.getElementById('confirm-dialog-ok').textContent = confirmLabel;
+  dialog.returnValue = '';
+  dialog.showModal();
+  document.getElementById('confirm-dialog-cancel').focus();
+
+  return new Promise(resolve => {
+    dialog.addEventListener('close', () => resolve(dialog.returnValue === 'confirm'), { once: true });
+  });
+}
+
+/**
+ * 【追加機能5】直前の操作を元に戻して再描画
+ */
+function handleUndo() {
+  const label = undo();
+  if (!label) {
+    showNotification('元に戻せる操作はありません');
+    return;
+  }
+
+  renderTodos();
+  showNotification(`${label}を元に戻しました`, { label: 'やり直す', onClick: handleRedo });
+}
+
+/**
+ * 【追加機能5】元に戻した操作をやり直して再描画
+ */
+function handleRedo() {
+  const label = redo();
+  if (!label) {
+    showNotification('やり直せる操作はありません');
+    return;
+  }
+
+  renderTodos();
+  showNotification(`${label}をやり直しました`, UNDO_ACTION);
+}
+
+/**
+ * 【追加機能5】元に戻す／やり直しのキーボードショートカットを初期化
+ * Ctrl+Z（Macは⌘+Z）で元に戻す、Ctrl+Shift+Z / Ctrl+Y でやり直し
+ * 入力欄の編集中はブラウザ標準のテキスト取り消しを優先する
+ */
+export function initHistoryShortcuts() {
+  document.addEventListener('keydown', (e) => {
+    if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+    // 文字の入力欄では、ブラウザの入力の取り消しを優先する
+    // （ステータスの選択やチェックボックスにフォーカスがあるときは、操作の取り消しとして扱う）
+    if (isTextEntryElement(e.target)) {
+      return;
+    }
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      handleUndo();
+    } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+      e.preventDefault();
+      handleRedo();
+    }
+  });
+}
+
+/**
+ * 【追加機能5】文字を入力する部品（テキスト系のinput・textarea・編集可能な要素）か
+ * @param {EventTarget} element - 判定する要素
+ * @returns {boolean}
+ */
+function isTextEntryElement(element) {
+  if (!(element instanceof HTMLElement)) return false;
+  if (element.isContentEditable || element.tagName === 'TEXTAREA') return true;
+  return element.tagName === 'INPUT' && !NON_TEXT_INPUT_TYPES.includes(element.type);
+}
+
+/**
+ * 【追加機能28】キーボードショートカットとコマンドパレットを初期化
+ * 入力欄での入力中は、Ctrl+K以外のショートカットは無効になる
+ */
+export function initKeyboardShortcuts() {
+  const palette = document.getElementById('command-palette');
+  const queryInput = document.getElementById('command-query');
+  const help = document.getElementById('shortcut-help');
+
+  document.addEventListener('keydown', (e) => {
+    const key = getShortcutKey(e);
+    if (!key) return;
+
+    if (key === 'Mod+k') {
+      e.preventDefault();
+      // 【追加機能29】確認ダイアログの回答中は開かない
+      if (!palette.open && !document.getElementById('confirm-dialog').open) openCommandPalette();
+      return;
+    }
+    // Ctrl+Z などはinitHistoryShortcuts()で処理する
+    if (key.startsWith('Mod+') || document.querySelector('dialog[open]')) return;
+    if (e.target.closest && e.target.closest('input, textarea, select, [contenteditable="true"]')) return;
+
+    const command = getCommands().find(item => item.key === key);
+    if (!command) return;
+    e.preventDefault();
+    runCommand(command);
+  });
+
+  // マウスやTabキーでTodoの中を操作したら、そのTodoを選択する
+  document.addEventListener('focusin', (e) => {
+    const item = e.target.closest && e.target.closest(KEYBOARD_ITEM_SELECTOR);
+    if (item) markKeyboardCursor(item);
+  });
+
+  // コマンドパレット：↑／↓で選び、Enterで実行（Escで閉じる）
+  queryInput.addEventListener('input', () => renderCommandList(0));
+  queryInput.addEventListener('keydown', (e) => {
+    const options = [...document.querySelectorAll('#command-list [role="option"]')];
+    const current = options.findIndex(option => option.getAttribute('aria-selected') === 'true');
+    if (e.key === 'ArrowDown' || e.key === 'ArrowUp') {
+      e.preventDefault();
+      const step = e.key === 'ArrowDown' ? 1 : -1;
+      renderCommandList((current + step + options.length) % Math.max(options.length, 1));
+    } else if (e.key === 'Enter' && !e.isComposing && options[current]) {
+      e.preventDefault();
+      options[current].click();
+    }
+  });
+  palette.addEventListener('click', (e) => {
+    // 枠の外（背景）をクリックしたら閉じる
+    if (e.target === palette) palette.close();
+  });
+  help.addEventListener('click', (e) => {
+    if (e.target === help) help.close();
+  });
+
+  document.getElementById('open-shortcut-help').addEventListener('click', openShortcutHelp);
+}
+
+/**
+ * 【追加機能28】全てのコマンドを取得（コマンドパレット・ショートカット・一覧で共通）
+ * @returns {Array} [{ group, label, key: ショートカットのキー（任意）, keywords, needsTodo: 選択中のTodoが必要か, run }]
+ */
+function getCommands() {
+  const click = id => () => document.getElementById(id).click();
+  const focusInput = id => () => {
+    const input = document.getElementById(id);
+    input.scrollIntoView({ block: 'center' });
+    input.focus();
+  };
+  const statusCommand = (status, key) => ({
+    group: 'Todo',
+    label: `${STATUS_LABELS[status]}にする`,
+    key,
+    keywords: ['ステータス', status],
+    needsTodo: true,
+    run: (todo, element) => {
+      if (todo.status !== status) changeTodoStatus(todo, element, status);
+    }
+  });
+
+  return [
+    { group: '移動', label: '次のTodoを選択', key: 'j', keywords: ['下'], run: () => moveKeyboardCursor(1) },
+    { group: '移動', label: '前のTodoを選択', key: 'k', keywords: ['上'], run: () => moveKeyboardCursor(-1) },
+    { group: '移動', label: '選択を解除', key: 'Escape', run: clearKeyboardCursor },
+    statusCommand('todo', '1'),
+    statusCommand('doing', '2'),
+    statusCommand('done', '3'),
+    { group: 'Todo', label: '内容を編集', key: 'e', keywords: ['edit', '名前'], needsTodo: true, run: editCursorTodo },
+    { group: 'Todo', label: '期日を設定', key: 'd', keywords: ['due', '日付'], needsTodo: true, run: editCursorDueDate },
+    { group: 'Todo', label: 'アーカイブ', key: 'a', keywords: ['archive'], needsTodo: true, run: archiveCursorTodo },
+    { group: 'Todo', label: '削除', key: 'Delete', keywords: ['delete'], needsTodo: true, run: deleteCursorTodo },
+    { group: 'Todo', label: '新しいTodo', key: 'n', keywords: ['追加', 'new'], run: focusInput('todo-input') },
+    { group: 'Todo', label: '検索', key: '/', keywords: ['絞り込み', 'search'], run: focusInput('filter-query') },
+    { group: '編集', label: '元に戻す', key: 'Mod+z', keywords: ['undo'], run: handleUndo },
+    { group: '編集', label: 'やり直し', key: 'Mod+y', keywords: ['redo'], run: handleRedo },
+    { group: '編集', label: '表示中を全て選択', keywords: ['一括'], run: click('bulk-select-all') },
+    { group: '編集', label: '完了をすべてアーカイブ', run: click('archive-done') },
+    ...[...document.querySelectorAll('.view-toggle-button')].map(button => ({
+      group: '表示',
+      label: `${button.textContent.trim()}表示`,
+      keywords: ['view', button.dataset.view],
+      run: () => button.click()
+    })),
+    ...[{ id: null, name: 'すべてのリスト' }, ...getLists()].map(list => ({
+      group: 'リスト',
+      label: list.id === null ? list.name : `リスト「${list.name}」を表示`,
+      keywords: ['切り替え'],
+      run: () => {
+        setSetting('activeListId', list.id);
+        renderTodos();
+      }
+    })),
+    { group: '表示', label: 'アーカイブを表示/非表示', run: click('toggle-archive') },
+    { group: '表示', label: '統計を表示/非表示', keywords: ['ダッシュボード'], run: click('toggle-stats') },
+    { group: '表示', label: 'アクティビティを表示/非表示', keywords: ['履歴'], run: click('toggle-activity') },
+    { group: 'データ', label: 'JSONで書き出し', keywords: ['export'], run: click('export-json') },
+    { group: 'データ', label: 'CSVで書き出し', keywords: ['export'], run: click('export-csv') },
+    { group: 'データ', label: 'サーバーと今すぐ同期', keywords: ['sync'], run: click('remote-sync-now') },
+    { group: 'ヘルプ', label: 'コマンドパレット', key: 'Mod+k', run: openCommandPalette },
+    { group: 'ヘルプ', label: 'キーボードショートカットの一覧', key: '?', keywords: ['help'], run: openShortcutHelp }
+  ];
+}
+
+/**
+ * 【追加機能28】コマンドを実行（選択中のTodoが必要なものは、そのTodoと要素を渡す）
+ * @param {Object} command - getCommands()のコマンド
+ */
+function runCommand(command) {
+  if (!command.needsTodo) {
+    command.run();
+    return;
+  }
+
+  const element = getKeyboardCursorElement();
+  const todo = element && getTodos().find(t => t.id === keyboardCursorId);
+  if (!todo) {
+    showNotification('J／KキーでTodoを選択してください');
+    return;
+  }
+  command.run(todo, element);
+}
+
+/**
+ * 【追加機能28】コマンドパレットを開く
+ */
+function openCommandPalette() {
+  const palette = document.getElementById('command-palette');
+  const queryInput = document.getElementById('command-query');
+  document.getElementById('shortcut-help').close();
+
+  queryInput.value = '';
+  renderCommandList(0);
+  palette.showModal();
+  queryInput.focus();
+}
+
+/**
+ * 【追加機能28】コマンドパレットの候補を描画
+ * @param {number} activeIndex - 選んでいる候補の位置
+ */
+function renderCommandList(activeIndex) {
+  const palette = document.getElementById('command-palette');
+  const queryInput = document.getElementById('command-query');
+  const list = document.getElementById('command-list');
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+  const commands = searchCommands(getCommands(), queryInput.value);
+
+  list.innerHTML = '';
+  commands.forEach((command, index) => {
+    const option = document.createElement('li');
+    option.id = `command-option-${index}`;
+    option.className = 'command-option';
+    option.setAttribute('role', 'option');
+    option.setAttribute('aria-selected', String(index === activeIndex));
+
+    const label = document.createElement('span');
+    label.className = 'command-label';
+    label.textContent = command.label;
+    const group = document.createElement('span');
+    group.className = 'command-group';
+    group.textContent = command.group;
+    option.append(group, label);
+
+    if (command.key) {
+      const kbd = document.createElement('kbd');
+      kbd.textContent = formatShortcut(command.key, isMac);
+      option.appendChild(kbd);
+    }
+
+    option.addEventListener('click', () => {
+      palette.close();
+      runCommand(command);
+    });
+    list.appendChild(option);
+  });
+
+  if (commands.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'command-empty';
+    empty.textContent = '一致するコマンドはありません';
+    list.appendChild(empty);
+  }
+
+  const active = document.getElementById(`command-option-${activeIndex}`);
+  if (active) {
+    queryInput.setAttribute('aria-activedescendant', active.id);
+    active.scrollIntoView({ block: 'nearest' });
+  } else {
+    queryInput.removeAttribute('aria-activedescendant');
+  }
+}
+
+/**
+ * 【追加機能28】キーボードショートカットの一覧を開く（getCommands()のキーから作る）
+ */
+function openShortcutHelp() {
+  const help = document.getElementById('shortcut-help');
+  const container = document.getElementById('shortcut-list');
+  const isMac = /Mac|iPhone|iPad/.test(navigator.platform);
+
+  container.innerHTML = '';
+  const groups = new Map();
+  getCommands().filter(command => command.key).forEach(command => {
+    if (!groups.has(command.group)) groups.set(command.group, []);
+    groups.get(command.group).push(command);
+  });
+  groups.forEach((commands, groupName) => {
+    const heading = document.createElement('h3');
+    heading.textContent = groupName;
+    const dl = document.createElement('dl');
+    commands.forEach(command => {
+      const dt = document.createElement('dt');
+      const kbd = document.createElement('kbd');
+      kbd.textContent = formatShortcut(command.key, isMac);
+      dt.appendChild(kbd);
+      const dd = document.createElement('dd');
+      dd.textContent = command.label;
+      dl.append(dt, dd);
+    });
+    container.append(heading, dl);
+  });
+
+  document.getElementById('command-palette').close();
+  if (!help.open) help.showModal();
+}
+
+/**
+ * 【追加機能28】キーボードで選択しているTodoの要素を取得
+ * @returns {HTMLElement|null}
+ */
+function getKeyboardCursorElement() {
+  if (keyboardCursorId === null) return null;
+  return [...document.querySelectorAll(KEYBOARD_ITEM_SELECTOR)]
+    .find(item => Number(item.dataset.id) === keyboardCursorId) || null;
+}
+
+/**
+ * 【追加機能28】選択するTodoを前後に移動する（未選択なら最初または最後のTodoを選択）
+ * @param {number} step - 1で次、-1で前
+ */
+function moveKeyboardCursor(step) {
+  const items = [...document.querySelectorAll(KEYBOARD_ITEM_SELECTOR)];
+  if (items.length === 0) return;
+
+  const index = items.findIndex(item => Number(item.dataset.id) === keyboardCursorId);
+  const nextIndex = index === -1
+    ? (step > 0 ? 0 : items.length - 1)
+    : Math.min(items.length - 1, Math.max(0, index + step));
+  const item = items[nextIndex];
+  markKeyboardCursor(item);
+  item.focus({ preventScroll: true });
+  item.scrollIntoView({ block: 'nearest' });
+}
+
+/**
+ * 【追加機能28】Todoの要素を選択中として表示する（フォーカスは移さない）
+ * @param {HTMLElement} item - Todoの要素
+ */
+function markKeyboardCursor(item) {
+  document.querySelectorAll('.keyboard-cursor').forEach(element => element.classList.remove('keyboard-cursor'));
+  item.classList.add('keyboard-cursor');
+  if (!item.hasAttribute('tabindex')) item.tabIndex = -1;
+  keyboardCursorId = Number(item.dataset.id);
+
+  // 一覧から消えたときのために、隣のTodoを覚えておく
+  const items = [...document.querySelectorAll(KEYBOARD_ITEM_SELECTOR)];
+  const index = items.indexOf(item);
+  const neighbor = items[index + 1] || items[index - 1];
+  keyboardCursorFallbackId = neighbor ? Number(neighbor.dataset.id) : null;
+}
+
+/**
+ * 【追加機能28】Todoの選択を解除する
+ */
+function clearKeyboardCursor() {
+  document.querySelectorAll('.keyboard-cursor').forEach(element => element.classList.remove('keyboard-cursor'));
+  keyboardCursorId = null;
+  keyboardCursorFallbackId = null;
+}
+
+/**
+ * 【追加機能28】一覧を描き直した後、選択していたTodo（なければ隣のTodo）を選択し直す
+ * 描き直しでフォーカスが失われた場合は、選択したTodoにフォーカスを戻す
+ */
+function restoreKeyboardCursor() {
+  if (keyboardCursorId === null) return;
+
+  let item = getKeyboardCursorElement();
+  if (!item && keyboardCursorFallbackId !== null) {
+    keyboardCursorId = keyboardCursorFallbackId;
+    item = getKeyboardCursorElement();
+  }
+  if (!item) {
+    clearKeyboardCursor();
+    return;
+  }
+
+  markKeyboardCursor(item);
+  if (document.activeElement === document.body || !document.activeElement) {
+    item.focus({ preventScroll: true });
+  }
+}
+
+/**
+ * 【追加機能28】選択中のTodoの内容を編集する（リスト・ボード表示）
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} element - Todoの要素
+ */
+function editCursorTodo(todo, element) {
+  const text = element.querySelector('.todo-text');
+  if (!text) {
+    showNotification('カレンダー表示では編集できません（リスト表示で編集してください）');
+    return;
+  }
+  text.click();
+}
+
+/**
+ * 【追加機能28】選択中のTodoの期日の入力欄を開く（リスト・ボード表示）
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} element - Todoの要素
+ */
+function editCursorDueDate(todo, element) {
+  const opener = element.querySelector('.due-date-badge, .add-due-date-button');
+  if (!opener) {
+    showNotification('カレンダー表示ではドラッグまたはAlt＋矢印キーで期日を変更できます');
+    return;
+  }
+  opener.click();
+  const input = element.querySelector('.due-date-edit-input');
+  try {
+    input.showPicker();
+  } catch {
+    // 日付の選択画面を開けないブラウザでは、入力欄にフォーカスするだけにする
+  }
+}
+
+/**
+ * 【追加機能28】選択中のTodoをアーカイブする
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} element - Todoの要素
+ */
+function archiveCursorTodo(todo, element) {
+  const button = element.querySelector('.archive-button');
+  if (button) {
+    button.click();
+    return;
+  }
+  archiveTodo(todo.id);
+  renderTodos();
+  showNotification('Todoをアーカイブしました', UNDO_ACTION);
+}
+
+/**
+ * 【追加機能28】選択中のTodoを削除する（確認あり）
+ * @param {Object} todo - Todoオブジェクト
+ * @param {HTMLElement} element - Todoの要素
+ */
+async function deleteCursorTodo(todo, element) {
+  const button = element.querySelector('.delete-button');
+  if (button) {
+    button.click();
+    return;
+  }
+  if (!(await showConfirmDialog(`「${todo.text}」を削除しますか？`, '削除'))) return;
+  deleteTodo(todo.id);
+  renderTodos();
+  showNotification('Todoを削除しました', UNDO_ACTION);
+}
+
+/**
+ * Todo追加フォームの初期化
+ * 【改善】Enterキー対応、バリデーション、自動フォーカス
+ * 【追加機能2】アーカイブトグルの初期化
+ * 【追加機能4】期日入力対応
+ */
+export function initAddTodoForm() {
+  const form = document.getElementById('add-todo-form');
+  const input = document.getElementById('todo-input');
+  const statusSelect = document.getElementById('todo-status');
+  const dueDateInput = document.getElementById('todo-duedate');
+  const tagInput = document.getElementById('todo-tags');
+  const prioritySelect = document.getElementById('todo-priority');
+  const dueTimeInput = document.getElementById('todo-duetime');
+  const reminderSelect = document.getElementById('todo-reminder');
+  const listSelect = document.getElementById('todo-list-select');
+
+  // 【追加機能18】選べるリマインダー
+  REMINDER_PRESETS.forEach(minutes => {
+    const option = document.createElement('option');
+    option.value = String(minutes);
+    option.textContent = describeReminder(minutes);
+    reminderSelect.appendChild(option);
+  });
+
+  // 【追加機能10】繰り返しピッカー
+  const recurrencePicker = createRecurrencePicker(null, 'todo-recurrence');
+  document.getElementById('todo-recurrence-picker').appendChild(recurrencePicker.element);
+
+  // 【追加機能17】入力欄から読み取った項目のプレビュー
+  const quickAddPreview = document.getElementById('quick-add-preview');
+  const quickAddParsing = document.getElementById('quick-add-parsing');
+  quickAddParsing.checked = getSetting('quickAddParsing');
+  quickAddParsing.addEventListener('change', () => {
+    setSetting('quickAddParsing', quickAddParsing.checked);
+    renderQuickAddPreview(quickAddPreview, input.value);
+  });
+  input.addEventListener('input', () => {
+    renderQuickAddPreview(quickAddPreview, input.value);
+  });
+
+  // フォーム送信処理（EnterキーとSubmitボタンで共通化）
+  const handleSubmit = (e) => {
+    e.preventDefault();
+
+    // 【追加機能17】入力欄から読み取った項目は、フォームの各欄より優先する
+    // 【追加機能15】タグは入力欄の#タグとタグ欄の両方を使う
+    const parsed = readQuickAddInput(input.value);
+    const text = parsed.text;
+    const tags = [...parsed.tags, ...parseTagInput(tagInput.value)];
+    const status = parsed.status || statusSelect.value;
+    const dueDate = parsed.dueDate || dueDateInput.value || null;
+    const priority = parsed.priority || prioritySelect.value;
+    // 【追加機能18】時刻とリマインダーは期日がある場合だけ使う
+    const dueTime = dueTimeInput.value || null;
+    const reminders = reminderSelect.value === '' ? [] : [Number(reminderSelect.value)];
+
+    // 入力値のバリデーション
+    if (!text) {
+      showNotification('Todoの内容を入力してください');
+      input.focus();
+      return;
+    }
+
+    const { rule: pickedRecurrence, error } = recurrencePicker.getValue();
+    if (error && !parsed.recurrence) {
+      showNotification(error);
+      return;
+    }
+    const recurrence = parsed.recurrence || pickedRecurrence;
+
+    // Todoを追加し、即座に保存
+    // 【追加機能21】追加先のリスト
+    const listId = Number(listSelect.value);
+    addTodo(text, status, dueDate, { recurrence, tags, priority, dueTime, reminders, listId });
+
+    // 成功通知
+    showNotification(`「${text}」を追加しました`, UNDO_ACTION);
+
+    // フォームをリセット
+    input.value = '';
+    statusSelect.value = 'todo';
+    dueDateInput.value = '';
+    dueTimeInput.value = '';
+    reminderSelect.value = '';
+    tagInput.value = '';
+    prioritySelect.value = 'medium';
+    listSelect.value = String(getActiveListId() ?? getLists()[0].id);
+    recurrencePicker.setValue(null);
+    renderQuickAddPreview(quickAddPreview, '');
+
+    // 一覧を即座に再描画
+    renderTodos();
+
+    // 【改善】入力欄に自動でフォーカスが戻る
+    input.focus();
+  };
+
+  // フォーム送信イベント
+  form.addEventListener('submit', handleSubmit);
+
+  // 【改善】Enterキー単独で追加可能にする
+  // 【追加機能17】日本語入力の変換を確定するEnterでは追加しない
+  input.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey && !e.isComposing) {
+      e.preventDefault();
+      handleSubmit(e);
+    }
+  });
+
+  // 【追加機能26】アプリのショートカット「新しいTodo」（?action=new-todo）から開いた場合は入力欄にフォーカスする
+  // 再読み込みで繰り返さないよう、URLからは取り除く
+  const params = new URLSearchParams(window.location.search);
+  if (params.get('action') === 'new-todo') {
+    params.delete('action');
+    const queryString = params.toString();
+    window.history.replaceState(null, '', `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`);
+    input.focus();
+  }
+
+  // 【追加機能11】サブタスクによるステータス自動変更の設定
+  const subtaskAutoStatus = document.getElementById('subtask-auto-status');
+  subtaskAutoStatus.checked = getSetting('subtaskAutoStatus');
+  subtaskAutoStatus.addEventListener('change', () => {
+    setSetting('subtaskAutoStatus', subtaskAutoStatus.checked);
+  });
+
+  // 【追加機能13】同じステータス内の並べ替え方法（選んだ方法を記憶する）
+  const sortModeSelect = document.getElementById('sort-mode');
+  sortModeSelect.value = getSetting('sortMode');
+  sortModeSelect.addEventListener('change', () => {
+    setSetting('sortMode', sortModeSelect.value);
+    renderTodos();
+  });
+
+  // 【追加機能12】リスト表示とボード表示の切り替え（選んだ表示を記憶する）
+  const viewButtons = document.querySelectorAll('.view-toggle-button');
+  const updateViewButtons = () => {
+    viewButtons.forEach(button => {
+      button.setAttribute('aria-pressed', String(button.dataset.view === getSetting('viewMode')));
+    });
+  };
+  viewButtons.forEach(button => {
+    button.addEventListener('click', () => {
+      setSetting('viewMode', button.dataset.view);
+      updateViewButtons();
+      renderTodos();
+    });
+  });
+  updateViewButtons();
+
+  // 【追加機能2】アーカイブトグルの初期化
+  const toggleArchiveButton = document.getElementById('toggle-archive');
+  const archiveList = document.getElementById('archive-list');
+
+  toggleArchiveButton.addEventListener('click', () => {
+    if (archiveList.style.display === 'none') {
+      archiveList.style.display = 'block';
+      toggleArchiveButton.textContent = '非表示';
+    } else {
+      archiveList.style.display = 'none';
+      toggleArchiveButton.textContent = '表示/非表示';
+    }
+  });
+}
+
+/**
+ * 【追加機能14】検索・絞り込みと保存したビューを初期化
+ * URLのクエリ文字列に条件があれば、その条件で表示を始める
+ */
+export function initFilters() {
+  const queryInput = document.getElementById('filter-query');
+  const statusCheckboxes = document.querySelectorAll('input[name="filter-status"]');
+  const urgencySelect = document.getElementById('filter-urgency');
+  const archivedSelect = document.getElementById('filter-archived');
+  const clearButton = document.getElementById('filter-clear');
+  const savedViewsSelect = document.getElementById('saved-views');
+  const deleteViewButton = document.getElementById('delete-view');
+  const saveViewForm = document.getElementById('save-view-form');
+  const viewNameInput = document.getElementById('view-name');
+
+  activeFilter = filterFromQueryString(window.location.search);
+  renderSavedViews();
+  syncFilterControls();
+
+  // 日本語入力（IME）の変換中は検索せず、確定したときに検索する
+  let isComposing = false;
+  const applyQuery = () => {
+    setFilter({ ...activeFilter, query: queryInput.value });
+  };
+  queryInput.addEventListener('compositionstart', () => {
+    isComposing = true;
+  });
+  queryInput.addEventListener('compositionend', () => {
+    isComposing = false;
+    applyQuery();
+  });
+  queryInput.addEventListener('input', (e) => {
+    if (isComposing || e.isComposing) return;
+    applyQuery();
+  });
+
+  statusCheckboxes.forEach(checkbox => {
+    checkbox.addEventListener('change', () => {
+      const statuses = [...statusCheckboxes]
+        .filter(item => item.checked)
+        .map(item => item.value);
+      setFilter({ ...activeFilter, statuses });
+    });
+  });
+
+  urgencySelect.addEventListener('change', () => {
+    setFilter({ ...activeFilter, urgency: urgencySelect.value });
+  });
+
+  archivedSelect.addEventListener('change', () => {
+    setFilter({ ...activeFilter, archived: archivedSelect.value });
+  });
+
+  clearButton.addEventListener('click', () => {
+    setFilter(DEFAULT_FILTER);
+  });
+
+  // 保存したビューを選ぶと、その条件で絞り込む
+  savedViewsSelect.addEventListener('change', () => {
+    const view = getSetting('savedViews').find(item => item.name === savedViewsSelect.value);
+    if (view) {
+      setFilter(view.filter);
+    }
+  });
+
+  saveViewForm.addEventListener('submit', (e) => {
+    e.preventDefault();
+    const name = viewNameInput.value.trim();
+    if (!name) {
+      showNotification('ビュー名を入力してください');
+      viewNameInput.focus();
+      return;
+    }
+
+    // 同じ名前のビューは上書きする
+    const views = getSetting('savedViews').filter(view => view.name !== name);
+    views.push({ name, filter: normalizeFilter(activeFilter) });
+    setSetting('savedViews', views);
+
+    viewNameInput.value = '';
+    renderSavedViews();
+    syncFilterControls();
+    showNotification(`ビュー「${name}」を保存しました`);
+  });
+
+  deleteViewButton.addEventListener('click', () => {
+    const name = savedViewsSelect.value;
+    if (!name) {
+      showNotification('削除するビューを選んでください');
+      return;
+    }
+
+    setSetting('savedViews', getSetting('savedViews').filter(view => view.name !== name));
+    renderSavedViews();
+    syncFilterControls();
+    showNotification(`ビュー「${name}」を削除しました`);
+  });
+}
+
+/**
+ * 【追加機能14】検索・絞り込み条件を変更し、URLと一覧に反映する
+ * @param {Object} filter - 新しい条件
+ */
+function setFilter(filter) {
+  activeFilter = normalizeFilter(filter);
+
+  // ブックマークできるよう、条件をURLに反映する（履歴は増やさない）
+  const queryString = filterToQueryString(activeFilter);
+  const url = `${window.location.pathname}${queryString ? `?${queryString}` : ''}${window.location.hash}`;
+  window.history.replaceState(null, '', url);
+
+  syncFilterControls();
+  renderTodos();
+}
+
+/**
+ * 【追加機能14】絞り込みの入力欄を現在の条件に合わせる
+ */
+function syncFilterControls() {
+  const queryInput = document.getElementById('filter-query');
+  // 入力中の値を書き換えるとカーソル位置が変わるため、内容が違うときだけ反映する
+  if (queryInput.value !== activeFilter.query) {
+    queryInput.value = activeFilter.query;
+  }
+  document.querySelectorAll('input[name="filter-status"]').forEach(checkbox => {
+    checkbox.checked = activeFilter.statuses.includes(checkbox.value);
+  });
+  document.getElementById('filter-urgency').value = activeFilter.urgency;
+  document.getElementById('filter-archived').value = activeFilter.archived;
+
+  // 現在の条件と同じ保存したビューがあれば選択状態にする
+  const queryString = filterToQueryString(activeFilter);
+  const matchingView = getSetting('savedViews').find(view => (
+    filterToQueryString(normalizeFilter(view.filter)) === queryString
+  ));
+  document.getElementById('saved-views').value = matchingView ? matchingView.name : '';
+}
+
+/**
+ * 【追加機能14】保存したビューの一覧を描画
+ */
+function renderSavedViews() {
+  const savedViewsSelect = document.getElementById('saved-views');
+  savedViewsSelect.innerHTML = '<option value="">保存したビュー</option>';
+
+  getSetting('savedViews').forEach(view => {
+    const option = document.createElement('option');
+    option.value = view.name;
+    option.textContent = view.name;
+    savedViewsSelect.appendChild(option);
+  });
+}
+
+/**
+ * 【追加機能17】追加フォームの入力欄を解析する
+ * 解析が無効な場合や、読み取った語を除くと内容が空になる場合は、入力した文字をそのまま内容にする
+ * @param {string} value - 入力欄の値
+ * @returns {Object} parseQuickAdd()と同じ形の結果（fallback: 解析結果を使わなかったか）
+ */
+function readQuickAddInput(value) {
+  const raw = {
+    text: value.trim(),
+    dueDate: null,
+    status: null,
+    priority: null,
+    tags: [],
+    recurrence: null,
+    recognized: [],
+    fallback: false
+  };
+
+  if (!getSetting('quickAddParsing')) {
+    return raw;
+  }
+
+  const parsed = parseQuickAdd(value);
+  if (!parsed.text) {
+    return { ...raw, fallback: parsed.recognized.length > 0 };
+  }
+  return { ...parsed, fallback: false };
+}
+
+/**
+ * 【追加機能17】入力欄から読み取った項目のプレビューを描画
+ * @param {HTMLElement} container - プレビューの要素
+ * @param {string} value - 入力欄の値
+ */
+function renderQuickAddPreview(container, value) {
+  container.innerHTML = '';
+  const parsed = readQuickAddInput(value);
+
+  if (parsed.fallback) {
+    const note = document.createElement('span');
+    note.className = 'quick-add-note';
+    note.textContent = '内容が空になるため、入力した文字をそのまま内容にします';
+    container.appendChild(note);
+  } else if (parsed.recognized.length > 0) {
+    const text = document.createElement('span');
+    text.className = 'quick-add-text';
+    text.textContent = `内容：${parsed.text}`;
+    container.appendChild(text);
+
+    parsed.recognized.forEach(item => {
+      const chip = document.createElement('span');
+      chip.className = `quick-add-chip quick-add-${item.type}`;
+      chip.textContent = item.label;
+      container.appendChild(chip);
+    });
+  }
+
+  container.hidden = container.childElementCount === 0;
+}
+
+/**
+ * 【追加機能6】データの書き出し・読み込みを初期化
+ */
+export function initImportExport() {
+  const exportJsonButton = document.getElementById('export-json');
+  const exportCsvButton = document.getElementById('export-csv');
+  const exportIcsTodoButton = document.getElementById('export-ics-todo');
+  const exportIcsEventButton = document.getElementById('export-ics-event');
+  const importForm = document.getElementById('import-form');
+  const importFile = document.getElementById('import-file');
+  const importMode = document.getElementById('import-mode');
+
+  exportJsonButton.addEventListener('click', () => {
+    exportJson();
+    showNotification('JSONで書き出しました');
+  });
+
+  exportCsvButton.addEventListener('click', () => {
+    downloadFile(`todos-${getDateStamp()}.csv`, exportTodosToCsv(getTodos(), getLists()), 'text/csv');
+    showNotification('CSVで書き出しました');
+  });
+
+  // 【追加機能20】期日のあるTodoをToDo（VTODO）または予定（VEVENT）として書き出す
+  [[exportIcsTodoButton, 'VTODO', 'ToDo'], [exportIcsEventButton, 'VEVENT', '予定']].forEach(([button, component, label]) => {
+    button.addEventListener('click', () => {
+      const count = getTodos().filter(todo => todo.dueDate && !todo.archived).length;
+      if (count === 0) {
+        showNotification('期日のあるTodoがありません');
+        return;
+      }
+      downloadFile(`todos-${getDateStamp()}.ics`, exportTodosToIcs(getTodos(), component), 'text/calendar');
+      showNotification(`期日のあるTodo${count}件をiCalendar（${label}）で書き出しました`);
+    });
+  });
+
+  importForm.addEventListener('submit', async (e) => {
+    e.preventDefault();
+
+    const file = importFile.files[0];
+    if (!file) {
+      showNotification('読み込むファイルを選択してください');
+      return;
+    }
+
+    const mode = importMode.value;
+    if (mode === 'replace' && !(await showConfirmDialog('現在のTodoを全て置き換えますか？', '置き換える'))) {
+      return;
+    }
+
+    const text = await file.text();
+    const fileName = file.name.toLowerCase();
+    const isCsv = fileName.endsWith('.csv') || file.type === 'text/csv';
+    // 【追加機能20】iCalendarは、追加の場合に同じUIDのTodoを更新する（読み込み直しても重複しない）
+    const isIcs = fileName.endsWith('.ics') || file.type === 'text/calendar';
+    let parse = parseJsonImport;
+    if (isCsv) parse = parseCsvImport;
+    if (isIcs) parse = parseIcsImport;
+    const { todos, errors } = parse(text);
+
+    let result = { imported: 0, remapped: 0 };
+    if (todos.length > 0) {
+      result = isIcs && mode === 'merge' ? importCalendarTodos(todos) : importTodos(todos, mode);
+      renderTodos();
+    }
+
+    renderImportReport(result, errors);
+    importForm.reset();
+
+    if (result.imported > 0) {
+      showNotification(`${result.imported}件のTodoを読み込みました`, UNDO_ACTION);
+    } else {
+      showNotification('読み込めるTodoがありませんでした');
+    }
+  });
+}
+
+/**
+ * 【追加機能6】全てのTodoをJSONファイルとしてダウンロード
+ */
+function exportJson() {
+  downloadFile(`todos-${getDateStamp()}.json`, exportTodosToJson(getTodos(), getLists()), 'application/json');
+}
+
+/**
+ * 【追加機能8】起動時の読み込み結果（移行・修復・隔離）を通知
+ * @param {Object} report - initTodoStore()の結果
+ */
+export function notifyLoadReport(report) {
+  const messages = [];
+
+  if (report.loadError) {
+    messages.push(`${report.loadError.message}。この間の変更は保存されません`);
+  }
+  if (report.migrated > 0) {
+    messages.push(`以前のデータ（${report.migrated}件）を新しい保存先へ移行しました`);
+  }
+  if (report.legacyBackedUp > 0) {
+    messages.push(
+      `新しい保存先に既にデータがあるため、以前のデータ（${report.legacyBackedUp}件）は移行せず` +
+      `localStorageの「${report.legacyBackupKey}」に残しました`
+    );
+  }
+  if (report.repaired.length > 0) {
+    messages.push(`${report.repaired.length}件のTodoの不正な項目を修復しました`);
+  }
+  if (report.quarantined.length > 0) {
+    messages.push(`${report.quarantined.length}件の壊れたTodoを読み込めなかったため隔離しました`);
+  }
+
+  if (messages.length > 0) {
+    showNotification(messages.join('。'));
+  }
+}
+
+/**
+ * 【追加機能9】他のタブとの同期を初期化
+ * 他のタブの変更を取り込んだら再描画し、競合があれば通知する
+ */
+export function initTabSync() {
+  onRemoteChange(({ conflicts }) => {
+    renderTodosWhenIdle();
+
+    if (conflicts.length > 0) {
+      const copies = conflicts.filter(conflict => conflict.copyId).length;
+      showNotification(
+        `他のタブと同じTodoを同時に編集したため、${conflicts.length}件を統合しました` +
+        (copies > 0 ? `（${copies}件は競合コピーとして残しています）` : '')
+      );
+    }
+  });
+
+  startTabSync();
+}
+
+/**
+ * 【追加機能9】編集中でなければすぐに、編集中なら入力欄から離れてから再描画
+ * 入力途中のテキストが再描画で消えないようにする
+ */
+function renderTodosWhenIdle() {
+  const active = document.activeElement;
+  const isEditing = active && active.matches('input, select, textarea') &&
+    (active.closest('#todo-list') || active.closest('#archive-list'));
+
+  if (!isEditing) {
+    renderTodos();
+    return;
+  }
+
+  active.addEventListener('blur', () => {
+    // blurでの保存処理（saveTextEditなど）の後に再描画する
+    setTimeout(renderTodos, 0);
+  }, { once: true });
+}
+
+/**
+ * 【追加機能18】リマインダーを初期化
+ * 通知の許可があればブラウザの通知で、なければ画面内の通知で知らせる
+ * （許可がない場合、タブが裏にある間の通知は表に戻ったときにまとめて表示する）
+ */
+export function initReminders() {
+  const supportsNotification = typeof Notification !== 'undefined';
+  const permissionButton = document.getElementById('enable-notifications');
+
+  const updatePermissionButton = () => {
+    permissionButton.hidden = !supportsNotification || Notification.permission !== 'default';
+  };
+
+  permissionButton.addEventListener('click', async () => {
+    const permission = await Notification.requestPermission();
+    updatePermissionButton();
+    showNotification(permission === 'granted'
+      ? 'リマインダーをブラウザの通知で知らせます'
+      : '通知が許可されなかったため、リマインダーは画面内に表示します');
+  });
+  updatePermissionButton();
+
+  startReminderScheduler(
+    getTodos,
+    due => due.forEach(deliverReminder),
+    () => !document.hidden || (supportsNotification && Notification.permission === 'granted')
+  );
+}
+
+/**
+ * 【追加機能27】サーバーとの同期の設定欄と、ヘッダーの同期の状態を初期化し、同期を開始する
+ */
+export function initRemoteSync() {
+  const form = document.getElementById('remote-sync-form');
+  const enabledInput = document.getElementById('remote-sync-enabled');
+  const urlInput = document.getElementById('remote-sync-url');
+  const tokenInput = document.getElementById('remote-sync-token');
+  const handlers = { applyRemote: applyRemoteChanges, prepare: flushTodos };
+
+  const config = normalizeRemoteSyncConfig(getSetting('remoteSync'));
+  enabledInput.checked = config.enabled;
+  urlInput.value = config.url;
+  tokenInput.value = config.token;
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const next = normalizeRemoteSyncConfig({
+      enabled: enabledInput.checked,
+      url: urlInput.value,
+      token: tokenInput.value
+    });
+    if (enabledInput.checked && !next.enabled) {
+      showNotification('APIのURLはhttp://またはhttps://で始まるURLを入力してください');
+      urlInput.focus();
+      return;
+    }
+
+    setSetting('remoteSync', next);
+    startRemoteSync(next, handlers);
+    showNotification(next.enabled ? 'サーバーとの同期を開始しました' : 'サーバーとの同期を停止しました');
+  });
+
+  const handleSyncNow = async () => {
+    if (getRemoteSyncStatus().state === 'disabled') {
+      showNotification('サーバーとの同期が設定されていません');
+      return;
+    }
+    if (!await syncNow()) {
+      showNotification('最初に開いたタブでサーバーと同期しています');
+    }
+  };
+  document.getElementById('remote-sync-now').addEventListener('click', handleSyncNow);
+  document.getElementById('sync-status').addEventListener('click', handleSyncNow);
+
+  onRemoteSyncStatus(renderSyncStatus);
+  startRemoteSync(config, handlers);
+  renderSyncStatus(getRemoteSyncStatus());
+}
+
+/**
+ * 【追加機能27】ヘッダーにサーバーとの同期の状態を表示（同期しない場合は非表示）
+ * @param {Object} status - getRemoteSyncStatus()の状態
+ */
+function renderSyncStatus(status) {
+  const indicator = document.getElementById('sync-status');
+  indicator.hidden = status.state === 'disabled';
+  indicator.className = `sync-status sync-${status.state}`;
+
+  const icons = { idle: '☁', syncing: '⟳', offline: '⚠', error: '⚠' };
+  const pending = status.pending > 0 ? `（未送信${status.pending}件）` : '';
+  indicator.textContent = `${icons[status.state] || ''} ${REMOTE_SYNC_STATE_LABELS[status.state]}${pending}`;
+
+  const details = [
+    status.lastSyncedAt ? `最終同期：${formatDateTime(status.lastSyncedAt)}` : 'まだ同期していません',
+    status.error,
+    'クリックで今すぐ同期'
+  ].filter(Boolean);
+  indicator.title = details.join('\n');
+}
+
+/**
+ * 【追加機能26】オフラインで使えるようService Workerを登録し、新しいバージョンが公開されたら知らせる
+ * 「更新」を押すと、保留中の保存を終えてから新しいバージョンで再読み込みする
+ */
+export function initAppUpdates() {
+  registerServiceWorker(worker => {
+    showNotification('新しいバージョンがあります', {
+      label: '更新',
+      onClick: () => applyServiceWorkerUpdate(worker)
+    }, UPDATE_TOAST_DURATION);
+  }, flushTodos);
+}
+
+/**
+ * 【追加機能25】統計（ダッシュボード）を初期化
+ */
+export function initStatsDashboard() {
+  const toggleButton = document.getElementById('toggle-stats');
+  const panel = document.getElementById('stats-panel');
+
+  toggleButton.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    toggleButton.setAttribute('aria-expanded', String(!panel.hidden));
+    toggleButton.textContent = panel.hidden ? '表示/非表示' : '非表示';
+    renderStatsDashboard();
+  });
+}
+
+/**
+ * 【追加機能25】統計を描画（開いている場合のみ、表示中のリストの分）
+ */
+function renderStatsDashboard() {
+  const panel = document.getElementById('stats-panel');
+  if (panel.hidden) return;
+
+  const stats = getStatistics();
+  panel.innerHTML = '';
+
+  // 数値のカード
+  const cards = document.createElement('div');
+  cards.className = 'stats-cards';
+  const { overdue, streak } = stats;
+  [
+    ['今日の完了', `${stats.daily[stats.daily.length - 1].count}件`, ''],
+    ['連続日数', `${streak.current}日`, `最長${streak.longest}日`],
+    ['完了までの平均', stats.averageDoneMs === null ? '—' : formatDuration(stats.averageDoneMs), `直近${STATS_WINDOW_DAYS}日の${stats.doneCount}件`],
+    ['期日超過率', overdue.rate === null ? '—' : `${Math.round(overdue.rate * 100)}%`, `直近${STATS_WINDOW_DAYS}日の${overdue.total}件中${overdue.late}件`]
+  ].forEach(([label, value, note]) => {
+    const card = document.createElement('div');
+    card.className = 'stats-card';
+    const valueElement = document.createElement('strong');
+    valueElement.textContent = value;
+    const labelElement = document.createElement('span');
+    labelElement.textContent = label;
+    card.append(valueElement, labelElement);
+    if (note) {
+      const noteElement = document.createElement('small');
+      noteElement.textContent = note;
+      card.appendChild(noteElement);
+    }
+    cards.appendChild(card);
+  });
+  panel.appendChild(cards);
+
+  panel.appendChild(createStatsChart('日ごとの完了数', createBarChart(
+    stats.daily.map(({ date, count }) => ({ label: formatDueDate(date), value: count })),
+    '日ごとの完了数'
+  )));
+  panel.appendChild(createStatsChart('週ごとの完了数', createBarChart(
+    stats.weekly.map(({ weekStart, count }) => ({ label: `${formatDueDate(weekStart)}〜`, value: count })),
+    '週ごとの完了数'
+  )));
+  panel.appendChild(createStatsChart(
+    `今週のバーンダウン（期日が今週のTodo：${stats.burndownTotal}件）`,
+    stats.burndownTotal > 0 ? createBurndownChart(stats.burndown, stats.burndownTotal) : null
+  ));
+}
+
+/**
+ * 【追加機能25】見出し付きのグラフの枠を作成
+ * @param {string} title - 見出し
+ * @param {SVGElement|null} chart - グラフ（nullの場合は「データがありません」と表示）
+ * @returns {HTMLElement} figure要素
+ */
+function createStatsChart(title, chart) {
+  const figure = document.createElement('figure');
+  figure.className = 'stats-chart';
+
+  const caption = document.createElement('figcaption');
+  caption.textContent = title;
+  figure.appendChild(caption);
+
+  if (chart) {
+    figure.appendChild(chart);
+  } else {
+    const empty = document.createElement('p');
+    empty.className = 'stats-empty';
+    empty.textContent = 'データがありません';
+    figure.appendChild(empty);
+  }
+  return figure;
+}
+
+/**
+ * 【追加機能25】棒グラフを作成
+ * @param {Array} data - [{ label, value }]
+ * @param {string} description - 読み上げ用の説明
+ * @returns {SVGElement}
+ */
+function createBarChart(data, description) {
+  const svg = createChartSvg(`${description}：${data.map(({ label, value }) => `${label} ${value}件`).join('、')}`);
+  const max = Math.max(1, ...data.map(item => item.value));
+  const plotHeight = CHART_HEIGHT - 20;
+  const slot = CHART_WIDTH / data.length;
+
+  data.forEach(({ label, value }, i) => {
+    const height = (value / max) * (plotHeight - 12);
+    const bar = createSvgElement('rect', {
+      class: 'stats-bar',
+      x: i * slot + slot * 0.15,
+      y: plotHeight - height,
+      width: slot * 0.7,
+      height
+    });
+    const tooltip = createSvgElement('title', {});
+    tooltip.textContent = `${label}：${value}件`;
+    bar.appendChild(tooltip);
+    svg.appendChild(bar);
+
+    if (value > 0) {
+      svg.appendChild(createSvgText(value, i * slot + slot / 2, plotHeight - height - 2, 'stats-value'));
+    }
+    // ラベルが重ならないよう、項目が多い場合は1つおきに表示する
+    if (data.length <= 8 || (data.length - 1 - i) % 2 === 0) {
+      svg.appendChild(createSvgText(label, i * slot + slot / 2, CHART_HEIGHT - 4, 'stats-label'));
+    }
+  });
+  return svg;
+}
+
+/**
+ * 【追加機能25】バーンダウンの折れ線グラフを作成（実際の残りと理想の線）
+ * @param {Array} burndown - [{ date, remaining, ideal }]
+ * @param {number} total - 今週が期日のTodoの件数
+ * @returns {SVGElement}
+ */
+function createBurndownChart(burndown, total) {
+  const actual = burndown.filter(point => point.remaining !== null);
+  const svg = createChartSvg(
+    `今週のバーンダウン：${actual.map(point => `${formatDueDate(point.date)} 残り${point.remaining}件`).join('、')}`
+  );
+  const plotHeight = CHART_HEIGHT - 20;
+  const padding = 16;
+  // 横軸は週の初めから土曜日の終わりまで（各日の点はその日の終わりの残り）
+  const x = i => padding + ((i + 1) / burndown.length) * (CHART_WIDTH - padding * 2);
+  const y = value => plotHeight - (value / total) * (plotHeight - 8);
+  const start = `${padding},${y(total)}`;
+
+  svg.appendChild(createSvgElement('polyline', {
+    class: 'stats-ideal',
+    points: [start, ...burndown.map((point, i) => `${x(i)},${y(point.ideal)}`)].join(' ')
+  }));
+  svg.appendChild(createSvgElement('polyline', {
+    class: 'stats-line',
+    points: [start, ...actual.map((point, i) => `${x(i)},${y(point.remaining)}`)].join(' ')
+  }));
+  actual.forEach((point, i) => {
+    const dot = createSvgElement('circle', { class: 'stats-dot', cx: x(i), cy: y(point.remaining), r: 3 });
+    const tooltip = createSvgElement('title', {});
+    tooltip.textContent = `${formatDueDate(point.date)}：残り${point.remaining}件`;
+    dot.appendChild(tooltip);
+    svg.appendChild(dot);
+  });
+  burndown.forEach((point, i) => {
+    svg.appendChild(createSvgText(WEEKDAY_LABELS[i], x(i), CHART_HEIGHT - 4, 'stats-label'));
+  });
+  return svg;
+}
+
+/**
+ * 【追加機能25】グラフのSVG要素を作成
+ * @param {string} description - 読み上げ用の説明
+ * @returns {SVGElement}
+ */
+function createChartSvg(description) {
+  return createSvgElement('svg', {
+    class: 'stats-svg',
+    viewBox: `0 0 ${CHART_WIDTH} ${CHART_HEIGHT}`,
+    role: 'img',
+    'aria-label': description
+  });
+}
+
+/**
+ * 【追加機能25】SVGの要素を作成
+ * @param {string} tag - 要素名
+ * @param {Object} attributes - 属性
+ * @returns {SVGElement}
+ */
+function createSvgElement(tag, attributes) {
+  const element = document.createElementNS(SVG_NS, tag);
+  Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+  return element;
+}
+
+/**
+ * 【追加機能25】SVGの文字を作成（中央揃え）
+ * @param {string|number} text - 文字
+ * @param {number} x - 中央のx座標
+ * @param {number} y - ベースラインのy座標
+ * @param {string} className - クラス名
+ * @returns {SVGElement}
+ */
+function createSvgText(text, x, y, className) {
+  const element = createSvgElement('text', { class: className, x, y, 'text-anchor': 'middle' });
+  element.textContent = text;
+  return element;
+}
+
+/**
+ * 【追加機能25】所要時間を読みやすい形式でフォーマット
+ * @param {number} ms - ミリ秒
+ * @returns {string} 例：「45分」「5時間」「2.5日」
+ */
+function formatDuration(ms) {
+  const minutes = Math.round(ms / (60 * 1000));
+  if (minutes < 60) return `${minutes}分`;
+  if (minutes < 24 * 60) return `${Math.round(minutes / 60)}時間`;
+  return `${Math.round(minutes / (24 * 60) * 10) / 10}日`;
+}
+
+/**
+ * 【追加機能24】Todoの変更履歴（タイムライン）を作成
+ * 開いたときに読み込む（一覧の描画のたびに全てのTodoの履歴を読まないため）
+ * @param {Object} todo - Todoオブジェクト
+ * @returns {HTMLElement} 変更履歴の要素
+ */
+function createHistoryDetails(todo) {
+  const details = document.createElement('details');
+  details.className = 'todo-history';
+
+  const summary = document.createElement('summary');
+  summary.textContent = '🕘 履歴';
+  summary.title = 'このTodoの変更履歴';
+  details.appendChild(summary);
+
+  const timeline = document.createElement('ol');
+  timeline.className = 'activity-feed todo-history-timeline';
+  details.appendChild(timeline);
+
+  details.addEventListener('toggle', () => {
+    if (!details.open) return;
+
+    timeline.innerHTML = '';
+    const events = getActivity({ todoId: todo.id });
+    events.forEach(event => timeline.appendChild(createActivityItem(event, false)));
+    if (events.length === 0) {
+      const empty = document.createElement('li');
+      empty.className = 'activity-empty';
+      empty.textContent = `記録はありません（${formatDateTime(todo.createdAt)}に作成）`;
+      timeline.appendChild(empty);
+    }
+  });
+
+  return details;
+}
+
+/**
+ * 【追加機能24】アクティビティ（全体の変更履歴）を初期化
+ * Todoの名前で検索すると、例えば「いつ完了したか」を確認できる
+ */
+export function initActivityFeed() {
+  const toggleButton = document.getElementById('toggle-activity');
+  const panel = document.getElementById('activity-panel');
+  const queryInput = document.getElementById('activity-query');
+
+  toggleButton.addEventListener('click', () => {
+    panel.hidden = !panel.hidden;
+    toggleButton.setAttribute('aria-expanded', String(!panel.hidden));
+    toggleButton.textContent = panel.hidden ? '表示/非表示' : '非表示';
+    activityLimit = ACTIVITY_PAGE_SIZE;
+    renderActivityFeed();
+  });
+
+  queryInput.addEventListener('input', () => {
+    activityLimit = ACTIVITY_PAGE_SIZE;
+    renderActivityFeed();
+  });
+
+  document.getElementById('activity-more').addEventListener('click', () => {
+    activityLimit += ACTIVITY_PAGE_SIZE;
+    renderActivityFeed();
+  });
+
+  document.getElementById('clear-activity').addEventListener('click', async () => {
+    if (!(await showConfirmDialog('アクティビティの記録を全て消去しますか？（Todoは変更されません）', '消去'))) return;
+    clearActivity();
+    renderActivityFeed();
+  });
+}
+
+/**
+ * 【追加機能24】アクティビティを描画（新しい順、開いている場合のみ）
+ */
+function renderActivityFeed() {
+  const panel = document.getElementById('activity-panel');
+  if (panel.hidden) return;
+
+  const feed = document.getElementById('activity-feed');
+  const moreButton = document.getElementById('activity-more');
+  const query = normalizeSearchText(document.getElementById('activity-query').value.trim());
+  const events = getActivity().filter(event => !query || normalizeSearchText(event.name).includes(query));
+
+  feed.innerHTML = '';
+  events.slice(0, activityLimit).forEach(event => feed.appendChild(createActivityItem(event, true)));
+  if (events.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'activity-empty';
+    empty.textContent = query ? '一致する記録はありません' : 'まだ記録はありません';
+    feed.appendChild(empty);
+  }
+  moreButton.hidden = events.length <= activityLimit;
+}
+
+/**
+ * 【追加機能24】アクティビティの1件を作成
+ * @param {Object} event - getActivity()のイベント
+ * @param {boolean} showName - 対象のTodo・リストの名前を表示するか（Todoごとの履歴では省略）
+ * @returns {HTMLElement} リスト項目
+ */
+function createActivityItem(event, showName) {
+  const item = document.createElement('li');
+  item.className = `activity-item activity-${event.type}`;
+
+  const time = document.createElement('time');
+  time.dateTime = event.at;
+  time.textContent = formatDateTime(event.at);
+  item.appendChild(time);
+
+  const description = document.createElement('span');
+  description.className = 'activity-description';
+  const subject = event.target === 'list' ? `リスト「${event.name}」` : `「${event.name}」`;
+  description.textContent = `${showName || event.target === 'list' ? `${subject}：` : ''}${describeActivity(event)}`;
+  item.appendChild(description);
+
+  if (event.label) {
+    const label = document.createElement('span');
+    label.className = 'activity-label';
+    label.textContent = ACTIVITY_SOURCE_LABELS[event.source] ? `${ACTIVITY_SOURCE_LABELS[event.source]}：${event.label}` : event.label;
+    item.appendChild(label);
+  }
+
+  return item;
+}
+
+/**
+ * 【追加機能24】イベントの内容を読みやすい日本語に変換
+ * @param {Object} event - getActivity()のイベント
+ * @returns {string} 例：「ステータス：未完了→完了」「期日：なし→10/20」
+ */
+function describeActivity(event) {
+  if (event.type === 'created') return '作成';
+  if (event.type === 'deleted') return '削除';
+
+  // 並び順は、他の項目と一緒に変わった場合（リストの移動など）は省略する
+  const changes = event.changes.length > 1
+    ? event.changes.filter(change => change.field !== 'position')
+    : event.changes;
+  return changes.map(describeChange).join('、');
+}
+
+/**
+ * 【追加機能24】項目の変更を読みやすい日本語に変換
+ * @param {Object} change - { field, from, to }
+ * @returns {string}
+ */
+function describeChange({ field, from, to }) {
+  const listNames = new Map(getLists().map(list => [list.id, list.name]));
+  const formats = {
+    text: value => `「${value}」`,
+    name: value => `「${value}」`,
+    status: value => STATUS_LABELS[value] || value,
+    dueDate: value => (value ? formatDueDate(value) : 'なし'),
+    dueTime: value => value || 'なし',
+    reminders: value => (value.length > 0 ? value.map(describeReminder).join('・') : 'なし'),
+    priority: value => PRIORITY_LABELS[value] || value,
+    tags: value => (value.length > 0 ? value.map(tag => `#${tag}`).join(' ') : 'なし'),
+    recurrence: value => (value ? describeRecurrence(value) : 'なし'),
+    subtasks: value => value,
+    listId: value => listNames.get(value) || '削除されたリスト'
+  };
+  const labels = {
+    text: '内容', name: '名前', status: 'ステータス', dueDate: '期日', dueTime: '時刻', reminders: 'リマインダー',
+    priority: '優先度', tags: 'タグ', recurrence: '繰り返し', subtasks: 'サブタスク', listId: 'リスト'
+  };
+
+  if (field === 'archived') return to ? 'アーカイブ' : 'アーカイブから復元';
+  if (field === 'position') return '並び順を変更';
+  if (!formats[field]) return `${field}を変更`;
+  return `${labels[field]}：${formats[field](from)}→${formats[field](to)}`;
+}
+
+/**
+ * 【追加機能24】日時を読みやすい形式でフォーマット
+ * @param {string} timestamp - 日時（ISO形式）
+ * @returns {string} 例：「2026/10/19 14:30」
+ */
+function formatDateTime(timestamp) {
+  return new Date(timestamp).toLocaleString('ja-JP', {
+    year: 'numeric', month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+  });
+}
+
+/**
+ * 【追加機能23】自動整理（保持ルール）の設定欄と実行の記録を初期化し、定期的に実行する
+ * 起動時と1時間ごと、設定を保存したときに実行する
+ */
+export function initRetention() {
+  const form = document.getElementById('retention-form');
+  const autoArchive = document.getElementById('retention-auto-archive');
+  const archiveDays = document.getElementById('retention-archive-days');
+  const autoPurge = document.getElementById('retention-auto-purge');
+  const purgeDays = document.getElementById('retention-purge-days');
+  const graceDays = document.getElementById('retention-grace-days');
+
+  const rules = normalizeRetentionRules(getSetting('retentionRules'));
+  autoArchive.checked = rules.autoArchive;
+  archiveDays.value = rules.autoArchiveDays;
+  autoPurge.checked = rules.autoPurge;
+  purgeDays.value = rules.autoPurgeDays;
+  graceDays.value = rules.purgeGraceDays;
+
+  form.addEventListener('submit', (e) => {
+    e.preventDefault();
+
+    const days = [archiveDays, purgeDays, graceDays].map(input => Number(input.value));
+    if (days.some(value => !Number.isInteger(value) || value < 1)) {
+      showNotification('日数は1以上の整数で入力してください');
+      return;
+    }
+
+    setSetting('retentionRules', normalizeRetentionRules({
+      autoArchive: autoArchive.checked,
+      autoArchiveDays: days[0],
+      autoPurge: autoPurge.checked,
+      autoPurgeDays: days[1],
+      purgeGraceDays: days[2]
+    }));
+    if (!runRetention()) {
+      showNotification('自動整理の設定を保存しました');
+    }
+  });
+
+  document.getElementById('clear-retention-log').addEventListener('click', () => {
+    clearRetentionLog();
+    renderRetentionLog();
+  });
+
+  renderRetentionLog();
+  runRetention();
+  setInterval(runRetention, RETENTION_CHECK_INTERVAL);
+}
+
+/**
+ * 【追加機能23】保持ルールを実行し、記録と画面を更新して結果を通知する
+ * @returns {boolean} 何か処理したかどうか
+ */
+function runRetention() {
+  const results = runRetentionRules();
+  if (results.length === 0) {
+    return false;
+  }
+
+  appendRetentionLog(results);
+  renderRetentionLog();
+  renderTodosWhenIdle();
+  showNotification(`自動整理：${results
+    .map(result => `${RETENTION_ACTION_LABELS[result.action]}${result.todos.length}件`)
+    .join('、')}`);
+  return true;
+}
+
+/**
+ * 【追加機能23】保持ルールの実行の記録を描画（新しい順）
+ * 対象のTodoは3件まで名前を表示する
+ */
+function renderRetentionLog() {
+  const logList = document.getElementById('retention-log');
+  const log = loadRetentionLog();
+  logList.innerHTML = '';
+
+  if (log.length === 0) {
+    const empty = document.createElement('li');
+    empty.className = 'retention-log-empty';
+    empty.textContent = 'まだ実行されていません';
+    logList.appendChild(empty);
+    return;
+  }
+
+  log.forEach(entry => {
+    const item = document.createElement('li');
+    const names = entry.todos.slice(0, 3).map(todo => `「${todo.text}」`).join('');
+    const rest = entry.todos.length > 3 ? `ほか${entry.todos.length - 3}件` : '';
+    const time = document.createElement('time');
+    time.dateTime = entry.at;
+    time.textContent = new Date(entry.at).toLocaleString('ja-JP', {
+      month: 'numeric', day: 'numeric', hour: '2-digit', minute: '2-digit'
+    });
+    item.appendChild(time);
+    item.append(` ${RETENTION_ACTION_LABELS[entry.action] || entry.action}：${entry.todos.length}件 ${names}${rest}`);
+    logList.appendChild(item);
+  });
+}
+
+/**
+ * 【追加機能18】リマインダーを1件知らせる
+ * タブが裏にあり通知が許可されていればブラウザの通知、それ以外は画面内の通知を使う
+ * @param {Object} reminder - collectDueReminders()の結果の1件（{ todo, minutes, missed }）
+ */
+function deliverReminder({ todo, minutes, missed }) {
+  let message = `「${todo.text}」の期日（${formatDueLabel(todo)}）`;
+  if (minutes === null) {
+    message += 'の再通知です';
+  } else if (minutes === 0) {
+    message += 'になりました';
+  } else {
+    message += `の${describeReminder(minutes)}です`;
+  }
+  if (missed) {
+    message = `見逃したリマインダー：${message}`;
+  }
+
+  if (document.hidden && typeof Notification !== 'undefined' && Notification.permission === 'granted') {
+    const notification = new Notification('⏰ Todoリマインダー', { body: message, tag: `todo-${todo.id}` });
+    notification.addEventListener('click', () => {
+      window.focus();
+      notification.close();
+      showReminderToast(todo.id, message);
+    });
+    return;
+  }
+
+  showReminderToast(todo.id, message);
+}
+
+/**
+ * 【追加機能18】スヌーズできるリマインダーを画面内に表示
+ * @param {number} todoId - TodoのID
+ * @param {string} message - 表示するメッセージ
+ */
+function showReminderToast(todoId, message) {
+  showNotification(`⏰ ${message}`, {
+    label: `${REMINDER_SNOOZE_MINUTES}分後に再通知`,
+    onClick: async () => {
+      await snoozeReminder(todoId, REMINDER_SNOOZE_MINUTES);
+      showNotification(`${REMINDER_SNOOZE_MINUTES}分後にもう一度お知らせします`);
+    }
+  }, REMINDER_TOAST_DURATION);
+}
+
+/**
+ * 【追加機能7】保存失敗時の通知を初期化
+ * 変更は画面上には残っているため、書き出しでバックアップできるようにする
+ */
+export function initStorageErrorNotification() {
+  onStorageError((error) => {
+    showNotification(
+      `${describeStorageError(error)}。データを書き出してバックアップしてください`,
+      { label: 'JSONで書き出し', onClick: exportJson }
+    );
+  });
+}
+
+/**
+ * 【追加機能6】読み込み結果（件数と検証エラー）を表示
+ * @param {Object} result - importTodos()の結果
+ * @param {Array} errors - 検証エラーの配列（{ row, message }）
+ */
+function renderImportReport(result, errors) {
+  const report = document.getElementById('import-report');
+  report.innerHTML = '';
+  report.hidden = false;
+
+  const summary = document.createElement('p');
+  summary.className = 'import-summary';
+  summary.textContent = `${result.imported}件を読み込みました` +
+    (result.remapped > 0 ? `（うち${result.remapped}件は新しいIDを割り当て）` : '') +
+    (result.updated > 0 ? `（うち${result.updated}件は既存のTodoを更新）` : '') +
+    (errors.length > 0 ? `。${errors.length}件は読み込めませんでした` : '');
+  report.appendChild(summary);
+
+  if (errors.length > 0) {
+    const errorList = document.createElement('ul');
+    errorList.className = 'import-errors';
+    errors.forEach(error => {
+      const item = document.createElement('li');
+      item.textContent = error.row ? `${error.row}件目：${error.message}` : error.message;
+      errorList.appendChild(item);
+    });
+    report.appendChild(errorList);
+  }
+}
+
+/**
+ * 【追加機能6】文字列をファイルとしてダウンロードさせる
+ * @param {string} filename - 保存するファイル名
+ * @param {string} content - ファイルの内容
+ * @param {string} type - MIMEタイプ
+ */
+function downloadFile(filename, content, type) {
+  const blob = new Blob([content], { type: `${type};charset=utf-8` });
+  const url = URL.createObjectURL(blob);
+
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+
+  URL.revokeObjectURL(url);
+}
+
+/**
+ * 【追加機能6】ファイル名用の日付文字列（YYYYMMDD）を取得
+ * @returns {string}
+ */
+function getDateStamp() {
+  const now = new Date();
+  const month = String(now.getMonth() + 1).padStart(2, '0');
+  const day = String(now.getDate()).padStart(2, '0');
+  return `${now.getFullYear()}${month}${day}`;
 }
@@ -0,0 +1,50 @@
+import { readFileSync, readdirSync } from 'node:fs'
+import { createHash } from 'node:crypto'
+import { defineConfig } from 'vite'
+
+/**
+ * 【追加機能26】ビルドしたファイルを事前キャッシュするService Worker（sw.js）を出力するプラグイン
+ * serviceWorker.jsの先頭に、キャッシュするファイルの一覧とバージョンを埋め込む
+ * （ファイルの内容が変わるとバージョンも変わり、ブラウザが新しいバージョンとして検出する）
+ * @returns {import('vite').Plugin}
+ */
+function serviceWorkerPlugin() {
+  let publicDir = ''
+
+  return {
+    name: 'todo-service-worker',
+    apply: 'build',
+    // index.htmlが出力された後に一覧を作る
+    enforce: 'post',
+    configResolved(config) {
+      publicDir = config.publicDir
+    },
+    generateBundle(options, bundle) {
+      const hash = createHash('sha256')
+      const bundleFiles = Object.values(bundle)
+        .filter(file => !file.fileName.endsWith('.map'))
+        .map(file => {
+          hash.update(file.fileName).update(file.type === 'chunk' ? file.code : file.source)
+          return file.fileName
+        })
+      const publicFiles = readdirSync(publicDir).map(fileName => {
+        hash.update(fileName).update(readFileSync(`${publicDir}/${fileName}`))
+        return fileName
+      })
+
+      const manifest = {
+        version: hash.digest('hex').slice(0, 12),
+        urls: ['./', ...bundleFiles, ...publicFiles].sort()
+      }
+      this.emitFile({
+        type: 'asset',
+        fileName: 'sw.js',
+        source: `self.__PRECACHE_MANIFEST = ${JSON.stringify(manifest)};\n${readFileSync('serviceWorker.js', 'utf8')}`
+      })
+    }
+  }
+}
+
+export default defineConfig({
+  plugins: [serviceWorkerPlugin()]
+})